@@ -0,0 +1,88 @@
+// corsServer.js serves the endpoints that TestBasicCORS points the test module
+// at, so that the CORS check does not depend on websites outside of the
+// machine. Each endpoint answers with different CORS headers, see endpoints
+// below and corsEndpoints in src/cors.js, which lists the outcome a fetch from
+// a module must have for each of them.
+//
+// Usage:
+//   npm run cors-server -- 4100
+// and load the test page with '?corsServer=http://localhost:4100'.
+// 'npm run test:headless -- --corsServer local' starts one for the run.
+
+const http = require('http');
+
+// allowAny is the header that lets every origin read a response.
+const allowAny = { 'Access-Control-Allow-Origin': '*' };
+
+// endpoints maps each path to the status and headers of its response. A
+// function is called with the request to build headers that depend on it.
+const endpoints = {
+  '/allow-any': { status: 200, headers: allowAny },
+  '/allow-origin': {
+    status: 200,
+    headers: (req) => ({
+      'Access-Control-Allow-Origin': req.headers.origin || '*',
+      Vary: 'Origin',
+    }),
+  },
+  '/deny-missing': { status: 200, headers: {} },
+  '/deny-other-origin': {
+    status: 200,
+    headers: { 'Access-Control-Allow-Origin': 'https://example.com' },
+  },
+  '/redirect': {
+    status: 302,
+    headers: { ...allowAny, Location: '/allow-any' },
+  },
+  '/redirect-denied': {
+    status: 302,
+    headers: { ...allowAny, Location: '/deny-missing' },
+  },
+  '/error': { status: 500, headers: allowAny },
+};
+
+// serveCORS starts the server on a port of host, a random one by default. The
+// promise resolves with the server once it is listening. Unknown paths get a
+// 404 that CORS allows, which is what '/not-found' checks.
+function serveCORS(host = 'localhost', port = 0) {
+  let server = http.createServer((req, res) => {
+    let urlPath = new URL(req.url, 'http://x').pathname;
+    let endpoint = endpoints[urlPath] || { status: 404, headers: allowAny };
+    let headers =
+      typeof endpoint.headers === 'function'
+        ? endpoint.headers(req)
+        : endpoint.headers;
+    // Preflight requests get the same CORS headers as the request itself.
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, {
+        ...headers,
+        'Access-Control-Allow-Methods': 'GET, HEAD, OPTIONS',
+        'Access-Control-Allow-Headers': '*',
+      });
+      res.end();
+      return;
+    }
+    res.writeHead(endpoint.status, {
+      ...headers,
+      'Content-Type': 'text/plain',
+      'Cache-Control': 'no-store',
+    });
+    res.end(urlPath + '\n');
+  });
+  return new Promise((resolve) => {
+    server.listen(port, host, () => resolve(server));
+  });
+}
+
+module.exports = { serveCORS };
+
+if (require.main === module) {
+  let port = Number(process.argv[2] || 4100);
+  serveCORS('localhost', port).then((server) => {
+    let address = 'http://localhost:' + server.address().port;
+    console.log('serving CORS endpoints on ' + address);
+    for (let path of [...Object.keys(endpoints), '/not-found']) {
+      console.log('  ' + address + path);
+    }
+  });
+}
@@ -0,0 +1,355 @@
+// headless.js runs the libkernel test suite in a headless browser and prints
+// the results to stdout. The process exits with a non-zero code if any test
+// does not pass, so it can be used to gate kernel releases in CI.
+//
+// Usage:
+//   npm run build
+//   npm run test:headless -- --chrome /path/to/chrome --extension /path/to/ext
+//
+// '--help' lists the flags.
+// The skynet extension is required for the kernel to be reachable, without it
+// every test fails at TestLibkernelInit. Instead of flags, the CHROME_PATH and
+// SKYNET_EXTENSION_PATH environment variables can be used. By default the
+// production build in ./build is served on a local port; pass --url to test a
+// page that is already being served somewhere else, and '--kernel mock' to run
+// against the in-memory kernel from src/mockKernel.js instead of the extension.
+// '--json <file>' and '--junit <file>' save the results as JSON and JUnit XML.
+// '--tests A,B' and '--tags seeds' run only some of the tests, and
+// '--concurrency 4' runs up to four independent tests at the same time, and
+// '--retries 2' runs a failing test up to two more times. A test that passes
+// on a retry is reported as flaky, which does not fail the run.
+// '--testModule <skylink>' and '--helperModule <skylink>' test other builds of
+// the test and helper modules, see src/config.js. '--origins <url>,<url>'
+// lists the other origins that TestDomainIsolation loads the page on; when the
+// build is served locally it is also served on two more origins for this.
+// '--corsServer <url>' points TestBasicCORS at a running copy of
+// scripts/corsServer.js, and '--corsServer local' serves one on another port
+// for the run; '--corsURLs <url>,<url>' adds other URLs to check, see
+// src/cors.js. Without either, the test module fetches the websites it picks
+// itself.
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const puppeteer = require('puppeteer-core');
+const { serveCORS } = require('./corsServer');
+
+const buildDir = path.join(__dirname, '..', 'build');
+const contentTypes = {
+  '.css': 'text/css',
+  '.html': 'text/html',
+  '.ico': 'image/x-icon',
+  '.js': 'application/javascript',
+  '.json': 'application/json',
+  '.png': 'image/png',
+  '.svg': 'image/svg+xml',
+  '.txt': 'text/plain',
+};
+
+// usage is printed for '--help' and after an unrecognized flag.
+const usage = `usage: npm run test:headless -- [flags]
+
+  --chrome <path>         Chrome binary, or CHROME_PATH
+  --extension <path>      unpacked Skynet extension, or SKYNET_EXTENSION_PATH
+  --url <url>             test a deployed page instead of ./build
+  --kernel mock           use the in-memory kernel instead of the extension
+  --json <file>           save the results as JSON
+  --junit <file>          save the results as JUnit XML
+  --tests <A,B>           run only the named tests
+  --tags <tag,tag>        run only the tests with one of the tags
+  --concurrency <n>       run up to n independent tests at the same time
+  --retries <n>           run a failing test up to n more times
+  --testModule <skylink>  test another build of the test module
+  --helperModule <link>   test another build of the helper module
+  --origins <url,url>     other origins for TestDomainIsolation
+  --corsServer <url>      endpoints for TestBasicCORS, 'local' serves them
+  --corsURLs <url,url>    other URLs for TestBasicCORS to fetch
+  --timeout <ms>          give up on the suite after ms milliseconds`;
+
+// parseArgs reads '--flag value' pairs from the command line. It returns null
+// if the usage was asked for with '--help'.
+function parseArgs(argv) {
+  if (argv.includes('--help')) {
+    return null;
+  }
+  let args = {
+    chrome: process.env.CHROME_PATH,
+    extension: process.env.SKYNET_EXTENSION_PATH,
+    url: null,
+    kernel: null,
+    json: null,
+    junit: null,
+    tests: null,
+    tags: null,
+    concurrency: null,
+    retries: null,
+    testModule: null,
+    helperModule: null,
+    origins: null,
+    corsServer: null,
+    corsURLs: null,
+    timeout: 10 * 60 * 1000,
+  };
+  for (let i = 0; i < argv.length; i += 2) {
+    let flag = argv[i].replace(/^--/, '');
+    if (!(flag in args) || i + 1 >= argv.length) {
+      throw new Error(
+        'unrecognized or incomplete flag: ' + argv[i] + '\n\n' + usage
+      );
+    }
+    args[flag] = flag === 'timeout' ? Number(argv[i + 1]) : argv[i + 1];
+  }
+  if (!args.chrome) {
+    throw new Error('no chrome binary provided, use --chrome or CHROME_PATH');
+  }
+  return args;
+}
+
+// serveBuild serves the production build on a random port of host. The
+// promise resolves with the server once it is listening.
+function serveBuild(host = 'localhost') {
+  if (!fs.existsSync(path.join(buildDir, 'index.html'))) {
+    return Promise.reject(new Error('no build found, run `npm run build`'));
+  }
+  let server = http.createServer((req, res) => {
+    let urlPath = decodeURIComponent(new URL(req.url, 'http://x').pathname);
+    let filePath = path.join(buildDir, path.normalize(urlPath));
+    if (!filePath.startsWith(buildDir) || !fs.existsSync(filePath)) {
+      res.writeHead(404);
+      res.end();
+      return;
+    }
+    if (fs.statSync(filePath).isDirectory()) {
+      filePath = path.join(filePath, 'index.html');
+    }
+    res.writeHead(200, {
+      'Content-Type':
+        contentTypes[path.extname(filePath)] || 'application/octet-stream',
+    });
+    fs.createReadStream(filePath).pipe(res);
+  });
+  return new Promise((resolve) => {
+    server.listen(0, host, () => resolve(server));
+  });
+}
+
+// formatResult produces a single line of output for a test result.
+function formatResult(result) {
+  let duration = Math.round(result.duration) + 'ms';
+  return (
+    result.status.toUpperCase().padEnd(7) +
+    ' ' +
+    result.name.padEnd(32) +
+    ' ' +
+    duration.padStart(8) +
+    '  ' +
+    result.message
+  );
+}
+
+// formatLogEntry produces an indented line of output for a console message
+// that the page captured while a failing test ran.
+function formatLogEntry(entry) {
+  return (
+    '        [' +
+    Math.round(entry.time) +
+    'ms] ' +
+    entry.level +
+    ' ' +
+    entry.source +
+    ': ' +
+    entry.text
+  );
+}
+
+// runSuite opens the test page in a headless browser and resolves with the
+// results and the encoded reports once the page reports that the suite is
+// complete.
+function runSuite(browser, url, timeout) {
+  return new Promise((resolve, reject) => {
+    let timer = setTimeout(() => {
+      reject(new Error('test suite did not finish within ' + timeout + 'ms'));
+    }, timeout);
+    browser
+      .newPage()
+      .then((page) => {
+        return Promise.all([
+          page.exposeFunction('reportTestResult', (result) => {
+            console.log(formatResult(result));
+            for (let entry of result.logs || []) {
+              console.log(formatLogEntry(entry));
+            }
+          }),
+          page.exposeFunction('reportTestsComplete', (results, reports) => {
+            clearTimeout(timer);
+            resolve({ results, reports });
+          }),
+          page.exposeFunction('reportSelectionError', (message) => {
+            clearTimeout(timer);
+            reject(new Error(message));
+          }),
+        ]).then(() => page.goto(url));
+      })
+      .catch((err) => {
+        clearTimeout(timer);
+        reject(err);
+      });
+  });
+}
+
+// closeTimeout is how long closing the browser may take before it is killed.
+const closeTimeout = 10000;
+
+// closeBrowser closes the browser, and kills its process if it has not closed
+// within closeTimeout. The promise resolves once the browser is gone.
+function closeBrowser(browser) {
+  let timer = null;
+  let timedOut = new Promise((resolve) => {
+    timer = setTimeout(() => resolve(false), closeTimeout);
+  });
+  let closed = browser.close().then(
+    () => true,
+    () => false
+  );
+  return Promise.race([closed, timedOut]).then((ok) => {
+    clearTimeout(timer);
+    let child = browser.process();
+    if (!ok && child) {
+      console.error('the browser did not close, killing it');
+      child.kill('SIGKILL');
+    }
+  });
+}
+
+// main serves the page, runs the suite and sets the exit code: 0 if every
+// test passed, possibly on a retry, 1 if any test failed, timed out or was
+// skipped or if no test ran, and 2 if the suite could not be run, which
+// includes a selection with unknown tests or tags.
+function main() {
+  let args = parseArgs(process.argv.slice(2));
+  if (args === null) {
+    console.log(usage);
+    return Promise.resolve();
+  }
+  let launchArgs = ['--headless=new'];
+  if (args.extension) {
+    launchArgs.push('--disable-extensions-except=' + args.extension);
+    launchArgs.push('--load-extension=' + args.extension);
+  }
+
+  // When the build is served locally, it is also served on a second port of
+  // localhost and on 127.0.0.1, which TestDomainIsolation loads as other
+  // origins.
+  let servers = [];
+  let corsServer = null;
+  let browser = null;
+  let serve = args.url
+    ? Promise.resolve([])
+    : Promise.all([
+        serveBuild(),
+        serveBuild('127.0.0.1'),
+        serveBuild('localhost'),
+      ]);
+  return Promise.all([
+    serve,
+    args.corsServer === 'local' ? serveCORS() : Promise.resolve(null),
+  ])
+    .then(([s, c]) => {
+      servers = s;
+      corsServer = c;
+      return puppeteer.launch({
+        executablePath: args.chrome,
+        headless: false,
+        args: launchArgs,
+      });
+    })
+    .then((b) => {
+      browser = b;
+      let url =
+        args.url || 'http://localhost:' + servers[0].address().port + '/';
+      let pageUrl = new URL(url);
+      pageUrl.searchParams.set('headless', '');
+      for (let param of [
+        'kernel',
+        'tests',
+        'tags',
+        'concurrency',
+        'retries',
+        'testModule',
+        'helperModule',
+        'origins',
+        'corsServer',
+        'corsURLs',
+      ]) {
+        if (args[param]) {
+          pageUrl.searchParams.set(param, args[param]);
+        }
+      }
+      if (!args.origins && servers.length > 0) {
+        pageUrl.searchParams.set(
+          'origins',
+          [
+            'http://127.0.0.1:' + servers[1].address().port,
+            'http://localhost:' + servers[2].address().port,
+          ].join(',')
+        );
+      }
+      if (corsServer) {
+        pageUrl.searchParams.set(
+          'corsServer',
+          'http://localhost:' + corsServer.address().port
+        );
+      }
+      return runSuite(browser, pageUrl.toString(), args.timeout);
+    })
+    .then(({ results, reports }) => {
+      if (args.json) {
+        fs.writeFileSync(args.json, reports.json);
+      }
+      if (args.junit) {
+        fs.writeFileSync(args.junit, reports.junit);
+      }
+      let count = (status) => results.filter((r) => r.status === status).length;
+      let passed = count('pass');
+      let flaky = count('flaky');
+      let failed = count('fail');
+      let timedOut = count('timeout');
+      let skipped = count('skipped');
+      console.log(
+        '\n' +
+          passed +
+          ' passed, ' +
+          flaky +
+          ' flaky, ' +
+          failed +
+          ' failed, ' +
+          timedOut +
+          ' timed out, ' +
+          skipped +
+          ' skipped'
+      );
+      if (results.length === 0) {
+        console.error('no tests ran');
+      }
+      process.exitCode =
+        results.length > 0 && passed + flaky === results.length ? 0 : 1;
+    })
+    .finally(() => {
+      for (let server of servers) {
+        server.close();
+      }
+      if (corsServer) {
+        corsServer.close();
+      }
+      if (browser) {
+        return closeBrowser(browser);
+      }
+    });
+}
+
+Promise.resolve()
+  .then(main)
+  .catch((err) => {
+    console.error(err.message);
+    process.exitCode = 2;
+  });
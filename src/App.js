@@ -1,45 +1,240 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 
+import BenchmarkPanel from './BenchmarkPanel';
+import { runDiagnostics } from './diagnostics';
+import DiagnosticsPanel from './DiagnosticsPanel';
+import FlakeHuntPanel from './FlakeHuntPanel';
+import FuzzPanel from './FuzzPanel';
+import { historyAvailable, isFullRun, saveRun } from './history';
+import HistoryPanel from './HistoryPanel';
+import { startLogCapture, stopLogCapture, uncaptured } from './logs';
+import {
+  downloadFile,
+  formatLogEntry,
+  newResultsReport,
+  reportToJSON,
+  reportToJUnit,
+} from './results';
+import { passed, runTests, summarizeResults } from './runner';
+import SequenceDiagram from './SequenceDiagram';
+import SettingsPanel from './SettingsPanel';
+import SoakPanel from './SoakPanel';
+import SummaryPanel from './SummaryPanel';
+import {
+  groupByCategory,
+  listTags,
+  matchesFilter,
+  parseConcurrency,
+  parseFilter,
+  parseRetries,
+  parseSelection,
+  selectionToSearch,
+} from './selection';
 // Array of tests and names imported to tidy code
 import { testCardValues } from './testMethods';
+import { runVerdict, showVerdict } from './verdict';
 
-// TestCard is a react component that runs a test and reports the result.
+// cardStyle returns the status text and color of a card given the latest
+// result of its test, whether the test is queued or running and whether it
+// is an opt-in test, see selection.js.
+function cardStyle(result, runState, optIn) {
+  if (runState === 'running') {
+    return ['test is running', 'rgba(255, 165, 0, 0.6)'];
+  }
+  if (runState === 'queued') {
+    return ['test is waiting', 'rgba(60, 60, 60, 0.6)'];
+  }
+  if (!result && optIn) {
+    return [
+      'opt-in test, not part of the default run: select it to run it',
+      'rgba(60, 60, 60, 0.3)',
+    ];
+  }
+  if (!result) {
+    return ['test has not run', 'rgba(60, 60, 60, 0.3)'];
+  }
+  if (result.status === 'pass') {
+    return ['test success: ' + result.message, 'rgba(0, 80, 0, 0.6)'];
+  }
+  if (result.status === 'flaky') {
+    return [
+      'flaky, passed on attempt ' +
+        result.attempts.length +
+        ': ' +
+        result.message,
+      'rgba(160, 160, 0, 0.6)',
+    ];
+  }
+  if (result.status === 'timeout') {
+    return [result.message, 'rgba(128, 0, 128, 0.6)'];
+  }
+  if (result.status === 'skipped') {
+    return [result.message, 'rgba(200, 200, 0, 0.4)'];
+  }
+  return [result.message, 'rgba(255, 0, 0, 0.6)'];
+}
+
+// groupSummary describes the results of the tests of a category in the
+// header of its group.
+function groupSummary(results) {
+  if (results.length === 0) {
+    return '';
+  }
+  let summary = summarizeResults(results);
+  let parts = [summary.passed + '/' + results.length + ' passed'];
+  if (summary.flaky > 0) {
+    parts.push(summary.flaky + ' flaky');
+  }
+  if (summary.failed + summary.timedOut > 0) {
+    parts.push(summary.failed + summary.timedOut + ' failed');
+  }
+  if (summary.skipped > 0) {
+    parts.push(summary.skipped + ' skipped');
+  }
+  return '(' + parts.join(', ') + ')';
+}
+
+// maxLoggedUpdates limits how many updates are kept for each test, so that a
+// module that floods the page with updates cannot exhaust its memory.
+const maxLoggedUpdates = 200;
+
+// recordEvent adds an event reported by a running test, see runTest, to the
+// activity shown on its card. Activity has the form:
+//   { progress, updates, dropped, outOfOrder }
+// where progress is the latest progress event, updates the most recent update
+// events, dropped the number of older updates that were discarded, and
+// outOfOrder the number of updates that arrived out of order.
+function recordEvent(activity, event) {
+  let next = activity || {
+    progress: null,
+    updates: [],
+    dropped: 0,
+    outOfOrder: 0,
+  };
+  if (event.type === 'progress') {
+    return { ...next, progress: event };
+  }
+  let updates = [...next.updates, event];
+  let dropped = next.dropped;
+  if (updates.length > maxLoggedUpdates) {
+    updates.shift();
+    dropped += 1;
+  }
+  return {
+    ...next,
+    updates,
+    dropped,
+    outOfOrder: next.outOfOrder + (event.outOfOrder ? 1 : 0),
+  };
+}
+
+// TestActivity shows the progress and the updates reported by a test while it
+// runs. It stays visible after the test finishes, until the test runs again.
+function TestActivity({ activity }) {
+  let { progress, updates, dropped, outOfOrder } = activity;
+  let total = updates.length + dropped;
+  return (
+    <>
+      {progress !== null && (
+        <p>
+          <progress value={progress.done} max={progress.total} />{' '}
+          {progress.done}/{progress.total}
+        </p>
+      )}
+      {total > 0 && (
+        <details>
+          <summary>
+            {total} updates
+            {outOfOrder > 0 && ', ' + outOfOrder + ' out of order'}
+          </summary>
+          {dropped > 0 && <p>{dropped} earlier updates not shown</p>}
+          <ol start={dropped + 1}>
+            {updates.map((update, i) => (
+              <li
+                key={i}
+                style={{ color: update.outOfOrder ? 'darkred' : undefined }}
+              >
+                {Math.round(update.time)}ms: {update.data}
+                {update.outOfOrder && ' (out of order)'}
+              </li>
+            ))}
+          </ol>
+        </details>
+      )}
+    </>
+  );
+}
+
+// logColors highlights warnings and errors in the captured logs.
+const logColors = { warn: 'darkorange', error: 'darkred' };
+
+// TestLogs shows the console messages captured while a failing test ran, see
+// logs.js.
+function TestLogs({ logs }) {
+  return (
+    <details>
+      <summary>{logs.length} log messages</summary>
+      <ol style={{ fontFamily: 'monospace' }}>
+        {logs.map((entry, i) => (
+          <li key={i} style={{ color: logColors[entry.level] }}>
+            {formatLogEntry(entry)}
+          </li>
+        ))}
+      </ol>
+    </details>
+  );
+}
+
+// TestTrace shows the messages a test exchanged with the kernel, see
+// trace.js. The diagram is only drawn once it is opened, because drawing one
+// for every card slows down the page.
+function TestTrace({ name, trace, flow }) {
+  const [open, setOpen] = useState(false);
+  let calls = trace.calls.length + trace.dropped;
+  return (
+    <details onToggle={(e) => setOpen(e.currentTarget.open)}>
+      <summary>
+        message flow: {calls} {calls === 1 ? 'call' : 'calls'}
+      </summary>
+      {open && <SequenceDiagram name={name} trace={trace} flow={flow} />}
+    </details>
+  );
+}
+
+// TestAttempts lists the attempts of a test that was retried, see
+// runWithRetries in runner.js.
+function TestAttempts({ attempts }) {
+  return (
+    <details>
+      <summary>{attempts.length} attempts</summary>
+      <ol>
+        {attempts.map((attempt, i) => (
+          <li key={i} style={{ whiteSpace: 'pre-wrap' }}>
+            {attempt.status} in {Math.round(attempt.duration)}ms:{' '}
+            {attempt.message}
+          </li>
+        ))}
+      </ol>
+    </details>
+  );
+}
+
+// TestCard is a react component that displays the state of a test, along with
+// a checkbox to select it and a button to run it again. Once the test has
+// run, the card shows the messages it exchanged with the kernel.
 function TestCard({
   name: testName,
-  test,
-  queueSpot,
-  queueTurn,
-  setQueueTurn,
+  flow,
+  optIn,
+  result,
+  activity,
+  runState,
+  selected,
+  onToggle,
+  onRerun,
+  busy,
 }) {
-  const [testStatus, setTestStatus] = useState('test is waiting');
-  const [statusColor, setStatusColor] = useState('rgba(60, 60, 60, 0.6)');
-  const [duration, setDuration] = useState(0);
-
-  // runs each time queueTurn is updated and sees if this card's
-  // queue spot matches it.
-  useEffect(() => {
-    if (queueTurn === queueSpot) {
-      setTestStatus('test is running');
-      setStatusColor('rgba(255, 165, 0, 0.6)');
-      let start = performance.now();
-      test()
-        .then((x) => {
-          setTestStatus('test success: ' + x);
-          setStatusColor('rgba(0, 80, 0, 0.6)');
-          setDuration(performance.now() - start);
-          setQueueTurn(queueTurn + 1);
-        })
-        .catch((x) => {
-          console.error(x);
-          setTestStatus(x);
-          setStatusColor('rgba(255, 0, 0, 0.6)');
-          let end = performance.now();
-          setDuration(end - start);
-          setQueueTurn(queueTurn + 1);
-        });
-    }
-  }, [test, queueTurn, setQueueTurn, queueSpot]);
-
+  const [testStatus, statusColor] = cardStyle(result, runState, optIn);
   return (
     <div
       style={{
@@ -49,28 +244,410 @@ function TestCard({
         padding: '6px',
       }}
     >
-      <p>{testName}</p>
-      <p>{testStatus}</p>
-      <p>{duration}ms</p>
+      <p>
+        <label>
+          <input
+            type="checkbox"
+            checked={selected}
+            onChange={() => onToggle(testName)}
+          />
+          {testName}
+        </label>{' '}
+        <button
+          aria-label={'re-run ' + testName}
+          disabled={busy}
+          onClick={() => onRerun(testName)}
+        >
+          re-run
+        </button>
+      </p>
+      <p style={{ whiteSpace: 'pre-wrap' }}>{testStatus}</p>
+      {activity && <TestActivity activity={activity} />}
+      {result && result.attempts && <TestAttempts attempts={result.attempts} />}
+      {result && result.logs && <TestLogs logs={result.logs} />}
+      {result && result.trace && (
+        <TestTrace name={testName} trace={result.trace} flow={flow} />
+      )}
+      <p>{result ? result.duration : 0}ms</p>
     </div>
   );
 }
 
+// saveToHistory stores the report of a finished run of the full suite in the
+// run history, see isFullRun. The report only holds the results of that run,
+// not those of earlier runs that are still shown. The promise resolves with
+// whether the report was stored.
+function saveToHistory(runResults, start) {
+  if (!historyAvailable() || !isFullRun(runResults, testCardValues)) {
+    return Promise.resolve(false);
+  }
+  let ordered = testCardValues
+    .map((t) => runResults.find((r) => r.name === t.name))
+    .filter((r) => r);
+  return saveRun(newResultsReport(ordered, start)).then(
+    () => true,
+    (err) => {
+      console.error('unable to save run history:', err);
+      return false;
+    }
+  );
+}
+
 // Establish the index page.
 const App = () => {
-  const [queueTurn, setQueueTurn] = useState(0);
+  const [results, setResults] = useState({});
+  const [runStates, setRunStates] = useState({});
+  const [activities, setActivities] = useState({});
+  const [busy, setBusy] = useState(false);
+  // panelRunning is the name of the panel whose run is in progress, or null.
+  // While the suite or a panel runs, nothing else can be started, because
+  // runs that overlap skew each other's timings and share the modules.
+  const [panelRunning, setPanelRunning] = useState(null);
+  const [startTime, setStartTime] = useState(() => new Date());
+  const [elapsed, setElapsed] = useState(null);
+  const [selected, setSelected] = useState(() =>
+    parseSelection(window.location.search, testCardValues)
+  );
+  const [filter, setFilter] = useState(() =>
+    parseFilter(window.location.search)
+  );
+  const [concurrency, setConcurrency] = useState(() =>
+    parseConcurrency(window.location.search)
+  );
+  const [retries, setRetries] = useState(() =>
+    parseRetries(window.location.search)
+  );
+  const [historyRevision, setHistoryRevision] = useState(0);
+  const [checks, setChecks] = useState([]);
+  const [diagnosis, setDiagnosis] = useState(null);
+  const autoRan = useRef(false);
+  const runStart = useRef(0);
+
+  // runNames runs the named tests, respecting the order and dependencies of
+  // testCardValues. Any previous results of those tests are discarded.
+  const runNames = useCallback(
+    (names) => {
+      let tests = testCardValues.filter((t) => names.includes(t.name));
+      if (tests.length === 0) {
+        return;
+      }
+      let queued = {};
+      for (let test of tests) {
+        queued[test.name] = 'queued';
+      }
+      let start = new Date();
+      setBusy(true);
+      setStartTime(start);
+      setElapsed(null);
+      runStart.current = performance.now();
+      setRunStates(queued);
+      let clear = (prev) => {
+        let next = { ...prev };
+        for (let test of tests) {
+          delete next[test.name];
+        }
+        return next;
+      };
+      setResults(clear);
+      setActivities(clear);
+      runTests(tests, {
+        concurrency,
+        retries,
+        onStart: (test) => {
+          setRunStates((prev) => ({ ...prev, [test.name]: 'running' }));
+        },
+        onEvent: (name, event) => {
+          setActivities((prev) => ({
+            ...prev,
+            [name]: recordEvent(prev[name], event),
+          }));
+        },
+        onResult: (result) => {
+          if (!passed(result)) {
+            uncaptured(() =>
+              console.error(result.name + ': ' + result.message)
+            );
+          }
+          setResults((prev) => ({ ...prev, [result.name]: result }));
+          setRunStates((prev) => {
+            let next = { ...prev };
+            delete next[result.name];
+            return next;
+          });
+        },
+      }).then((runResults) => {
+        setElapsed(performance.now() - runStart.current);
+        setBusy(false);
+        return saveToHistory(runResults, start).then((saved) => {
+          if (saved) {
+            setHistoryRevision((r) => r + 1);
+          }
+        });
+      });
+    },
+    [concurrency, retries]
+  );
+
+  // Capture the console while the page is open, so that failing tests show
+  // what was logged while they ran.
+  useEffect(() => {
+    startLogCapture();
+    return stopLogCapture;
+  }, []);
+
+  // diagnose checks the environment, see diagnostics.js, and resolves with
+  // the diagnosis.
+  const diagnose = useCallback(() => {
+    setChecks([]);
+    setDiagnosis(null);
+    return runDiagnostics({
+      onCheck: (check) => setChecks((prev) => [...prev, check]),
+    }).then((result) => {
+      setDiagnosis(result);
+      return result;
+    });
+  }, []);
+
+  // Check the environment when the page loads, then run the selected tests
+  // unless the kernel cannot be reached. The ref stops the suite from running
+  // twice when effects are replayed in strict mode.
+  useEffect(() => {
+    if (autoRan.current) {
+      return;
+    }
+    autoRan.current = true;
+    diagnose().then((result) => {
+      if (result.verdict !== 'blocked') {
+        runNames(selected);
+      }
+    });
+  }, [diagnose, runNames, selected]);
+
+  // Keep the query string in sync with the selection so the current view can
+  // be shared as a link.
+  useEffect(() => {
+    let search = selectionToSearch(
+      window.location.search,
+      selected,
+      filter,
+      concurrency,
+      retries,
+      testCardValues
+    );
+    if (search !== window.location.search) {
+      window.history.replaceState(
+        null,
+        '',
+        window.location.pathname + search + window.location.hash
+      );
+    }
+  }, [selected, filter, concurrency, retries]);
+
+  const toggleTest = useCallback((name) => {
+    setSelected((prev) =>
+      prev.includes(name) ? prev.filter((n) => n !== name) : [...prev, name]
+    );
+  }, []);
+
+  // toggleTag selects every test with the tag, or deselects them all if they
+  // are already selected.
+  const toggleTag = (tag) => {
+    let names = testCardValues
+      .filter((t) => t.tags.includes(tag))
+      .map((t) => t.name);
+    let allSelected = names.every((n) => selected.includes(n));
+    setSelected((prev) =>
+      allSelected
+        ? prev.filter((n) => !names.includes(n))
+        : [...prev, ...names.filter((n) => !prev.includes(n))]
+    );
+  };
+
+  const finishedResults = useMemo(
+    () => testCardValues.map((t) => results[t.name]).filter((r) => r),
+    [results]
+  );
+  const failedNames = finishedResults
+    .filter((r) => !passed(r))
+    .map((r) => r.name);
 
-  const queue = { queueTurn, setQueueTurn };
+  const report = useMemo(
+    () => newResultsReport(finishedResults, startTime),
+    [finishedResults, startTime]
+  );
+  const summary = useMemo(
+    () => summarizeResults(finishedResults),
+    [finishedResults]
+  );
+  const verdict = runVerdict(summary, busy);
+  const blocked = busy || panelRunning !== null;
+
+  // runningChange returns the onRunningChange callback of a panel.
+  const runningChange = (panel) => (running) =>
+    setPanelRunning(running ? panel : null);
+
+  // Show the verdict in the title and favicon of the page, so that it can be
+  // seen from a background tab.
+  useEffect(() => {
+    showVerdict(verdict);
+  }, [verdict]);
+
+  // exportResults downloads the results collected so far in the given
+  // format.
+  const exportResults = (format) => {
+    let stamp = report.timestamp.replace(/[:.]/g, '-');
+    if (format === 'junit') {
+      downloadFile(
+        'libkernel-results-' + stamp + '.xml',
+        reportToJUnit(report),
+        'application/xml'
+      );
+    } else {
+      downloadFile(
+        'libkernel-results-' + stamp + '.json',
+        reportToJSON(report),
+        'application/json'
+      );
+    }
+  };
 
-  // Render each testCardValue with a TestCard
-  const testCards = testCardValues.map((test, index) => (
-    <TestCard key={index} queueSpot={index} {...test} {...queue} />
+  // Render each testCardValue that matches the filter with a TestCard, in a
+  // collapsible group per category.
+  const testCards = groupByCategory(
+    testCardValues.filter((test) => matchesFilter(test, filter))
+  ).map(({ category, tests }) => (
+    <details key={category} open>
+      <summary>
+        <h2 style={{ display: 'inline' }}>{category}</h2>{' '}
+        {groupSummary(tests.map((t) => results[t.name]).filter((r) => r))}
+      </summary>
+      {tests.map((test) => (
+        <TestCard
+          key={test.name}
+          name={test.name}
+          flow={test.flow}
+          optIn={test.optIn}
+          result={results[test.name]}
+          activity={activities[test.name]}
+          runState={runStates[test.name]}
+          selected={selected.includes(test.name)}
+          onToggle={toggleTest}
+          onRerun={(name) => runNames([name])}
+          busy={blocked}
+        />
+      ))}
+    </details>
   ));
 
   return (
     <main>
-      <title>Libkernel Test Suite</title>
-      <h1>Running Tests</h1>
+      <SummaryPanel summary={summary} verdict={verdict} elapsed={elapsed} />
+      <DiagnosticsPanel
+        checks={checks}
+        diagnosis={diagnosis}
+        disabled={blocked}
+        onRerun={diagnose}
+      />
+      <div>
+        <button disabled={blocked} onClick={() => runNames(selected)}>
+          Run selected
+        </button>
+        <button
+          disabled={blocked || failedNames.length === 0}
+          onClick={() => runNames(failedNames)}
+        >
+          Re-run failed
+        </button>
+        <button onClick={() => setSelected(testCardValues.map((t) => t.name))}>
+          Select all
+        </button>
+        <button onClick={() => setSelected([])}>Select none</button>
+      </div>
+      <div>
+        {listTags(testCardValues).map((tag) => (
+          <label key={tag}>
+            <input
+              type="checkbox"
+              checked={testCardValues
+                .filter((t) => t.tags.includes(tag))
+                .every((t) => selected.includes(t.name))}
+              onChange={() => toggleTag(tag)}
+            />
+            {tag}
+          </label>
+        ))}
+      </div>
+      <div>
+        <label>
+          tests to run in parallel (1 runs them sequentially){' '}
+          <input
+            type="number"
+            min="1"
+            value={concurrency}
+            onChange={(e) =>
+              setConcurrency(Math.max(1, parseInt(e.target.value, 10) || 1))
+            }
+          />
+        </label>{' '}
+        <label>
+          times a failing test is retried (0 runs each test once){' '}
+          <input
+            type="number"
+            min="0"
+            value={retries}
+            onChange={(e) =>
+              setRetries(Math.max(0, parseInt(e.target.value, 10) || 0))
+            }
+          />
+        </label>
+      </div>
+      <div>
+        <input
+          type="search"
+          placeholder="filter tests"
+          value={filter}
+          onChange={(e) => setFilter(e.target.value)}
+        />
+      </div>
+      <div>
+        <button onClick={() => exportResults('json')}>Download JSON</button>
+        <button onClick={() => exportResults('junit')}>
+          Download JUnit XML
+        </button>
+      </div>
+      <details>
+        <summary>Settings</summary>
+        <SettingsPanel disabled={blocked} />
+      </details>
+      <details>
+        <summary>Benchmarks</summary>
+        <BenchmarkPanel
+          disabled={blocked}
+          onRunningChange={runningChange('benchmarks')}
+        />
+      </details>
+      <details>
+        <summary>Soak</summary>
+        <SoakPanel disabled={blocked} onRunningChange={runningChange('soak')} />
+      </details>
+      <details>
+        <summary>Flake hunt</summary>
+        <FlakeHuntPanel
+          disabled={blocked}
+          onRunningChange={runningChange('flake hunt')}
+        />
+      </details>
+      <details>
+        <summary>Fuzzing</summary>
+        <FuzzPanel
+          disabled={blocked}
+          onRunningChange={runningChange('fuzzer')}
+        />
+      </details>
+      <details>
+        <summary>History</summary>
+        <HistoryPanel report={report} revision={historyRevision} />
+      </details>
 
       {testCards}
     </main>
@@ -1,8 +1,222 @@
-import { render, screen } from '@testing-library/react';
+import { fireEvent, render, screen, waitFor } from '@testing-library/react';
 import App from './App';
+import { setConfig } from './config';
+import { setKernel } from './kernel';
+import { newMockKernel } from './mockKernel';
 
-test('renders learn react link', () => {
+afterEach(() => {
+  window.history.replaceState(null, '', '/');
+  setConfig(null);
+});
+
+test('runs the whole suite against the mock kernel', async () => {
+  setKernel(newMockKernel());
+  render(<App />);
+  expect(screen.getByText('TestLibkernelInit')).toBeInTheDocument();
+  await screen.findByText(
+    'test success: helper module did not accumulate any errors',
+    {},
+    { timeout: 10000 }
+  );
+  expect(screen.queryAllByText(/^test success/)).toHaveLength(44);
+  expect(screen.getAllByText('3 updates')).toHaveLength(1);
+  expect(
+    screen.getAllByText(/^opt-in test, not part of the default run/)
+  ).toHaveLength(2);
+  expect(screen.getByText('5000/5000')).toBeInTheDocument();
+  expect(screen.getAllByText('20000/20000')).toHaveLength(2);
+  expect(
+    screen.getByText('44 passed, 0 failed, 0 timed out, 0 skipped')
+  ).toBeInTheDocument();
+  expect(
+    screen.getByRole('heading', { level: 1, name: 'All Tests Passed' })
+  ).toBeInTheDocument();
+  await screen.findByText(/^verdict: passed/);
+  expect(screen.getByText(/, total time \d/)).toBeInTheDocument();
+  await waitFor(() => expect(document.title).toBe('✔ Libkernel Test Suite'));
+  expect(screen.getByText('(14/14 passed)')).toBeInTheDocument();
+  expect(screen.getAllByText(/^message flow: \d+ calls?$/)).not.toHaveLength(0);
+});
+
+test('does not run the suite when the extension is missing', async () => {
+  setKernel(newMockKernel({ bridge: false }));
+  render(<App />);
+  await screen.findByText(
+    /Install the Skynet browser extension/,
+    {},
+    {
+      timeout: 10000,
+    }
+  );
+  expect(screen.getAllByText('test has not run')).toHaveLength(44);
+
+  fireEvent.click(screen.getByRole('button', { name: 'Run selected' }));
+  await screen.findByText('0 passed, 1 failed, 0 timed out, 43 skipped');
+  await waitFor(() => expect(document.title).toBe('✘ Libkernel Test Suite'));
+  expect(
+    screen.getByText('(0/2 passed, 1 failed, 1 skipped)')
+  ).toBeInTheDocument();
+  expect(
+    screen.getAllByText(/do you have the Skynet browser extension/).length
+  ).toBeGreaterThan(0);
+  expect(
+    screen.getAllByText('skipped because TestLibkernelInit did not pass')
+  ).toHaveLength(43);
+});
+
+test('runs only the tests selected in the URL and can re-run one', async () => {
+  window.history.replaceState(null, '', '/?kernel=mock&tags=seeds');
+  setKernel(newMockKernel());
+  render(<App />);
+  await screen.findByText('8 passed, 0 failed, 0 timed out, 0 skipped');
+  expect(screen.getAllByText('test has not run')).toHaveLength(36);
+  expect(window.location.search).toBe(
+    '?kernel=mock&tests=TestModuleHasSeed,TestModulePresentSeed,' +
+      'TestModuleCheckHelperSeed,TestViewTesterSeedByHelper,' +
+      'TestSeedDeterminism,TestSeedUniqueness,TestSeedNotExposed,' +
+      'ContractHelperPresentSeed'
+  );
+
+  fireEvent.click(
+    screen.getByRole('button', { name: 're-run TestMirrorDomain' })
+  );
+  await screen.findByText('test success: got expected domain: localhost');
+  expect(
+    screen.getByText('9 passed, 0 failed, 0 timed out, 0 skipped')
+  ).toBeInTheDocument();
+});
+
+test('runs opt-in tests when they are selected', async () => {
+  window.history.replaceState(null, '', '/?kernel=mock&tags=queries');
+  setKernel(newMockKernel());
+  render(<App />);
+  await screen.findByText('2 passed, 0 failed, 0 timed out, 0 skipped');
+  expect(
+    screen.getByText(
+      'test success: module ended the query after it was cancelled'
+    )
+  ).toBeInTheDocument();
+  expect(window.location.search).toBe(
+    '?kernel=mock&tests=TestQueryUpdates,TestCancelQuery'
+  );
+});
+
+test('runs the suite in parallel when a concurrency is set', async () => {
+  window.history.replaceState(null, '', '/?concurrency=4&retries=1');
+  setKernel(newMockKernel());
+  render(<App />);
+  await screen.findByText(
+    '44 passed, 0 failed, 0 timed out, 0 skipped',
+    {},
+    { timeout: 10000 }
+  );
+  expect(screen.getByLabelText(/tests to run in parallel/)).toHaveValue(4);
+  expect(screen.getByLabelText(/failing test is retried/)).toHaveValue(1);
+  fireEvent.change(screen.getByLabelText(/failing test is retried/), {
+    target: { value: '0' },
+  });
+  expect(window.location.search).toBe('?concurrency=4');
+});
+
+test('runs the suite against the modules in the URL', async () => {
+  let testModule = 'AQBmFdF14nfEQrERIknEBvZoTXxyxG8nejSjH6ebCqcFkQ';
+  window.history.replaceState(null, '', '/?testModule=' + testModule);
+  setConfig(null);
+  setKernel(newMockKernel());
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  await screen.findByText(
+    '44 passed, 0 failed, 0 timed out, 0 skipped',
+    {},
+    { timeout: 10000 }
+  );
+  expect(screen.getByLabelText('test module skylink')).toHaveValue(testModule);
+});
+
+test('holds off the suite and the other panels while a panel runs', async () => {
+  window.history.replaceState(null, '', '/?tests=TestLibkernelInit');
+  setKernel(newMockKernel());
+  render(<App />);
+  await screen.findByText('1 passed, 0 failed, 0 timed out, 0 skipped');
+  let runSelected = screen.getByRole('button', { name: 'Run selected' });
+  let runBenchmarks = screen.getByRole('button', { name: 'Run benchmarks' });
+  expect(runSelected).toBeEnabled();
+
+  fireEvent.click(runBenchmarks);
+  expect(runSelected).toBeDisabled();
+  expect(screen.getByRole('button', { name: 'Start hunt' })).toBeDisabled();
+  expect(
+    screen.getByRole('button', { name: 're-run TestMirrorDomain' })
+  ).toBeDisabled();
+  await screen.findByRole(
+    'button',
+    { name: 'Run benchmarks' },
+    { timeout: 20000 }
+  );
+  expect(runSelected).toBeEnabled();
+}, 30000);
+
+test('benchmarks that hang can be stopped', async () => {
+  window.history.replaceState(null, '', '/?tests=TestLibkernelInit');
+  setKernel(newMockKernel());
+  render(<App />);
+  await screen.findByText('1 passed, 0 failed, 0 timed out, 0 skipped');
+  let runSelected = screen.getByRole('button', { name: 'Run selected' });
+  setKernel({ ...newMockKernel(), testMessage: () => new Promise(() => {}) });
+
+  fireEvent.click(screen.getByRole('button', { name: 'Run benchmarks' }));
+  expect(runSelected).toBeDisabled();
+  fireEvent.click(screen.getByRole('button', { name: 'Stop benchmarks' }));
+  await screen.findByRole('button', { name: 'Run benchmarks' });
+  expect(runSelected).toBeEnabled();
+  expect(
+    screen.getByText('benchmark stopped during run 1')
+  ).toBeInTheDocument();
+});
+
+test('holds off the suite until a soak run is stopped', async () => {
+  window.history.replaceState(null, '', '/?tests=TestLibkernelInit');
+  setKernel(newMockKernel());
+  render(<App />);
+  await screen.findByText('1 passed, 0 failed, 0 timed out, 0 skipped');
+  let runSelected = screen.getByRole('button', { name: 'Run selected' });
+
+  fireEvent.click(screen.getByRole('button', { name: 'Start soak' }));
+  expect(runSelected).toBeDisabled();
+  expect(screen.getByRole('button', { name: 'Run benchmarks' })).toBeDisabled();
+  fireEvent.click(screen.getByRole('button', { name: 'Stop soak' }));
+  await screen.findByRole('button', { name: 'Start soak' }, { timeout: 5000 });
+  expect(runSelected).toBeEnabled();
+});
+
+test('holds off the suite while hunting for flakes', async () => {
+  window.history.replaceState(null, '', '/?tests=TestLibkernelInit');
+  setKernel(newMockKernel());
+  render(<App />);
+  await screen.findByText('1 passed, 0 failed, 0 timed out, 0 skipped');
+  let runSelected = screen.getByRole('button', { name: 'Run selected' });
+  fireEvent.change(screen.getByLabelText('test'), {
+    target: { value: 'TestMirrorDomain' },
+  });
+
+  fireEvent.click(screen.getByRole('button', { name: 'Start hunt' }));
+  expect(runSelected).toBeDisabled();
+  expect(screen.getByRole('button', { name: 'Start soak' })).toBeDisabled();
+  await screen.findByText('20/20 runs passed, pass rate 100.0%');
+  expect(runSelected).toBeEnabled();
+});
+
+test('holds off the suite while the fuzzer runs', async () => {
+  window.history.replaceState(null, '', '/?tests=TestLibkernelInit');
+  setKernel(newMockKernel());
+  render(<App />);
+  await screen.findByText('1 passed, 0 failed, 0 timed out, 0 skipped');
+  let runSelected = screen.getByRole('button', { name: 'Run selected' });
+  fireEvent.change(screen.getByLabelText('seed'), { target: { value: '1' } });
+  fireEvent.change(screen.getByLabelText('cases'), { target: { value: '5' } });
+
+  fireEvent.click(screen.getByRole('button', { name: 'Run fuzzer' }));
+  expect(runSelected).toBeDisabled();
+  expect(screen.getByRole('button', { name: 'Start hunt' })).toBeDisabled();
+  await screen.findByText('seed 1: 5 cases, 0 failed');
+  expect(runSelected).toBeEnabled();
 });
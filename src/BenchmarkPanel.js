@@ -0,0 +1,185 @@
+import { useRef, useState } from 'react';
+
+import { runBenchmark } from './benchmark';
+import { benchmarkValues } from './testMethods';
+
+// formatMs formats a duration in milliseconds for the results table.
+function formatMs(ms) {
+  return ms < 10 ? ms.toFixed(3) : ms.toFixed(1);
+}
+
+// Histogram draws a latency histogram as a row of bars.
+function Histogram({ buckets }) {
+  let highest = Math.max(1, ...buckets.map((b) => b.count));
+  return (
+    <div style={{ display: 'flex', alignItems: 'flex-end', height: '40px' }}>
+      {buckets.map((bucket, i) => (
+        <div
+          key={i}
+          title={
+            formatMs(bucket.from) +
+            '-' +
+            formatMs(bucket.to) +
+            'ms: ' +
+            bucket.count
+          }
+          style={{
+            width: '8px',
+            marginRight: '1px',
+            height: (bucket.count / highest) * 100 + '%',
+            backgroundColor: 'rgba(0, 0, 128, 0.6)',
+          }}
+        />
+      ))}
+    </div>
+  );
+}
+
+// BenchmarkPanel runs the speed tests in benchmarkValues repeatedly and
+// reports statistics for each of them. Benchmarks run one at a time, and
+// should not be run while the test suite is running because the two would
+// skew each other's timings. onRunningChange is called with true when the
+// benchmarks start and with false when they are done, so that the page can
+// hold off everything else in the meantime. Each run has a timeout, and the
+// benchmarks can be stopped, so that a kernel that stops responding does not
+// hold off the page for good.
+function BenchmarkPanel({ disabled, onRunningChange = () => {} }) {
+  const [iterations, setIterations] = useState(5);
+  const [warmup, setWarmup] = useState(1);
+  const [messages, setMessages] = useState(() =>
+    Object.fromEntries(benchmarkValues.map((b) => [b.name, b.messages]))
+  );
+  const [stats, setStats] = useState({});
+  const [progress, setProgress] = useState(null);
+  const stopRequested = useRef(false);
+
+  // runAll runs every benchmark in turn, recording either the statistics or
+  // the error of each one, until all have run or they are stopped.
+  const runAll = () => {
+    stopRequested.current = false;
+    setStats({});
+    onRunningChange(true);
+    let runNext = function (i) {
+      if (i === benchmarkValues.length || stopRequested.current) {
+        setProgress(null);
+        onRunningChange(false);
+        return;
+      }
+      let benchmark = benchmarkValues[i];
+      setProgress(benchmark.name + ': 0/' + (warmup + iterations) + ' runs');
+      runBenchmark(benchmark, {
+        messages: messages[benchmark.name],
+        iterations,
+        warmup,
+        onProgress: (done) => {
+          setProgress(
+            benchmark.name + ': ' + done + '/' + (warmup + iterations) + ' runs'
+          );
+        },
+        shouldStop: () => stopRequested.current,
+      })
+        .then((result) => {
+          setStats((prev) => ({ ...prev, [benchmark.name]: result }));
+        })
+        .catch((err) => {
+          setStats((prev) => ({
+            ...prev,
+            [benchmark.name]: { error: String(err) },
+          }));
+        })
+        .then(() => {
+          runNext(i + 1);
+        });
+    };
+    runNext(0);
+  };
+
+  const numberInput = (value, onChange, min) => (
+    <input
+      type="number"
+      min={min}
+      value={value}
+      onChange={(e) =>
+        onChange(Math.max(min, parseInt(e.target.value, 10) || min))
+      }
+    />
+  );
+
+  return (
+    <div style={{ margin: '12px' }}>
+      <p>
+        <label>runs {numberInput(iterations, setIterations, 1)}</label>{' '}
+        <label>warmup runs {numberInput(warmup, setWarmup, 0)}</label>{' '}
+        {progress !== null ? (
+          <button onClick={() => (stopRequested.current = true)}>
+            Stop benchmarks
+          </button>
+        ) : (
+          <button disabled={disabled} onClick={runAll}>
+            Run benchmarks
+          </button>
+        )}
+      </p>
+      {progress !== null && <p>running {progress}</p>}
+      <table>
+        <thead>
+          <tr>
+            <th>benchmark</th>
+            <th>messages</th>
+            <th>min (ms)</th>
+            <th>median (ms)</th>
+            <th>p95 (ms)</th>
+            <th>max (ms)</th>
+            <th>messages/s</th>
+            <th>latency per message</th>
+          </tr>
+        </thead>
+        <tbody>
+          {benchmarkValues.map((benchmark) => {
+            let result = stats[benchmark.name];
+            let row;
+            if (result === undefined) {
+              row = <td colSpan={6} />;
+            } else if ('error' in result) {
+              row = <td colSpan={6}>{result.error}</td>;
+            } else {
+              row = (
+                <>
+                  <td>{formatMs(result.duration.min)}</td>
+                  <td>{formatMs(result.duration.median)}</td>
+                  <td>{formatMs(result.duration.p95)}</td>
+                  <td>{formatMs(result.duration.max)}</td>
+                  <td>{Math.round(result.throughput.median)}</td>
+                  <td>
+                    median {formatMs(result.latency.median)}ms, p95{' '}
+                    {formatMs(result.latency.p95)}ms
+                    <Histogram buckets={result.histogram} />
+                  </td>
+                </>
+              );
+            }
+            return (
+              <tr key={benchmark.name}>
+                <td>{benchmark.name}</td>
+                <td>
+                  {numberInput(
+                    messages[benchmark.name],
+                    (count) =>
+                      setMessages((prev) => ({
+                        ...prev,
+                        [benchmark.name]: count,
+                      })),
+                    1
+                  )}
+                </td>
+                {row}
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+export default BenchmarkPanel;
@@ -0,0 +1,59 @@
+// statusColors colors each check by its status.
+const statusColors = {
+  ok: 'rgba(0, 80, 0, 0.6)',
+  warn: 'rgba(200, 200, 0, 0.4)',
+  fail: 'rgba(255, 0, 0, 0.6)',
+  skipped: 'rgba(60, 60, 60, 0.3)',
+};
+
+// verdictText explains each verdict of runDiagnostics.
+const verdictText = {
+  ok: 'The environment is ready, the results reflect the kernel.',
+  warn: 'The suite can run, but some results are likely to be affected by the environment.',
+  blocked:
+    'The kernel is not reachable, so the suite was not started: every test would fail for the same reason. Use "Run selected" to run it anyway.',
+};
+
+// DiagnosticsPanel shows the checks made by runDiagnostics, see
+// diagnostics.js. checks are the checks completed so far and diagnosis is the
+// result of runDiagnostics, or null while the checks are running.
+function DiagnosticsPanel({ checks, diagnosis, disabled, onRerun }) {
+  return (
+    <section>
+      <h2>Environment</h2>
+      <table>
+        <tbody>
+          {checks.map((check) => (
+            <tr
+              key={check.name}
+              style={{ backgroundColor: statusColors[check.status] }}
+            >
+              <td>{check.label}</td>
+              <td>{check.status}</td>
+              <td>{check.detail}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {diagnosis === null ? (
+        <p>checking the environment...</p>
+      ) : (
+        <>
+          <p>{verdictText[diagnosis.verdict]}</p>
+          {diagnosis.guidance.length > 0 && (
+            <ul>
+              {diagnosis.guidance.map((advice) => (
+                <li key={advice}>{advice}</li>
+              ))}
+            </ul>
+          )}
+        </>
+      )}
+      <button disabled={disabled || diagnosis === null} onClick={onRerun}>
+        Check again
+      </button>
+    </section>
+  );
+}
+
+export default DiagnosticsPanel;
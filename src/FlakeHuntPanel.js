@@ -0,0 +1,146 @@
+import { useRef, useState } from 'react';
+
+import { huntFlakes } from './flakeHunt';
+import { passed } from './runner';
+import { testCardValues } from './testMethods';
+
+// dependenciesOf returns the tests that a test depends on, directly or
+// through other tests, in the order of testCardValues.
+function dependenciesOf(test) {
+  let names = new Set();
+  let add = function (t) {
+    for (let name of t.dependsOn || []) {
+      let dependency = testCardValues.find((d) => d.name === name);
+      if (dependency && !names.has(name)) {
+        names.add(name);
+        add(dependency);
+      }
+    }
+  };
+  add(test);
+  return testCardValues.filter((t) => names.has(t.name));
+}
+
+// formatRate formats a pass rate between 0 and 1 as a percentage.
+function formatRate(rate) {
+  return (rate * 100).toFixed(1) + '%';
+}
+
+// FlakeHuntPanel runs one test many times, see flakeHunt.js, and shows its
+// pass rate and the failures it ran into. The dependencies of the test are
+// run once first. Like benchmarks, a hunt should not overlap with the test
+// suite, and onRunningChange tells the page when it starts and ends.
+function FlakeHuntPanel({ disabled, onRunningChange = () => {} }) {
+  const [name, setName] = useState('TestResponseUpdates');
+  const [runs, setRuns] = useState(20);
+  const [done, setDone] = useState([]);
+  const [running, setRunning] = useState(false);
+  const [outcome, setOutcome] = useState(null);
+  const stopRequested = useRef(false);
+
+  let test = testCardValues.find((t) => t.name === name);
+  const start = () => {
+    stopRequested.current = false;
+    setDone([]);
+    setOutcome(null);
+    setRunning(true);
+    onRunningChange(true);
+    huntFlakes(test, {
+      runs,
+      setup: dependenciesOf(test),
+      onRun: (result) => setDone((prev) => [...prev, passed(result)]),
+      shouldStop: () => stopRequested.current,
+    })
+      .then((result) => setOutcome(result))
+      .catch((err) => setOutcome({ error: String(err) }))
+      .then(() => {
+        setRunning(false);
+        onRunningChange(false);
+      });
+  };
+
+  let failedRuns = done.filter((ok) => !ok).length;
+  return (
+    <div style={{ margin: '12px' }}>
+      <p>
+        <label>
+          test{' '}
+          <input
+            list="flake-hunt-tests"
+            value={name}
+            onChange={(e) => setName(e.target.value.trim())}
+          />
+          <datalist id="flake-hunt-tests">
+            {testCardValues.map((t) => (
+              <option key={t.name} value={t.name} />
+            ))}
+          </datalist>
+        </label>{' '}
+        <label>
+          runs{' '}
+          <input
+            type="number"
+            min="1"
+            value={runs}
+            onChange={(e) =>
+              setRuns(Math.max(1, parseInt(e.target.value, 10) || 1))
+            }
+          />
+        </label>{' '}
+        {running ? (
+          <button onClick={() => (stopRequested.current = true)}>
+            Stop hunt
+          </button>
+        ) : (
+          <button disabled={disabled || test === undefined} onClick={start}>
+            Start hunt
+          </button>
+        )}
+      </p>
+      {running && (
+        <p>
+          <progress value={done.length} max={runs} /> run {done.length}/{runs},{' '}
+          {failedRuns} failed
+        </p>
+      )}
+      {outcome !== null && 'error' in outcome && (
+        <p>hunt stopped: {outcome.error}</p>
+      )}
+      {outcome !== null && 'failures' in outcome && (
+        <>
+          <p>
+            {outcome.passed}/{outcome.runs} runs passed
+            {outcome.passRate !== null &&
+              ', pass rate ' + formatRate(outcome.passRate)}
+          </p>
+          {outcome.failures.length > 0 && (
+            <table>
+              <thead>
+                <tr>
+                  <th>runs</th>
+                  <th>share of failures</th>
+                  <th>failure</th>
+                </tr>
+              </thead>
+              <tbody>
+                {outcome.failures.map((failure) => (
+                  <tr key={failure.message}>
+                    <td>{failure.count}</td>
+                    <td>
+                      {formatRate(
+                        failure.count / (outcome.runs - outcome.passed)
+                      )}
+                    </td>
+                    <td>{failure.message}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default FlakeHuntPanel;
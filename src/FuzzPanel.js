@@ -0,0 +1,90 @@
+import { useState } from 'react';
+
+import { defaultFuzzTimeout, runFuzz } from './fuzz';
+
+// FuzzPanel runs the fuzzer, see fuzz.js, and shows a regression test for
+// every failing case. The seed starts out random; entering the seed of an
+// earlier run repeats it exactly. Like benchmarks, a run should not overlap
+// with the test suite, and onRunningChange tells the page when it starts and
+// ends.
+function FuzzPanel({ disabled, onRunningChange = () => {} }) {
+  const [seed, setSeed] = useState(() => Math.floor(Math.random() * 1e9));
+  const [cases, setCases] = useState(100);
+  const [timeout, setTimeoutMs] = useState(defaultFuzzTimeout);
+  const [progress, setProgress] = useState(null);
+  const [outcome, setOutcome] = useState(null);
+
+  const run = () => {
+    setOutcome(null);
+    setProgress({ done: 0, failed: 0 });
+    onRunningChange(true);
+    runFuzz({
+      seed,
+      cases,
+      timeout,
+      onCase: (index, failed) => {
+        setProgress((prev) => ({
+          done: index + 1,
+          failed: prev.failed + (failed ? 1 : 0),
+        }));
+      },
+    })
+      .then((result) => setOutcome(result))
+      .catch((err) => setOutcome({ error: String(err) }))
+      .then(() => {
+        setProgress(null);
+        onRunningChange(false);
+      });
+  };
+
+  const numberInput = (value, onChange, min) => (
+    <input
+      type="number"
+      min={min}
+      value={value}
+      onChange={(e) =>
+        onChange(Math.max(min, parseInt(e.target.value, 10) || min))
+      }
+    />
+  );
+
+  return (
+    <div style={{ margin: '12px' }}>
+      <p>
+        <label>seed {numberInput(seed, setSeed, 0)}</label>{' '}
+        <label>cases {numberInput(cases, setCases, 1)}</label>{' '}
+        <label>timeout (ms) {numberInput(timeout, setTimeoutMs, 100)}</label>{' '}
+        <button disabled={disabled || progress !== null} onClick={run}>
+          Run fuzzer
+        </button>
+      </p>
+      {progress !== null && (
+        <p>
+          <progress value={progress.done} max={cases} /> {progress.done}/{cases}{' '}
+          cases, {progress.failed} failed
+        </p>
+      )}
+      {outcome !== null && 'error' in outcome && (
+        <p>fuzzer stopped: {outcome.error}</p>
+      )}
+      {outcome !== null && 'failures' in outcome && (
+        <>
+          <p>
+            seed {outcome.seed}: {outcome.cases} cases,{' '}
+            {outcome.failures.length} failed
+          </p>
+          {outcome.failures.map((failure) => (
+            <div key={failure.index}>
+              <p>
+                case {failure.index}: {failure.problem.message}
+              </p>
+              <pre style={{ whiteSpace: 'pre-wrap' }}>{failure.test}</pre>
+            </div>
+          ))}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default FuzzPanel;
@@ -0,0 +1,183 @@
+import { useState, useEffect } from 'react';
+
+import {
+  clearHistory,
+  compareRuns,
+  historyAvailable,
+  listRuns,
+  versionKey,
+} from './history';
+
+// changeColors highlights the rows of the comparison that need attention.
+const changeColors = {
+  'new failure': 'rgba(255, 0, 0, 0.6)',
+  fixed: 'rgba(0, 80, 0, 0.6)',
+  flaky: 'rgba(160, 160, 0, 0.6)',
+  slower: 'rgba(255, 165, 0, 0.6)',
+  faster: 'rgba(0, 0, 255, 0.3)',
+};
+
+// describeRun labels a stored run in the baseline picker.
+function describeRun(run) {
+  return (
+    new Date(run.timestamp).toLocaleString() +
+    ' - kernel ' +
+    (run.kernelVersion || 'unknown') +
+    ', libkernel ' +
+    run.libkernelVersion +
+    ' - ' +
+    run.summary.passed +
+    '/' +
+    run.summary.total +
+    ' passed'
+  );
+}
+
+// describeTest summarizes one side of a comparison row.
+function describeTest(test) {
+  if (test === null) {
+    return '-';
+  }
+  return test.status + ' in ' + Math.round(test.duration) + 'ms';
+}
+
+// HistoryPanel lists the runs stored by history.js, grouped by versionKey,
+// and compares the current report against one of them. The list is reloaded
+// whenever 'revision' changes, which the App bumps after saving a run.
+function HistoryPanel({ report, revision }) {
+  const [runs, setRuns] = useState([]);
+  const [baselineId, setBaselineId] = useState(null);
+  const [threshold, setThreshold] = useState(25);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!historyAvailable()) {
+      return;
+    }
+    listRuns()
+      .then((stored) => {
+        setRuns(stored);
+        setError(null);
+      })
+      .catch((err) => {
+        setError(String(err));
+      });
+  }, [revision]);
+
+  if (!historyAvailable()) {
+    return <p>Run history is not available in this browser.</p>;
+  }
+
+  // Default to the most recent run against the same versions that is not the
+  // run being displayed, or else the most recent run.
+  let version = versionKey(report);
+  let earlier = runs.filter((run) => run.timestamp !== report.timestamp);
+  let baseline = runs.find((run) => run.id === baselineId);
+  if (baseline === undefined) {
+    baseline = earlier.find((run) => run.version === version) || earlier[0];
+  }
+  let versions = [...new Set(runs.map((run) => run.version))];
+
+  let rows = baseline
+    ? compareRuns(baseline, report, { threshold: threshold / 100 })
+    : [];
+  let counts = {};
+  for (let row of rows) {
+    counts[row.change] = (counts[row.change] || 0) + 1;
+  }
+
+  const clear = () => {
+    clearHistory()
+      .then(() => {
+        setRuns([]);
+        setBaselineId(null);
+      })
+      .catch((err) => {
+        setError(String(err));
+      });
+  };
+
+  return (
+    <div style={{ margin: '12px' }}>
+      {error !== null && <p>unable to load run history: {error}</p>}
+      <p>
+        <label>
+          baseline{' '}
+          <select
+            value={baseline ? baseline.id : ''}
+            onChange={(e) => setBaselineId(Number(e.target.value))}
+          >
+            {versions.map((v) => (
+              <optgroup key={v} label={v}>
+                {runs
+                  .filter((run) => run.version === v)
+                  .map((run) => (
+                    <option key={run.id} value={run.id}>
+                      {describeRun(run)}
+                    </option>
+                  ))}
+              </optgroup>
+            ))}
+          </select>
+        </label>{' '}
+        <label>
+          timing threshold (%){' '}
+          <input
+            type="number"
+            min="0"
+            value={threshold}
+            onChange={(e) =>
+              setThreshold(Math.max(0, parseInt(e.target.value, 10) || 0))
+            }
+          />
+        </label>{' '}
+        <button disabled={runs.length === 0} onClick={clear}>
+          Clear history
+        </button>
+      </p>
+      {baseline === undefined ? (
+        <p>No previous runs to compare against.</p>
+      ) : (
+        <>
+          <p>
+            {['new failure', 'fixed', 'flaky', 'slower', 'faster']
+              .map((change) => (counts[change] || 0) + ' ' + change)
+              .join(', ')}
+          </p>
+          <table>
+            <thead>
+              <tr>
+                <th>test</th>
+                <th>baseline</th>
+                <th>current</th>
+                <th>change</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((row) => (
+                <tr
+                  key={row.name}
+                  style={{ backgroundColor: changeColors[row.change] }}
+                >
+                  <td>{row.name}</td>
+                  <td>{describeTest(row.baseline)}</td>
+                  <td>{describeTest(row.current)}</td>
+                  <td>
+                    {row.change}
+                    {row.delta !== 0 &&
+                      ' (' +
+                        (row.delta > 0 ? '+' : '') +
+                        Math.round(row.delta) +
+                        'ms)'}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default HistoryPanel;
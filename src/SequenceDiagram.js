@@ -0,0 +1,161 @@
+import { getConfig } from './config';
+import { traceFailure } from './trace';
+
+// laneWidth and rowHeight are the spacing of the diagram in pixels.
+const laneWidth = 130;
+const rowHeight = 20;
+const timeColumn = 70;
+
+// participantName returns the lane that a module is drawn in.
+function participantName(module) {
+  let config = getConfig();
+  if (module === config.testModule) {
+    return 'test module';
+  }
+  if (module === config.helperModule) {
+    return 'helper module';
+  }
+  return module.slice(0, 8) + '…';
+}
+
+// callTarget returns the lane that a call is sent to. Only module calls
+// reach a module, the other calls are handled by the kernel.
+function callTarget(call) {
+  if (call.type === 'callModule' || call.type === 'connectModule') {
+    return participantName(call.module);
+  }
+  return 'kernel';
+}
+
+// traceRows turns a trace into the arrows of the diagram, in the order they
+// happened. Each row has the form { time, from, to, label, kind } where kind
+// is 'send', 'hop', 'update', 'response' or 'error'.
+function traceRows(trace, failure) {
+  let rows = [];
+  for (let call of trace.calls) {
+    let lane = callTarget(call);
+    for (let event of call.events) {
+      let row = { time: event.time, kind: event.type };
+      if (event.type === 'send') {
+        row = {
+          ...row,
+          from: 'page',
+          to: lane,
+          label: call.method || call.type,
+        };
+      } else if (event.type === 'hop') {
+        row = { ...row, from: lane, to: event.hop, label: event.hop };
+        lane = event.hop;
+      } else if (event.type === 'error') {
+        let from =
+          failure && failure.call === call ? failure.participant : lane;
+        row = { ...row, from, to: 'page', label: event.text };
+      } else {
+        row = { ...row, from: lane, to: 'page', label: event.type };
+      }
+      rows.push(row);
+    }
+  }
+  return rows.sort((a, b) => a.time - b.time);
+}
+
+// rowColors are the colors of the arrows of each kind.
+const rowColors = { error: '#d00000', update: '#1f77b4' };
+
+// SequenceDiagram draws the trace of a test, see trace.js, as a sequence
+// diagram: one lane per participant, and one arrow per observed message,
+// labelled with the time since the test started. flow is the 'flow' of the
+// test entry, which is used to place a failure at the hop where it happened.
+function SequenceDiagram({ name, trace, flow }) {
+  let failure = traceFailure(trace, flow);
+  let rows = traceRows(trace, failure);
+  let lanes = ['page', 'bridge', 'kernel'];
+  for (let lane of [...(flow || []), ...rows.flatMap((r) => [r.from, r.to])]) {
+    if (!lanes.includes(lane)) {
+      lanes.push(lane);
+    }
+  }
+  let x = (lane) =>
+    timeColumn + laneWidth / 2 + lanes.indexOf(lane) * laneWidth;
+  let width = timeColumn + lanes.length * laneWidth;
+  let height = (rows.length + 2) * rowHeight;
+  let marker = 'arrow-' + name;
+  return (
+    <div>
+      <svg
+        role="img"
+        aria-label={'message flow of ' + name}
+        width={width}
+        height={height}
+        style={{ backgroundColor: 'white', fontSize: '11px' }}
+      >
+        <defs>
+          <marker
+            id={marker}
+            viewBox="0 0 10 10"
+            refX="10"
+            refY="5"
+            markerWidth="6"
+            markerHeight="6"
+            orient="auto-start-reverse"
+          >
+            <path d="M 0 0 L 10 5 L 0 10 z" fill="context-stroke" />
+          </marker>
+        </defs>
+        {lanes.map((lane) => (
+          <g key={lane}>
+            <text x={x(lane)} y={rowHeight - 6} textAnchor="middle">
+              {lane}
+            </text>
+            <line
+              x1={x(lane)}
+              y1={rowHeight}
+              x2={x(lane)}
+              y2={height}
+              stroke="#bbb"
+            />
+          </g>
+        ))}
+        {rows.map((row, i) => {
+          let y = (i + 2) * rowHeight;
+          let color = rowColors[row.kind] || 'black';
+          return (
+            <g key={i}>
+              <text x={4} y={y + 4}>
+                {Math.round(row.time)}ms
+              </text>
+              <line
+                x1={x(row.from)}
+                y1={y}
+                x2={x(row.to)}
+                y2={y}
+                stroke={color}
+                strokeDasharray={row.kind === 'update' ? '4 2' : undefined}
+                markerEnd={'url(#' + marker + ')'}
+              />
+              <text
+                x={(x(row.from) + x(row.to)) / 2}
+                y={y - 3}
+                textAnchor="middle"
+                fill={color}
+              >
+                {row.label.length > 40
+                  ? row.label.slice(0, 40) + '…'
+                  : row.label}
+              </text>
+            </g>
+          );
+        })}
+      </svg>
+      {failure !== null && (
+        <p>
+          failed at depth {failure.depth} ({failure.participant}):{' '}
+          {failure.text}
+        </p>
+      )}
+      {trace.dropped > 0 && <p>{trace.dropped} later calls not shown</p>}
+    </div>
+  );
+}
+
+export default SequenceDiagram;
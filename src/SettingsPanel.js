@@ -0,0 +1,97 @@
+import { useState } from 'react';
+
+import {
+  configFields,
+  defaultConfig,
+  getConfig,
+  malformedModule,
+  missingModule,
+  normalizeSkylink,
+  saveConfig,
+  setConfig,
+  validateSkylink,
+} from './config';
+import { forgetSeedFingerprints } from './security';
+
+// fieldLabels names the fields of a config in the panel.
+const fieldLabels = {
+  testModule: 'test module skylink',
+  helperModule: 'helper module skylink',
+};
+
+// SettingsPanel edits the modules that the suite tests, see config.js. Saved
+// settings are kept in localStorage and apply to every later run, including
+// after a reload. Because query parameters take precedence over saved
+// settings, saving removes the module parameters from the page URL. The panel
+// also forgets the seed fingerprints of TestSeedDeterminism, which no longer
+// match once another account logs into the kernel.
+function SettingsPanel({ disabled }) {
+  const [draft, setDraft] = useState(() => getConfig());
+
+  let normalized = {};
+  let problems = {};
+  for (let field of configFields) {
+    normalized[field] = normalizeSkylink(draft[field]);
+    problems[field] = validateSkylink(normalized[field]);
+  }
+  let valid = configFields.every((field) => problems[field] === null);
+
+  const save = (next) => {
+    saveConfig(next);
+    setConfig(next);
+    let params = new URLSearchParams(window.location.search);
+    for (let field of configFields) {
+      params.delete(field);
+    }
+    let search = params.toString().replace(/%2C/g, ',');
+    window.history.replaceState(
+      null,
+      '',
+      window.location.pathname +
+        (search === '' ? '' : '?' + search) +
+        window.location.hash
+    );
+    setDraft(next);
+  };
+
+  return (
+    <div style={{ margin: '12px' }}>
+      {configFields.map((field) => (
+        <p key={field}>
+          <label>
+            {fieldLabels[field]}{' '}
+            <input
+              type="text"
+              size="50"
+              value={draft[field]}
+              onChange={(e) => setDraft({ ...draft, [field]: e.target.value })}
+            />
+          </label>
+          {problems[field] !== null && <> {problems[field]}</>}
+        </p>
+      ))}
+      {problems.testModule === null && (
+        <p>
+          missing module: {missingModule(normalized.testModule)}
+          <br />
+          malformed module: {malformedModule(normalized.testModule)}
+        </p>
+      )}
+      <p>
+        <button disabled={disabled || !valid} onClick={() => save(normalized)}>
+          Save modules
+        </button>{' '}
+        <button disabled={disabled} onClick={() => save(defaultConfig)}>
+          Reset to defaults
+        </button>
+      </p>
+      <p>
+        <button disabled={disabled} onClick={forgetSeedFingerprints}>
+          Forget seed fingerprints
+        </button>
+      </p>
+    </div>
+  );
+}
+
+export default SettingsPanel;
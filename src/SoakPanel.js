@@ -0,0 +1,216 @@
+import { useRef, useState } from 'react';
+
+import { runSoak, soakWorkloads } from './soak';
+
+// seriesColors are the colors of the lines of a chart, in order.
+const seriesColors = ['#1f77b4', '#d62728', '#2ca02c', '#9467bd'];
+
+// TimeSeriesChart draws one line per series. Each series has the form
+// { name, points } where points are [seconds, value] pairs. The vertical axis
+// starts at zero so that growth is not exaggerated.
+function TimeSeriesChart({ title, unit, series }) {
+  const width = 600;
+  const height = 150;
+  const points = series.flatMap((s) => s.points);
+  if (points.length === 0) {
+    return null;
+  }
+  const maxX = Math.max(1, ...points.map(([x]) => x));
+  const maxY = Math.max(1e-9, ...points.map(([, y]) => y));
+  const scale = ([x, y]) =>
+    ((x / maxX) * width).toFixed(1) +
+    ',' +
+    (height - (y / maxY) * height).toFixed(1);
+  return (
+    <figure style={{ margin: '12px 0' }}>
+      <figcaption>
+        {title} (max {+maxY.toFixed(2)} {unit} over {Math.round(maxX)}s)
+      </figcaption>
+      <svg
+        role="img"
+        aria-label={title}
+        width={width}
+        height={height}
+        style={{ border: '1px solid #ccc' }}
+      >
+        {series.map((s, i) => (
+          <polyline
+            key={s.name}
+            fill="none"
+            stroke={seriesColors[i % seriesColors.length]}
+            strokeWidth="1.5"
+            points={s.points.map(scale).join(' ')}
+          />
+        ))}
+      </svg>
+      <div>
+        {series.map((s, i) => (
+          <span
+            key={s.name}
+            style={{
+              color: seriesColors[i % seriesColors.length],
+              marginRight: '12px',
+            }}
+          >
+            {s.name}
+          </span>
+        ))}
+      </div>
+    </figure>
+  );
+}
+
+// latencySeries turns samples into one series of median latencies per
+// workload. Intervals in which no operation of a workload completed are left
+// out.
+function latencySeries(samples, workloads) {
+  return workloads.map((name) => ({
+    name: name + ' median',
+    points: samples
+      .filter((s) => s.latency[name] !== null)
+      .map((s) => [s.time / 1000, s.latency[name].median]),
+  }));
+}
+
+// memorySeries turns samples into a series of page memory in MiB, or no
+// series if the browser does not report memory.
+function memorySeries(samples) {
+  let points = samples
+    .filter((s) => s.memory !== null)
+    .map((s) => [s.time / 1000, s.memory / 1024 / 1024]);
+  return points.length === 0 ? [] : [{ name: 'JS heap', points }];
+}
+
+// SoakPanel runs a soak test, see soak.js, and charts its latency and memory
+// samples while it runs. Like benchmarks, a soak run should not overlap with
+// the test suite, and onRunningChange tells the page when it starts and ends.
+function SoakPanel({ disabled, onRunningChange = () => {} }) {
+  const [workloads, setWorkloads] = useState(() =>
+    soakWorkloads.map((w) => w.name)
+  );
+  const [rate, setRate] = useState(50);
+  const [minutes, setMinutes] = useState(5);
+  const [interval, setSampleInterval] = useState(1000);
+  const [samples, setSamples] = useState([]);
+  const [running, setRunning] = useState(false);
+  const [outcome, setOutcome] = useState(null);
+  const stopRequested = useRef(false);
+
+  const toggleWorkload = (name) => {
+    setWorkloads((prev) =>
+      prev.includes(name) ? prev.filter((n) => n !== name) : [...prev, name]
+    );
+  };
+
+  const start = () => {
+    stopRequested.current = false;
+    setSamples([]);
+    setOutcome(null);
+    setRunning(true);
+    onRunningChange(true);
+    runSoak({
+      workloads,
+      rate,
+      duration: minutes * 60000,
+      sampleInterval: interval,
+      onSample: (sample) => setSamples((prev) => [...prev, sample]),
+      shouldStop: () => stopRequested.current,
+    })
+      .then((result) => setOutcome(result))
+      .catch((err) => setOutcome({ error: String(err) }))
+      .then(() => {
+        setRunning(false);
+        onRunningChange(false);
+      });
+  };
+
+  const numberInput = (value, onChange, min) => (
+    <input
+      type="number"
+      min={min}
+      value={value}
+      onChange={(e) =>
+        onChange(Math.max(min, parseInt(e.target.value, 10) || min))
+      }
+    />
+  );
+
+  return (
+    <div style={{ margin: '12px' }}>
+      <p>
+        {soakWorkloads.map((w) => (
+          <label key={w.name}>
+            <input
+              type="checkbox"
+              checked={workloads.includes(w.name)}
+              onChange={() => toggleWorkload(w.name)}
+            />
+            {w.name}
+          </label>
+        ))}
+      </p>
+      <p>
+        <label>operations/s {numberInput(rate, setRate, 1)}</label>{' '}
+        <label>minutes {numberInput(minutes, setMinutes, 1)}</label>{' '}
+        <label>
+          sample every (ms) {numberInput(interval, setSampleInterval, 100)}
+        </label>{' '}
+        {running ? (
+          <button onClick={() => (stopRequested.current = true)}>
+            Stop soak
+          </button>
+        ) : (
+          <button disabled={disabled || workloads.length === 0} onClick={start}>
+            Start soak
+          </button>
+        )}
+      </p>
+      <TimeSeriesChart
+        title="latency"
+        unit="ms"
+        series={latencySeries(
+          samples,
+          soakWorkloads
+            .map((w) => w.name)
+            .filter((name) => workloads.includes(name))
+        )}
+      />
+      <TimeSeriesChart
+        title="page memory"
+        unit="MiB"
+        series={memorySeries(samples)}
+      />
+      {samples.length > 0 && samples.every((s) => s.memory === null) && (
+        <p>this browser does not report page memory</p>
+      )}
+      {outcome !== null && 'error' in outcome && (
+        <p>soak stopped: {outcome.error}</p>
+      )}
+      {outcome !== null && 'findings' in outcome && (
+        <>
+          <p>
+            {outcome.completed} operations completed, {outcome.failed} failed,{' '}
+            {outcome.skipped} skipped because the kernel fell behind,{' '}
+            {outcome.unfinished} unfinished
+          </p>
+          {outcome.findings.length === 0 ? (
+            <p>no latency drift or memory growth found</p>
+          ) : (
+            <ul>
+              {outcome.findings.map((finding) => (
+                <li key={finding}>{finding}</li>
+              ))}
+            </ul>
+          )}
+          {outcome.errors.length > 0 && (
+            <pre style={{ whiteSpace: 'pre-wrap' }}>
+              {outcome.errors.join('\n')}
+            </pre>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default SoakPanel;
@@ -0,0 +1,43 @@
+import { formatSummary } from './runner';
+import { verdictHeading } from './verdict';
+
+// verdictColors highlights the verdict line.
+const verdictColors = {
+  passed: 'darkgreen',
+  failed: 'darkred',
+  flaky: 'olive',
+  incomplete: 'darkgoldenrod',
+};
+
+// formatElapsed describes the wall clock time of a run.
+function formatElapsed(ms) {
+  if (ms < 1000) {
+    return Math.round(ms) + 'ms';
+  }
+  let seconds = ms / 1000;
+  if (seconds < 60) {
+    return seconds.toFixed(1) + 's';
+  }
+  let minutes = Math.floor(seconds / 60);
+  return minutes + 'm ' + Math.round(seconds - minutes * 60) + 's';
+}
+
+// SummaryPanel is the header of the page. It shows the verdict of the run,
+// see verdict.js, the number of results of each status and the time the run
+// took, which is null until the run has finished.
+function SummaryPanel({ summary, verdict, elapsed }) {
+  return (
+    <header>
+      <h1>{verdictHeading(verdict)}</h1>
+      <p>{formatSummary(summary)}</p>
+      <p>
+        <span style={{ color: verdictColors[verdict] }}>
+          verdict: {verdict}
+        </span>
+        {elapsed !== null && ', total time ' + formatElapsed(elapsed)}
+      </p>
+    </header>
+  );
+}
+
+export default SummaryPanel;
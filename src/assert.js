@@ -0,0 +1,234 @@
+import { classifyError, describeKind, errorMessage } from './errors';
+import * as kernel from './kernel';
+
+// assert.js provides the checks that tests in testMethods.js use on kernel
+// responses. Every failed check throws an AssertionError that records what
+// was expected and what was received, so failures read the same across tests
+// and the runner can attach the expected and actual values to the result.
+
+// AssertionError is thrown when a check fails. expected and actual are
+// formatted as strings so that they can be displayed and exported as is.
+export class AssertionError extends Error {
+  constructor(message, expected, actual) {
+    super(
+      message +
+        '\nexpected: ' +
+        formatValue(expected) +
+        '\nactual: ' +
+        formatValue(actual)
+    );
+    this.name = 'AssertionError';
+    this.expected = formatValue(expected);
+    this.actual = formatValue(actual);
+  }
+}
+
+// formatValue converts a value into a short readable string. Byte arrays
+// are truncated because uploads can be large.
+export function formatValue(value) {
+  if (value instanceof Uint8Array) {
+    let shown = Array.from(value.slice(0, 32)).join(',');
+    let more = value.length > 32 ? ',... (' + value.length + ' bytes)' : '';
+    return 'Uint8Array[' + shown + more + ']';
+  }
+  if (value === undefined) {
+    return 'undefined';
+  }
+  if (typeof value === 'string') {
+    return JSON.stringify(value);
+  }
+  if (value instanceof RegExp) {
+    return value.toString();
+  }
+  try {
+    return JSON.stringify(value);
+  } catch {
+    return String(value);
+  }
+}
+
+// typeOf returns the type name of a value as used by expectType. Arrays,
+// byte arrays and null get their own names.
+export function typeOf(value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  if (value instanceof Uint8Array) {
+    return 'Uint8Array';
+  }
+  return typeof value;
+}
+
+// deepEqual compares primitives, arrays, byte arrays and plain objects by
+// value.
+export function deepEqual(a, b) {
+  if (a === b) {
+    return true;
+  }
+  if (typeOf(a) !== typeOf(b) || typeof a !== 'object' || a === null) {
+    return false;
+  }
+  let aKeys = Object.keys(a);
+  let bKeys = Object.keys(b);
+  if (aKeys.length !== bKeys.length) {
+    return false;
+  }
+  return aKeys.every((key) => key in b && deepEqual(a[key], b[key]));
+}
+
+// expectField checks that an object has a field and returns its value.
+export function expectField(data, field, description = 'response') {
+  if (typeof data !== 'object' || data === null || !(field in data)) {
+    throw new AssertionError(
+      description + ' is missing the ' + field + ' field',
+      'a ' + field + ' field',
+      data
+    );
+  }
+  return data[field];
+}
+
+// expectType checks the type of a value, using the names from typeOf.
+export function expectType(value, type, description = 'value') {
+  if (type !== 'any' && typeOf(value) !== type) {
+    throw new AssertionError(
+      description + ' has the wrong type',
+      type,
+      typeOf(value)
+    );
+  }
+  return value;
+}
+
+// expectEqual checks that a value equals the expected value, comparing
+// arrays and objects by value.
+export function expectEqual(actual, expected, description = 'value') {
+  if (!deepEqual(actual, expected)) {
+    throw new AssertionError(description + ' does not match', expected, actual);
+  }
+  return actual;
+}
+
+// expectBytesEqual checks that two byte arrays hold the same data. The
+// failure reports the first byte that differs.
+export function expectBytesEqual(actual, expected, description = 'data') {
+  expectType(actual, 'Uint8Array', description);
+  if (actual.length !== expected.length) {
+    throw new AssertionError(
+      description + ' has the wrong length',
+      expected.length,
+      actual.length
+    );
+  }
+  for (let i = 0; i < expected.length; i++) {
+    if (actual[i] !== expected[i]) {
+      throw new AssertionError(
+        description + ' differs at byte ' + i,
+        expected,
+        actual
+      );
+    }
+  }
+  return actual;
+}
+
+// expectShape checks an object against a shape. A shape maps each required
+// field to either a type name or an object with any of these keys:
+//   type: the type name of the field, see typeOf
+//   equals: the exact value the field must have
+//   length: the length the field must have
+// The object is returned so that checks can be chained onto a query.
+export function expectShape(data, shape, description = 'response') {
+  for (let [field, rule] of Object.entries(shape)) {
+    let spec = typeof rule === 'string' ? { type: rule } : rule;
+    let name = description + '.' + field;
+    let value = expectField(data, field, description);
+    if (spec.type !== undefined) {
+      expectType(value, spec.type, name);
+    }
+    if (spec.length !== undefined) {
+      let length = value === null ? undefined : value.length;
+      if (length !== spec.length) {
+        throw new AssertionError(
+          name + ' has the wrong length',
+          spec.length,
+          length
+        );
+      }
+    }
+    if ('equals' in spec) {
+      expectEqual(value, spec.equals, name);
+    }
+  }
+  return data;
+}
+
+// expectCall calls a module method and checks the response against a shape.
+// The promise resolves with the response.
+export function expectCall(module, method, input, shape = {}) {
+  return kernel
+    .callModule(module, method, input)
+    .then((data) => expectShape(data, shape, method + ' response'));
+}
+
+// expectError checks that a promise rejects. If a pattern is provided, the
+// error must also match it. The promise resolves with the error as a string.
+export function expectError(promise, pattern, description = 'call') {
+  return promise.then(
+    (data) => {
+      throw new AssertionError(
+        description + ' was expected to fail',
+        pattern ? 'an error matching ' + pattern : 'an error',
+        data
+      );
+    },
+    (err) => {
+      let message = errorMessage(err);
+      if (pattern && !pattern.test(message)) {
+        throw new AssertionError(
+          description + ' failed with an unexpected error',
+          pattern,
+          message
+        );
+      }
+      return message;
+    }
+  );
+}
+
+// expectKernelError checks that a kernel call fails with an error of the given
+// kind, see errors.js. If a pattern is provided, the error must also match it.
+// The promise resolves with the error as a string.
+export function expectKernelError(
+  promise,
+  kind,
+  pattern = null,
+  description = 'call'
+) {
+  let expected =
+    describeKind(kind) + ' error' + (pattern ? ' matching ' + pattern : '');
+  return promise.then(
+    (data) => {
+      throw new AssertionError(
+        description + ' was expected to fail',
+        expected,
+        data
+      );
+    },
+    (err) => {
+      let message = errorMessage(err);
+      let received = classifyError(message);
+      if (received !== kind || (pattern && !pattern.test(message))) {
+        throw new AssertionError(
+          description + ' failed with the wrong error',
+          expected,
+          describeKind(received) + ' error: ' + message
+        );
+      }
+      return message;
+    }
+  );
+}
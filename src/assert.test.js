@@ -0,0 +1,129 @@
+import {
+  AssertionError,
+  expectBytesEqual,
+  expectCall,
+  expectEqual,
+  expectError,
+  expectKernelError,
+  expectShape,
+} from './assert';
+import { defaultConfig } from './config';
+import { setKernel } from './kernel';
+import { newMockKernel } from './mockKernel';
+import { runTest } from './runner';
+
+const { testModule } = defaultConfig;
+
+test('expectShape checks fields, types, lengths and values', () => {
+  let data = { seed: new Uint8Array(16), domain: 'localhost', errors: [] };
+  expect(
+    expectShape(data, {
+      seed: { type: 'Uint8Array', length: 16 },
+      domain: { type: 'string', equals: 'localhost' },
+      errors: 'array',
+    })
+  ).toBe(data);
+
+  expect(() => expectShape(data, { kernelVersion: 'string' })).toThrow(
+    'response is missing the kernelVersion field'
+  );
+  expect(() => expectShape(data, { domain: 'number' })).toThrow(
+    'response.domain has the wrong type\nexpected: "number"\nactual: "string"'
+  );
+  expect(() => expectShape(data, { seed: { length: 32 } })).toThrow(
+    'response.seed has the wrong length\nexpected: 32\nactual: 16'
+  );
+  expect(() =>
+    expectShape(data, { domain: { equals: 'example.com' } }, 'mirrorDomain')
+  ).toThrow(
+    'mirrorDomain.domain does not match\nexpected: "example.com"\nactual: "localhost"'
+  );
+});
+
+test('expectEqual and expectBytesEqual record expected and actual', () => {
+  expect(expectEqual({ a: [1, 2] }, { a: [1, 2] })).toEqual({ a: [1, 2] });
+
+  let err = null;
+  try {
+    expectEqual(['boom'], [], 'test module errors');
+  } catch (x) {
+    err = x;
+  }
+  expect(err).toBeInstanceOf(AssertionError);
+  expect(err.expected).toBe('[]');
+  expect(err.actual).toBe('["boom"]');
+
+  expect(() =>
+    expectBytesEqual(new Uint8Array([1, 2, 4]), new Uint8Array([1, 2, 3]))
+  ).toThrow('data differs at byte 2');
+  expect(() =>
+    expectBytesEqual(new Uint8Array([1]), new Uint8Array([1, 2]))
+  ).toThrow('data has the wrong length\nexpected: 2\nactual: 1');
+});
+
+test('expectError resolves with the error and rejects on success', async () => {
+  await expect(expectError(Promise.reject('not found'))).resolves.toBe(
+    'not found'
+  );
+  await expect(
+    expectError(Promise.reject(new Error('not found')), /not found/)
+  ).resolves.toBe('not found');
+  await expect(
+    expectError(Promise.reject('forbidden'), /not found/)
+  ).rejects.toThrow(
+    'call failed with an unexpected error\nexpected: /not found/\nactual: "forbidden"'
+  );
+  await expect(expectError(Promise.resolve({}))).rejects.toThrow(
+    'call was expected to fail'
+  );
+});
+
+test('expectKernelError checks the kind of error', async () => {
+  let missing = 'unable to load module: unable to download skylink: 404';
+  await expect(
+    expectKernelError(Promise.reject(missing), 'notFound')
+  ).resolves.toBe(missing);
+  await expect(
+    expectKernelError(Promise.reject(missing), 'notFound', /load module/)
+  ).resolves.toBe(missing);
+  await expect(
+    expectKernelError(
+      Promise.reject('bridge unavailable, need skynet extension'),
+      'notFound',
+      null,
+      'calling a missing module'
+    )
+  ).rejects.toThrow(
+    'calling a missing module failed with the wrong error\n' +
+      'expected: "not found error"\n' +
+      'actual: "transport failure error: bridge unavailable, need skynet extension"'
+  );
+  await expect(
+    expectKernelError(Promise.resolve({}), 'forbidden')
+  ).rejects.toThrow('expected: "forbidden method error"\nactual: {}');
+});
+
+test('expectCall checks the response of a module call', async () => {
+  setKernel(newMockKernel({ domain: 'localhost' }));
+  let data = await expectCall(
+    testModule,
+    'mirrorDomain',
+    {},
+    { domain: 'string' }
+  );
+  expect(data.domain).toBe('localhost');
+
+  let result = await runTest({
+    name: 'TestMirrorDomain',
+    test: () =>
+      expectCall(
+        testModule,
+        'mirrorDomain',
+        {},
+        { domain: { equals: 'example.com' } }
+      ),
+  });
+  expect(result.status).toBe('fail');
+  expect(result.expected).toBe('"example.com"');
+  expect(result.actual).toBe('"localhost"');
+});
@@ -0,0 +1,166 @@
+// benchmark.js runs the speed tests repeatedly and turns the timings into
+// statistics. A single run of a speed test is too noisy to compare kernel
+// versions, so each benchmark is run a number of times after some warmup runs
+// that are thrown away.
+
+import { defaultTestTimeout } from './runner';
+
+// checkInterval is how often a run checks whether it timed out or was
+// stopped, in milliseconds.
+const checkInterval = 100;
+
+// percentile returns the p-th percentile (0 to 100) of a sorted list of
+// samples, using the nearest rank.
+export function percentile(sorted, p) {
+  if (sorted.length === 0) {
+    return 0;
+  }
+  let rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.min(sorted.length - 1, Math.max(0, rank - 1))];
+}
+
+// summarizeSamples computes the min, median, p95, max and mean of a list of
+// samples.
+export function summarizeSamples(samples) {
+  let sorted = [...samples].sort((a, b) => a - b);
+  let total = sorted.reduce((sum, x) => sum + x, 0);
+  return {
+    min: sorted.length === 0 ? 0 : sorted[0],
+    median: percentile(sorted, 50),
+    p95: percentile(sorted, 95),
+    max: sorted.length === 0 ? 0 : sorted[sorted.length - 1],
+    mean: sorted.length === 0 ? 0 : total / sorted.length,
+  };
+}
+
+// histogram sorts samples into equally sized buckets between the smallest
+// and the largest sample. Each bucket has the form { from, to, count }.
+export function histogram(samples, buckets = 10) {
+  if (samples.length === 0) {
+    return [];
+  }
+  // A loop is used instead of Math.min(...samples) because a benchmark can
+  // produce more samples than a function can take arguments.
+  let min = samples[0];
+  let max = samples[0];
+  for (let sample of samples) {
+    min = Math.min(min, sample);
+    max = Math.max(max, sample);
+  }
+  if (min === max) {
+    return [{ from: min, to: max, count: samples.length }];
+  }
+  let width = (max - min) / buckets;
+  let result = [];
+  for (let i = 0; i < buckets; i++) {
+    result.push({ from: min + i * width, to: min + (i + 1) * width, count: 0 });
+  }
+  for (let sample of samples) {
+    let i = Math.min(buckets - 1, Math.floor((sample - min) / width));
+    result[i].count += 1;
+  }
+  return result;
+}
+
+// runBenchmark runs a benchmark from benchmarkValues 'warmup' times without
+// recording anything, then 'iterations' times while recording the duration of
+// each run and the latency of each message. The runs happen one after
+// another. onProgress is called after every run with the number of runs
+// completed so far, including warmup runs.
+//
+// Benchmarks that cannot time individual messages contribute the average
+// latency of each run instead, so their histogram has one sample per run.
+//
+// A run that takes longer than 'timeout', by default the timeout of the
+// benchmark, rejects the promise, as does a call of shouldStop that returns
+// true while the benchmark runs. Like a test that times out, the kernel
+// queries of such a run may still be in flight.
+//
+// The promise resolves with:
+//   { name, messages, iterations, warmup, duration, throughput, latency,
+//     histogram }
+// where duration (ms), throughput (messages per second) and latency (ms per
+// message) are summaries as returned by summarizeSamples.
+export function runBenchmark(
+  benchmark,
+  {
+    messages = benchmark.messages,
+    iterations = 5,
+    warmup = 1,
+    timeout = benchmark.timeout || defaultTestTimeout,
+    onProgress,
+    shouldStop = () => false,
+  } = {}
+) {
+  return new Promise((resolve, reject) => {
+    let durations = [];
+    let latencies = [];
+    let runNext = function (i) {
+      if (shouldStop()) {
+        reject('benchmark stopped after ' + i + ' runs');
+        return;
+      }
+      if (i === warmup + iterations) {
+        resolve({
+          name: benchmark.name,
+          messages,
+          iterations,
+          warmup,
+          duration: summarizeSamples(durations),
+          throughput: summarizeSamples(
+            durations.map((d) => (messages * 1000) / d)
+          ),
+          latency: summarizeSamples(latencies),
+          histogram: histogram(latencies),
+        });
+        return;
+      }
+      let start = performance.now();
+      let settled = false;
+      let watch = setInterval(() => {
+        let reason = null;
+        if (shouldStop()) {
+          reason = 'benchmark stopped during run ' + (i + 1);
+        } else if (performance.now() - start >= timeout) {
+          reason =
+            'run ' +
+            (i + 1) +
+            ' timed out after ' +
+            timeout +
+            'ms, a kernel query it started may still be in flight';
+        }
+        if (reason !== null) {
+          settled = true;
+          clearInterval(watch);
+          reject(reason);
+        }
+      }, checkInterval);
+      benchmark
+        .run(messages)
+        .then((runLatencies) => {
+          clearInterval(watch);
+          if (settled) {
+            return;
+          }
+          let duration = performance.now() - start;
+          if (i >= warmup) {
+            durations.push(duration);
+            if (runLatencies === null) {
+              latencies.push(duration / messages);
+            } else {
+              latencies = latencies.concat(runLatencies);
+            }
+          }
+          if (onProgress) {
+            onProgress(i + 1);
+          }
+          runNext(i + 1);
+        })
+        .catch((err) => {
+          clearInterval(watch);
+          reject(err);
+        });
+    };
+    runNext(0);
+  });
+}
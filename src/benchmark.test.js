@@ -0,0 +1,108 @@
+import {
+  histogram,
+  percentile,
+  runBenchmark,
+  summarizeSamples,
+} from './benchmark';
+import { setKernel } from './kernel';
+import { newMockKernel } from './mockKernel';
+import { benchmarkValues } from './testMethods';
+
+test('summarizeSamples computes order statistics', () => {
+  let samples = [];
+  for (let i = 100; i >= 1; i--) {
+    samples.push(i);
+  }
+  expect(summarizeSamples(samples)).toEqual({
+    min: 1,
+    median: 50,
+    p95: 95,
+    max: 100,
+    mean: 50.5,
+  });
+  expect(percentile([], 50)).toBe(0);
+});
+
+test('histogram buckets samples between min and max', () => {
+  let buckets = histogram([0, 1, 2, 9, 10], 5);
+  expect(buckets.map((b) => b.count)).toEqual([2, 1, 0, 0, 2]);
+  expect(buckets[0]).toMatchObject({ from: 0, to: 2 });
+  expect(histogram([3, 3])).toEqual([{ from: 3, to: 3, count: 2 }]);
+  expect(histogram([])).toEqual([]);
+});
+
+test('runBenchmark discards warmup runs', async () => {
+  let runs = 0;
+  let benchmark = {
+    name: 'fake',
+    messages: 10,
+    run: (messages) => {
+      runs += 1;
+      return Promise.resolve(runs === 1 ? [1000] : new Array(messages).fill(2));
+    },
+  };
+  let progress = [];
+  let result = await runBenchmark(benchmark, {
+    iterations: 3,
+    warmup: 1,
+    onProgress: (done) => progress.push(done),
+  });
+  expect(runs).toBe(4);
+  expect(progress).toEqual([1, 2, 3, 4]);
+  expect(result.latency.max).toBe(2);
+  expect(result.histogram).toEqual([{ from: 2, to: 2, count: 30 }]);
+  expect(result.throughput.median).toBeGreaterThan(0);
+});
+
+test('runBenchmark gives up on runs that time out', async () => {
+  let benchmark = {
+    name: 'hung',
+    messages: 1,
+    run: () => new Promise(() => {}),
+  };
+  await expect(
+    runBenchmark(benchmark, { iterations: 1, warmup: 0, timeout: 50 })
+  ).rejects.toBe(
+    'run 1 timed out after 50ms, a kernel query it started may still be in ' +
+      'flight'
+  );
+
+  let stop = false;
+  let stopped = runBenchmark(benchmark, { shouldStop: () => stop });
+  stop = true;
+  await expect(stopped).rejects.toBe('benchmark stopped during run 1');
+});
+
+test('the speed benchmarks run against the mock kernel', async () => {
+  setKernel(newMockKernel());
+  for (let benchmark of benchmarkValues) {
+    let result = await runBenchmark(benchmark, {
+      messages: 50,
+      iterations: 2,
+      warmup: 0,
+    });
+    // Benchmarks that run inside the module report one sample per run.
+    let samples = result.histogram.reduce((sum, b) => sum + b.count, 0);
+    expect([2, 100]).toContain(samples);
+  }
+});
+
+test('parallel messages are timed from their own send', async () => {
+  // Every send takes 10ms of the page's time, and every message is answered
+  // once all of them have been sent.
+  let clock = 0;
+  jest.spyOn(performance, 'now').mockImplementation(() => clock);
+  setKernel({
+    ...newMockKernel(),
+    testMessage: () => {
+      clock += 10;
+      return Promise.resolve('v0.0.0-mock');
+    },
+  });
+  let parallel = benchmarkValues.find(
+    (b) => b.name === 'TestMsgSpeedParallel5k'
+  );
+  let latencies = await parallel.run(3);
+  performance.now.mockRestore();
+  expect(latencies.sort((a, b) => a - b)).toEqual([10, 20, 30]);
+});
@@ -0,0 +1,145 @@
+// config.js holds the skylinks of the modules under test. By default the suite
+// talks to the published test module and helper module, but a new build of
+// either can be tested by pointing the suite at it, without editing source:
+//   - with the 'testModule' and 'helperModule' query parameters, or
+//   - with the settings panel, which saves the skylinks to localStorage.
+// Query parameters take precedence over saved settings, which take precedence
+// over the defaults. Both regular skylinks and resolver links are accepted,
+// with or without a 'sia://' prefix.
+//
+// The skylinks used by the negative tests are derived from the configured test
+// module, see missingModule and malformedModule.
+
+// defaultConfig lists the published modules.
+export const defaultConfig = {
+  testModule: 'AQCPJ9WRzMpKQHIsPo8no3XJpUydcDCjw7VJy8lG1MCZ3g',
+  helperModule: 'AQCoaLP6JexdZshDDZRQaIwN3B7DqFjlY7byMikR7u1IEA',
+};
+
+// configFields lists the fields of a config, which are also the names of the
+// query parameters.
+export const configFields = Object.keys(defaultConfig);
+
+// storageKey is the localStorage key that saved settings are kept under.
+const storageKey = 'libkernel-test-config';
+
+// skylinkPattern matches a base64url encoded skylink or resolver link.
+const skylinkPattern = /^[a-zA-Z0-9_-]{46}$/;
+
+// base64url lists the characters a skylink is made of, in order.
+const base64url =
+  'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
+
+// normalizeSkylink trims a skylink and strips a 'sia://' prefix.
+export function normalizeSkylink(skylink) {
+  return skylink.trim().replace(/^sia:\/\//, '');
+}
+
+// validateSkylink returns a description of what is wrong with a skylink, or
+// null if it looks like a valid skylink.
+export function validateSkylink(skylink) {
+  if (!skylinkPattern.test(skylink)) {
+    return 'expected 46 base64url characters, got ' + JSON.stringify(skylink);
+  }
+  return null;
+}
+
+// isResolverLink checks whether a valid skylink is a resolver link. The low
+// two bits of the first byte hold the version of the skylink, which is 2 for
+// resolver links; they are the top bits of the second base64url character.
+export function isResolverLink(skylink) {
+  return ((base64url.indexOf(skylink[1]) >> 4) & 3) + 1 === 2;
+}
+
+// missingModule derives a skylink that does not point to anything by changing
+// one character in the middle of the hash. Changing the last character
+// instead could produce an invalid encoding, which the kernel would report as
+// malformed rather than missing.
+export function missingModule(skylink) {
+  let i = base64url.indexOf(skylink[18]);
+  let replacement = base64url[(i + 1) % base64url.length];
+  return skylink.slice(0, 18) + replacement + skylink.slice(19);
+}
+
+// malformedModule derives a skylink that cannot be parsed by dropping the last
+// character.
+export function malformedModule(skylink) {
+  return skylink.slice(0, -1);
+}
+
+// readStored returns the settings saved in storage, ignoring anything that
+// cannot be parsed.
+function readStored(storage) {
+  try {
+    let stored = JSON.parse(storage.getItem(storageKey));
+    return typeof stored === 'object' && stored !== null ? stored : {};
+  } catch {
+    return {};
+  }
+}
+
+// loadConfig builds a config from a query string and the saved settings. A
+// value that is not a valid skylink is ignored and reported in the returned
+// 'problems', so a typo in a link does not point the suite at nothing.
+export function loadConfig(search, storage = window.localStorage) {
+  let params = new URLSearchParams(search);
+  let stored = readStored(storage);
+  let config = { ...defaultConfig };
+  let problems = [];
+  for (let field of configFields) {
+    for (let [source, value] of [
+      ['saved settings', stored[field]],
+      ['query parameter', params.get(field)],
+    ]) {
+      if (typeof value !== 'string' || value.trim() === '') {
+        continue;
+      }
+      let skylink = normalizeSkylink(value);
+      let problem = validateSkylink(skylink);
+      if (problem !== null) {
+        problems.push(field + ' from ' + source + ': ' + problem);
+        continue;
+      }
+      config[field] = skylink;
+    }
+  }
+  return { config, problems };
+}
+
+// saveConfig stores the fields of a config that differ from the defaults.
+// Saving the defaults removes the saved settings.
+export function saveConfig(config, storage = window.localStorage) {
+  let changed = {};
+  for (let field of configFields) {
+    if (config[field] !== defaultConfig[field]) {
+      changed[field] = config[field];
+    }
+  }
+  if (Object.keys(changed).length === 0) {
+    storage.removeItem(storageKey);
+  } else {
+    storage.setItem(storageKey, JSON.stringify(changed));
+  }
+}
+
+// current is the config used by the tests. It is loaded on first use so that
+// the query string of the page is read after the page has loaded.
+let current = null;
+
+// getConfig returns the config used by the tests.
+export function getConfig() {
+  if (current === null) {
+    let { config, problems } = loadConfig(window.location.search);
+    for (let problem of problems) {
+      console.error('ignoring invalid module config: ' + problem);
+    }
+    current = config;
+  }
+  return current;
+}
+
+// setConfig replaces the config used by the tests. Passing null loads the
+// config again from the page URL and the saved settings on next use.
+export function setConfig(config) {
+  current = config;
+}
@@ -0,0 +1,63 @@
+import {
+  defaultConfig,
+  isResolverLink,
+  loadConfig,
+  malformedModule,
+  missingModule,
+  saveConfig,
+} from './config';
+
+const otherModule = 'AQBmFdF14nfEQrERIknEBvZoTXxyxG8nejSjH6ebCqcFkQ';
+
+afterEach(() => {
+  window.localStorage.clear();
+});
+
+test('loadConfig prefers query parameters over saved settings', () => {
+  expect(loadConfig('')).toEqual({ config: defaultConfig, problems: [] });
+
+  saveConfig({ ...defaultConfig, helperModule: otherModule });
+  expect(loadConfig('').config.helperModule).toBe(otherModule);
+
+  let { config } = loadConfig(
+    '?testModule=sia://' +
+      otherModule +
+      '&helperModule=' +
+      defaultConfig.testModule
+  );
+  expect(config).toEqual({
+    testModule: otherModule,
+    helperModule: defaultConfig.testModule,
+  });
+
+  saveConfig(defaultConfig);
+  expect(window.localStorage.length).toBe(0);
+});
+
+test('loadConfig ignores invalid skylinks', () => {
+  let { config, problems } = loadConfig('?testModule=notaskylink');
+  expect(config).toEqual(defaultConfig);
+  expect(problems).toEqual([
+    'testModule from query parameter: expected 46 base64url characters, ' +
+      'got "notaskylink"',
+  ]);
+});
+
+test('isResolverLink tells resolver links from regular skylinks', () => {
+  expect(isResolverLink(defaultConfig.testModule)).toBe(true);
+  expect(isResolverLink(otherModule)).toBe(true);
+  expect(isResolverLink('AACogzrAimYPG42tDOKhS3lXZD8YvlF8Q8R17afe95iV2Q')).toBe(
+    false
+  );
+});
+
+test('missing and malformed modules are derived from the test module', () => {
+  expect(missingModule(defaultConfig.testModule)).toBe(
+    'AQCPJ9WRzMpKQHIsPo9no3XJpUydcDCjw7VJy8lG1MCZ3g'
+  );
+  expect(missingModule(otherModule)).not.toBe(otherModule);
+  expect(missingModule(otherModule)).toHaveLength(46);
+  expect(malformedModule(defaultConfig.testModule)).toBe(
+    'AQCPJ9WRzMpKQHIsPo8no3XJpUydcDCjw7VJy8lG1MCZ3'
+  );
+});
@@ -0,0 +1,204 @@
+import { expectCall, expectError, expectKernelError } from './assert';
+import { configFields, getConfig } from './config';
+import { errorKinds } from './errors';
+import * as kernel from './kernel';
+
+// contracts.js turns declarative contract specs into entries for
+// testCardValues. Most module tests call one method with some input and check
+// the shape of the response, so a module author can describe such a test as
+// data instead of writing a test function. The specs shipped with the suite
+// live in contracts.json.
+//
+// A spec is a plain object that can be written as JSON:
+//   name: the name of the card, unique across the suite. Names starting with
+//     'Test' are reserved for the hand written tests in testMethods.js.
+//   module: the skylink of the module to call, or 'testModule' or
+//     'helperModule' for the configured modules, see config.js
+//   method: the method to call
+//   input: the data passed to the method (default: {})
+//   response: the shape the response must have, see expectShape in assert.js
+//   error: set instead of response when the call must fail. A string must
+//     appear in the error, true accepts any error. Specs written in JS can use
+//     a RegExp.
+//   errorKind: the kind of error the call must fail with, see errors.js. Can
+//     be combined with error, or used on its own.
+//   tags, dependsOn, timeout: as for any other entry of testCardValues
+//
+// Every contract is tagged 'contracts', is shown in the 'contracts' category
+// and depends on TestLibkernelInit unless it sets its own dependencies.
+
+// specFields lists every field a spec may have, so that typos are reported
+// instead of silently ignored.
+const specFields = [
+  'name',
+  'module',
+  'method',
+  'input',
+  'response',
+  'error',
+  'errorKind',
+  'tags',
+  'dependsOn',
+  'timeout',
+];
+
+// resolveModule returns the skylink a spec refers to.
+function resolveModule(module) {
+  if (configFields.includes(module)) {
+    return getConfig()[module];
+  }
+  return module;
+}
+
+// escapeRegExp escapes a string so that it matches itself in a RegExp.
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// errorPattern converts the error field of a spec into the pattern used by
+// expectError.
+function errorPattern(error) {
+  if (error === true) {
+    return null;
+  }
+  if (error instanceof RegExp) {
+    return error;
+  }
+  return new RegExp(escapeRegExp(error));
+}
+
+// validateContract checks a spec and returns a description of the first
+// problem found, or null if the spec is valid.
+export function validateContract(spec) {
+  if (typeof spec !== 'object' || spec === null) {
+    return 'contract must be an object';
+  }
+  for (let field of Object.keys(spec)) {
+    if (!specFields.includes(field)) {
+      return 'contract has an unknown field: ' + field;
+    }
+  }
+  for (let field of ['name', 'module', 'method']) {
+    if (typeof spec[field] !== 'string' || spec[field] === '') {
+      return 'contract is missing the ' + field + ' field';
+    }
+  }
+  if (spec.name.startsWith('Test')) {
+    return "contract names cannot start with 'Test'";
+  }
+  if ('response' in spec && ('error' in spec || 'errorKind' in spec)) {
+    return 'contract cannot set both response and error';
+  }
+  if (
+    'errorKind' in spec &&
+    !errorKinds.some((entry) => entry.kind === spec.errorKind)
+  ) {
+    return (
+      'contract errorKind must be one of: ' +
+      errorKinds.map((entry) => entry.kind).join(', ')
+    );
+  }
+  if (
+    'response' in spec &&
+    (typeof spec.response !== 'object' || spec.response === null)
+  ) {
+    return 'contract response must be an object';
+  }
+  for (let field of ['tags', 'dependsOn']) {
+    if (
+      field in spec &&
+      !(
+        Array.isArray(spec[field]) &&
+        spec[field].every((x) => typeof x === 'string')
+      )
+    ) {
+      return 'contract ' + field + ' must be a list of names';
+    }
+  }
+  if (
+    'timeout' in spec &&
+    !(typeof spec.timeout === 'number' && spec.timeout > 0)
+  ) {
+    return 'contract timeout must be a positive number of milliseconds';
+  }
+  if (
+    'error' in spec &&
+    spec.error !== true &&
+    typeof spec.error !== 'string' &&
+    !(spec.error instanceof RegExp)
+  ) {
+    return 'contract error must be a string, a RegExp or true';
+  }
+  return null;
+}
+
+// contractToTest converts a spec into an entry for testCardValues. An invalid
+// spec still produces an entry, one that fails with the problem, so that the
+// mistake shows up on the page rather than breaking the whole suite.
+export function contractToTest(spec) {
+  let problem = validateContract(spec);
+  if (problem !== null) {
+    let name =
+      spec && typeof spec.name === 'string' && spec.name !== ''
+        ? spec.name
+        : 'InvalidContract';
+    return {
+      name,
+      test: () => Promise.reject(problem),
+      tags: ['contracts'],
+      category: 'contracts',
+    };
+  }
+  let entry = {
+    name: spec.name,
+    tags: ['contracts', ...(spec.tags || [])],
+    category: 'contracts',
+    dependsOn: spec.dependsOn || ['TestLibkernelInit'],
+  };
+  if (spec.timeout !== undefined) {
+    entry.timeout = spec.timeout;
+  }
+  let input = spec.input === undefined ? {} : spec.input;
+  if ('errorKind' in spec) {
+    entry.test = () =>
+      expectKernelError(
+        kernel.callModule(resolveModule(spec.module), spec.method, input),
+        spec.errorKind,
+        'error' in spec ? errorPattern(spec.error) : null,
+        spec.method + ' call'
+      ).then((err) => 'received expected error: ' + err);
+  } else if ('error' in spec) {
+    entry.test = () =>
+      expectError(
+        kernel.callModule(resolveModule(spec.module), spec.method, input),
+        errorPattern(spec.error),
+        spec.method + ' call'
+      ).then((err) => 'received expected error: ' + err);
+  } else {
+    entry.test = () =>
+      expectCall(
+        resolveModule(spec.module),
+        spec.method,
+        input,
+        spec.response || {}
+      ).then(() => spec.method + ' response matches the contract');
+  }
+  return entry;
+}
+
+// loadContracts converts a list of specs into entries for testCardValues. A
+// name that repeats an earlier contract turns the contract into a failing
+// entry with a unique name.
+export function loadContracts(specs) {
+  let names = [];
+  return specs.map((spec, i) => {
+    let entry = contractToTest(spec);
+    if (names.includes(entry.name)) {
+      let problem = 'contract name is already in use: ' + entry.name;
+      entry.name = entry.name + '#' + i;
+      entry.test = () => Promise.reject(problem);
+    }
+    names.push(entry.name);
+    return entry;
+  });
+}
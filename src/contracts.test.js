@@ -0,0 +1,97 @@
+import { defaultConfig } from './config';
+import { contractToTest, loadContracts, validateContract } from './contracts';
+import contractSpecs from './contracts.json';
+import { setKernel } from './kernel';
+import { newMockKernel } from './mockKernel';
+import { runTest } from './runner';
+
+const { helperModule, testModule } = defaultConfig;
+
+test('validateContract reports mistakes in a spec', () => {
+  let spec = { name: 'ContractSeed', module: helperModule, method: 'viewSeed' };
+  expect(validateContract(spec)).toBeNull();
+  expect(validateContract({ ...spec, method: '' })).toBe(
+    'contract is missing the method field'
+  );
+  expect(validateContract({ ...spec, reponse: {} })).toBe(
+    'contract has an unknown field: reponse'
+  );
+  expect(validateContract({ ...spec, response: {}, error: true })).toBe(
+    'contract cannot set both response and error'
+  );
+  expect(validateContract({ ...spec, name: 'TestSeed' })).toBe(
+    "contract names cannot start with 'Test'"
+  );
+  expect(validateContract({ ...spec, errorKind: 'notFound' })).toBeNull();
+  expect(validateContract({ ...spec, errorKind: 'gone' })).toBe(
+    'contract errorKind must be one of: ' +
+      'transport, malformed, forbidden, missingField, notFound, tooLarge'
+  );
+  expect(validateContract({ ...spec, tags: 'seeds' })).toBe(
+    'contract tags must be a list of names'
+  );
+});
+
+test('contracts run against the mock kernel', async () => {
+  setKernel(newMockKernel());
+  let tests = loadContracts(contractSpecs);
+  expect(tests.map((t) => t.tags[0])).toEqual(tests.map(() => 'contracts'));
+  for (let test of tests) {
+    let result = await runTest(test);
+    expect(result.status).toBe('pass');
+  }
+});
+
+test('contract failures report expected and actual values', async () => {
+  setKernel(newMockKernel());
+  let shape = contractToTest({
+    name: 'ContractTestSeedLength',
+    module: testModule,
+    method: 'viewSeed',
+    response: { seed: { length: 32 } },
+  });
+  let result = await runTest(shape);
+  expect(result.status).toBe('fail');
+  expect(result.expected).toBe('32');
+  expect(result.actual).toBe('16');
+
+  let error = contractToTest({
+    name: 'ContractHelperForbidden',
+    module: helperModule,
+    method: 'mirrorDomain',
+    error: 'forbidden',
+  });
+  result = await runTest(error);
+  expect(result.status).toBe('fail');
+  expect(result.message).toMatch(/^mirrorDomain call was expected to fail/);
+
+  let kind = contractToTest({
+    name: 'ContractHelperMissingMethod',
+    module: 'helperModule',
+    method: 'notAMethod',
+    errorKind: 'notFound',
+  });
+  result = await runTest(kind);
+  expect(result.status).toBe('fail');
+  expect(result.expected).toBe('"not found error"');
+  expect(result.actual).toBe(
+    '"unclassified error: moduleCall query to kernel failed: unrecognized method: notAMethod"'
+  );
+});
+
+test('invalid and duplicate contracts become failing cards', async () => {
+  let tests = loadContracts([
+    { name: 'ContractA', module: helperModule, method: 'viewSeed' },
+    { name: 'ContractA', module: helperModule, method: 'viewSeed' },
+    { module: helperModule },
+  ]);
+  expect(tests.map((t) => t.name)).toEqual([
+    'ContractA',
+    'ContractA#1',
+    'InvalidContract',
+  ]);
+  let duplicate = await runTest(tests[1]);
+  expect(duplicate.message).toBe('contract name is already in use: ContractA');
+  let invalid = await runTest(tests[2]);
+  expect(invalid.message).toBe('contract is missing the name field');
+});
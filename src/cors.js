@@ -0,0 +1,185 @@
+import { AssertionError, expectType } from './assert';
+import { getConfig } from './config';
+import * as kernel from './kernel';
+
+// cors.js points the CORS check of the test module at a list of URLs and
+// reports the outcome of every URL as a matrix. Without a list, TestBasicCORS
+// has the module fetch a couple of public websites, which fails in offline or
+// restricted environments and does not say which URL failed.
+//
+// The URLs are configured with query parameters:
+//   - 'corsServer' is the address of scripts/corsServer.js, for example
+//     '?corsServer=http://localhost:4100'. Every endpoint of corsEndpoints is
+//     checked on it, each with a known outcome.
+//   - 'corsURLs' is a comma separated list of other URLs, which are expected
+//     to be allowed.
+// scripts/headless.js starts the server and fills in 'corsServer' when it is
+// run with '--corsServer local'.
+//
+// When given a list, the test module is called as testCORS({ urls }) and
+// responds with { results } where every result has the form:
+//   { url, status, redirected, error }
+// status is the HTTP status of the response, or 0 if fetch rejected, in which
+// case error holds the message it rejected with. The published test module
+// predates the list: it ignores it and responds with { url }, the website it
+// fetched on its own. The check then fails, as none of the configured URLs
+// were checked.
+
+// corsEndpoints lists the endpoints of scripts/corsServer.js, what each one
+// does and the outcome that a fetch from a module must have. Both files have
+// to be changed together.
+export const corsEndpoints = [
+  {
+    path: '/allow-any',
+    expected: 'allowed',
+    description: 'sends Access-Control-Allow-Origin: *',
+  },
+  {
+    path: '/allow-origin',
+    expected: 'allowed',
+    description: 'echoes the Origin of the request',
+  },
+  {
+    path: '/deny-missing',
+    expected: 'denied',
+    description: 'sends no Access-Control-Allow-Origin header',
+  },
+  {
+    path: '/deny-other-origin',
+    expected: 'denied',
+    description: 'only allows https://example.com',
+  },
+  {
+    path: '/redirect',
+    expected: 'redirect',
+    description: 'redirects to /allow-any',
+  },
+  {
+    path: '/redirect-denied',
+    expected: 'denied',
+    description: 'redirects to /deny-missing',
+  },
+  {
+    path: '/error',
+    expected: 'error',
+    description: 'responds with status 500',
+  },
+  {
+    path: '/not-found',
+    expected: 'error',
+    description: 'responds with status 404',
+  },
+];
+
+// corsTargets reads the URLs to check from a query string. It returns a list
+// of { url, expected, description } that is empty if no URLs are configured.
+export function corsTargets(search) {
+  let params = new URLSearchParams(search);
+  let targets = [];
+  let server = params.get('corsServer');
+  if (server) {
+    for (let endpoint of corsEndpoints) {
+      targets.push({
+        url: new URL(endpoint.path, server).toString(),
+        expected: endpoint.expected,
+        description: endpoint.description,
+      });
+    }
+  }
+  for (let entry of (params.get('corsURLs') || '').split(',')) {
+    let url;
+    try {
+      url = new URL(entry.trim()).toString();
+    } catch {
+      continue;
+    }
+    if (!targets.some((t) => t.url === url)) {
+      targets.push({ url, expected: 'allowed', description: null });
+    }
+  }
+  return targets;
+}
+
+// classifyCORS returns the outcome of a fetch reported by the test module:
+// 'allowed', 'denied', 'redirect' or 'error'. Browsers reject a fetch that
+// CORS does not allow with the same error as a fetch that could not connect,
+// so both are reported as denied; a server that responds with an error status
+// is an error.
+export function classifyCORS(result) {
+  if (result.error || result.status === 0) {
+    return 'denied';
+  }
+  if (result.status >= 400) {
+    return 'error';
+  }
+  if (result.redirected) {
+    return 'redirect';
+  }
+  return 'allowed';
+}
+
+// formatRow describes the outcome of one URL as a line of the matrix.
+function formatRow(row) {
+  let detail = row.error || 'status ' + row.status;
+  let line = row.outcome.padEnd(9) + row.url + ' (' + detail + ')';
+  if (row.outcome !== row.expected) {
+    line += ', expected ' + row.expected;
+    if (row.description !== null) {
+      line += ' because it ' + row.description;
+    }
+  }
+  return line;
+}
+
+// runCORSMatrix has the test module fetch every target and resolves with the
+// matrix as text, one line per URL. If any URL had another outcome than
+// expected, it throws an AssertionError that holds the matrix and lists those
+// URLs. A module that ignores the list fails the check as well.
+export function runCORSMatrix(targets) {
+  let urls = targets.map((t) => t.url);
+  return kernel
+    .callModule(getConfig().testModule, 'testCORS', { urls })
+    .then((data) => {
+      if (!Array.isArray(data.results)) {
+        throw new AssertionError(
+          'the test module ignored the list of ' +
+            urls.length +
+            ' URLs, it needs a newer build to check them',
+          'a list of results',
+          data
+        );
+      }
+      let rows = targets.map((target) => {
+        let result = data.results.find((r) => r && r.url === target.url);
+        if (!result) {
+          return {
+            ...target,
+            outcome: 'missing',
+            status: 0,
+            error: 'no result reported',
+          };
+        }
+        expectType(result.status, 'number', 'status of ' + target.url);
+        return {
+          ...target,
+          outcome: classifyCORS(result),
+          status: result.status,
+          error: result.error || null,
+        };
+      });
+      let wrong = rows.filter((r) => r.outcome !== r.expected);
+      let matrix = rows.map(formatRow).join('\n');
+      if (wrong.length > 0) {
+        throw new AssertionError(
+          wrong.length +
+            ' of ' +
+            rows.length +
+            ' URLs had another outcome\n' +
+            matrix,
+          'the expected outcome for every URL',
+          wrong.map((r) => r.url + ': ' + r.outcome)
+        );
+      }
+      return rows.length + ' URLs had the expected outcome\n' + matrix;
+    });
+}
@@ -0,0 +1,147 @@
+import {
+  classifyCORS,
+  corsEndpoints,
+  corsTargets,
+  runCORSMatrix,
+} from './cors';
+import { setKernel } from './kernel';
+import { newMockKernel } from './mockKernel';
+
+// browserResults are what fetch in a browser reports for the endpoints of
+// scripts/corsServer.js when called from another origin: CORS failures reject
+// with a TypeError and redirects are followed.
+const failedFetch = {
+  status: 0,
+  redirected: false,
+  error: 'TypeError: Failed to fetch',
+};
+const browserResults = {
+  '/allow-any': { status: 200, redirected: false, error: null },
+  '/allow-origin': { status: 200, redirected: false, error: null },
+  '/deny-missing': failedFetch,
+  '/deny-other-origin': failedFetch,
+  '/redirect': { status: 200, redirected: true, error: null },
+  '/redirect-denied': failedFetch,
+  '/error': { status: 500, redirected: false, error: null },
+  '/not-found': { status: 404, redirected: false, error: null },
+};
+
+// listingKernel returns a kernel whose test module reports the results of
+// fetches for a list of URLs, taken from results by path. Other URLs fail
+// like an unreachable host.
+function listingKernel(results) {
+  return {
+    ...newMockKernel(),
+    callModule: (module, method, { urls }) =>
+      Promise.resolve({
+        results: urls.map((url) => ({
+          url,
+          ...(results[new URL(url).pathname] || failedFetch),
+        })),
+      }),
+  };
+}
+
+test('corsTargets reads the server and the other URLs', () => {
+  expect(corsTargets('')).toEqual([]);
+  let targets = corsTargets(
+    '?corsServer=http://localhost:4100' +
+      '&corsURLs=https://siasky.net, not a url,http://localhost:4100/allow-any'
+  );
+  expect(targets.length).toBe(corsEndpoints.length + 1);
+  expect(targets[0]).toEqual({
+    url: 'http://localhost:4100/allow-any',
+    expected: 'allowed',
+    description: 'sends Access-Control-Allow-Origin: *',
+  });
+  expect(targets[targets.length - 1]).toEqual({
+    url: 'https://siasky.net/',
+    expected: 'allowed',
+    description: null,
+  });
+});
+
+test('classifyCORS classifies what the browser reports', () => {
+  let outcomes = {};
+  for (let [path, result] of Object.entries(browserResults)) {
+    outcomes[path] = classifyCORS(result);
+  }
+  expect(outcomes).toEqual({
+    '/allow-any': 'allowed',
+    '/allow-origin': 'allowed',
+    '/deny-missing': 'denied',
+    '/deny-other-origin': 'denied',
+    '/redirect': 'redirect',
+    '/redirect-denied': 'denied',
+    '/error': 'error',
+    '/not-found': 'error',
+  });
+});
+
+test('runCORSMatrix reports the outcome of every URL', async () => {
+  setKernel(listingKernel(browserResults));
+  let matrix = await runCORSMatrix(
+    corsTargets('?corsServer=http://localhost:4100')
+  );
+  let lines = matrix.split('\n');
+  expect(lines[0]).toBe(
+    corsEndpoints.length + ' URLs had the expected outcome'
+  );
+  expect(lines).toContain(
+    'denied   http://localhost:4100/deny-missing (TypeError: Failed to fetch)'
+  );
+  expect(lines).toContain(
+    'redirect http://localhost:4100/redirect (status 200)'
+  );
+  expect(lines).toContain('error    http://localhost:4100/error (status 500)');
+});
+
+test('runCORSMatrix fails on unexpected outcomes', async () => {
+  setKernel(
+    listingKernel({
+      ...browserResults,
+      '/deny-missing': browserResults['/allow-any'],
+    })
+  );
+  let targets = corsTargets(
+    '?corsServer=http://localhost:4100&corsURLs=https://siasky.net'
+  );
+  await expect(runCORSMatrix(targets)).rejects.toMatchObject({
+    name: 'AssertionError',
+    message: expect.stringMatching(
+      /^2 of 9 URLs had another outcome\n[^]*\/deny-missing \(status 200\), expected denied because it sends no Access-Control-Allow-Origin header$/m
+    ),
+    actual:
+      '["http://localhost:4100/deny-missing: allowed","https://siasky.net/: denied"]',
+  });
+});
+
+test('runCORSMatrix checks every URL with the mock kernel', async () => {
+  setKernel(newMockKernel());
+  let matrix = await runCORSMatrix(
+    corsTargets('?corsServer=http://localhost:4100&corsURLs=https://siasky.net')
+  );
+  let lines = matrix.split('\n');
+  expect(lines[0]).toBe('9 URLs had the expected outcome');
+  expect(lines).toContain(
+    'denied   http://localhost:4100/redirect-denied (TypeError: Failed to fetch)'
+  );
+  expect(lines).toContain('allowed  https://siasky.net/ (status 200)');
+});
+
+test('runCORSMatrix fails when the module ignores the list', async () => {
+  // The published test module only reports the website it fetched.
+  setKernel({
+    ...newMockKernel(),
+    callModule: () => Promise.resolve({ url: 'https://siasky.net' }),
+  });
+  await expect(
+    runCORSMatrix(corsTargets('?corsServer=http://localhost:4100'))
+  ).rejects.toMatchObject({
+    name: 'AssertionError',
+    message: expect.stringMatching(
+      /^the test module ignored the list of 8 URLs, it needs a newer build to check them\n/
+    ),
+    actual: '{"url":"https://siasky.net"}',
+  });
+});
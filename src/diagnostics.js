@@ -0,0 +1,214 @@
+import libkernelPackage from 'libkernel/package.json';
+
+import { getConfig } from './config';
+import { classifyError } from './errors';
+import * as kernel from './kernel';
+import { runTest } from './runner';
+
+// diagnostics.js checks the environment the suite runs in before any test
+// starts. When the extension is missing or the kernel is not loaded, every
+// test fails in the same way and the cards alone do not say why, so the
+// checks here explain what is wrong, say what to do about it, and decide
+// whether running the suite is meaningful.
+
+// checkTimeout is how long each check may take. The bridge check has to wait
+// for libkernel to give up on the bridge, which takes two seconds.
+const checkTimeout = 5000;
+
+// latencySamples is the number of test messages sent to measure latency.
+const latencySamples = 10;
+
+// slowLatency is the median round trip time in milliseconds above which the
+// latency check warns that timing based tests are likely to time out.
+const slowLatency = 250;
+
+// guidance explains how to fix a failed check.
+const guidance = {
+  bridge:
+    'Install the Skynet browser extension, make sure it is enabled for this ' +
+    'site, then reload the page.',
+  kernel:
+    'The extension is installed but the kernel did not respond. Log in to ' +
+    'Skynet through the extension, then reload the page. If you are already ' +
+    'logged in, reloading the extension usually helps.',
+  origin:
+    'The test module could not be reached. Check the test module in the ' +
+    'settings and that the portal used by the kernel is online.',
+  domain:
+    'The kernel reported a different origin than the page has. Tests that ' +
+    'check domains will fail; make sure the page is not embedded or proxied.',
+  latency:
+    'The kernel is responding slowly. Close other Skynet pages and consider ' +
+    'raising the concurrency only after the latency improves.',
+};
+
+// newCheck runs one check using runTest, so checks get the same timeout
+// handling as tests. fn resolves with { status: 'ok' | 'warn', detail } and
+// any rejection or timeout makes the check fail.
+function newCheck(name, label, fn) {
+  let outcome = null;
+  let test = () =>
+    fn().then((x) => {
+      outcome = x;
+    });
+  return runTest({ name, test, timeout: checkTimeout }).then((result) => {
+    if (result.status !== 'pass') {
+      return { name, label, status: 'fail', detail: result.message };
+    }
+    return { name, label, ...outcome };
+  });
+}
+
+// skipCheck records a check that could not run because an earlier one failed.
+function skipCheck(name, label, reason) {
+  return { name, label, status: 'skipped', detail: reason };
+}
+
+// median returns the median of a list of numbers.
+function median(samples) {
+  let sorted = [...samples].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+// measureLatency sends test messages to the kernel one at a time and
+// resolves with the round trip time of each.
+function measureLatency(count) {
+  let latencies = [];
+  let next = function () {
+    if (latencies.length === count) {
+      return Promise.resolve(latencies);
+    }
+    let start = performance.now();
+    return kernel.testMessage().then(() => {
+      latencies.push(performance.now() - start);
+      return next();
+    });
+  };
+  return next();
+}
+
+// runDiagnostics runs every check in order and resolves with:
+//   { checks, verdict, guidance }
+// where each check has the form { name, label, status, detail } with a status
+// of 'ok', 'warn', 'fail' or 'skipped'. verdict is 'ok' if every check
+// passed, 'warn' if the suite can run but some results are likely to be
+// affected, and 'blocked' if the kernel cannot be reached, in which case
+// running the suite is not meaningful. guidance lists what to do about the
+// checks that did not pass. onCheck is called with each check as it
+// completes.
+export function runDiagnostics({ onCheck } = {}) {
+  let checks = [];
+  let record = function (check) {
+    checks.push(check);
+    if (onCheck) {
+      onCheck(check);
+    }
+    return check;
+  };
+
+  let bridge = newCheck('bridge', 'bridge script', () =>
+    kernel
+      .init()
+      .then((version) => ({ status: 'ok', detail: 'bridge ' + version }))
+  ).then(record);
+
+  let kernelCheck = bridge.then((b) => {
+    if (b.status !== 'ok') {
+      return record(
+        skipCheck('kernel', 'kernel', 'the bridge is not available')
+      );
+    }
+    return newCheck('kernel', 'kernel', () =>
+      kernel
+        .testMessage()
+        .then((version) => ({ status: 'ok', detail: 'kernel ' + version }))
+    ).then(record);
+  });
+
+  let rest = kernelCheck.then((k) => {
+    record({
+      name: 'libkernel',
+      label: 'libkernel',
+      status: 'ok',
+      detail: 'libkernel ' + libkernelPackage.version + ' (bundled)',
+    });
+    if (k.status !== 'ok') {
+      let reason = 'the kernel is not reachable';
+      record(skipCheck('portal', 'portal', reason));
+      record(skipCheck('origin', 'origin seen by the kernel', reason));
+      record(skipCheck('latency', 'message latency', reason));
+      return;
+    }
+    return newCheck('portal', 'portal', () =>
+      kernel
+        .getPortal()
+        .then((portal) =>
+          portal === null
+            ? { status: 'ok', detail: 'not reported by this kernel' }
+            : { status: 'ok', detail: portal }
+        )
+    )
+      .then(record)
+      .then(() =>
+        newCheck('origin', 'origin seen by the kernel', () =>
+          kernel
+            .callModule(getConfig().testModule, 'mirrorDomain', {})
+            .then((data) =>
+              data.domain === window.location.hostname
+                ? { status: 'ok', detail: data.domain }
+                : {
+                    status: 'warn',
+                    detail:
+                      'kernel reports ' +
+                      data.domain +
+                      ' but the page is on ' +
+                      window.location.hostname,
+                  }
+            )
+        )
+      )
+      .then(record)
+      .then(() =>
+        newCheck('latency', 'message latency', () =>
+          measureLatency(latencySamples).then((latencies) => {
+            let ms = median(latencies);
+            let detail =
+              'median round trip ' +
+              ms.toFixed(1) +
+              'ms over ' +
+              latencySamples +
+              ' test messages';
+            return { status: ms > slowLatency ? 'warn' : 'ok', detail };
+          })
+        )
+      )
+      .then(record);
+  });
+
+  return rest.then(() => {
+    let byName = Object.fromEntries(checks.map((c) => [c.name, c]));
+    let advice = [];
+    let verdict = 'ok';
+    if (byName.bridge.status !== 'ok') {
+      verdict = 'blocked';
+      advice.push(guidance.bridge);
+    } else if (byName.kernel.status !== 'ok') {
+      verdict = 'blocked';
+      advice.push(guidance.kernel);
+    } else {
+      if (byName.origin.status === 'fail') {
+        let kind = classifyError(byName.origin.detail);
+        advice.push(kind === 'transport' ? guidance.kernel : guidance.origin);
+      } else if (byName.origin.status === 'warn') {
+        advice.push(guidance.domain);
+      }
+      if (byName.latency.status !== 'ok') {
+        advice.push(guidance.latency);
+      }
+      if (checks.some((c) => c.status === 'fail' || c.status === 'warn')) {
+        verdict = 'warn';
+      }
+    }
+    return { checks, verdict, guidance: advice };
+  });
+}
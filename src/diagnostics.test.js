@@ -0,0 +1,61 @@
+import { runDiagnostics } from './diagnostics';
+import { setKernel } from './kernel';
+import { mockKernelVersion, mockPortal, newMockKernel } from './mockKernel';
+
+// statuses maps the name of each check to its status.
+function statuses(diagnosis) {
+  return Object.fromEntries(diagnosis.checks.map((c) => [c.name, c.status]));
+}
+
+test('runDiagnostics passes every check against a healthy kernel', async () => {
+  setKernel(newMockKernel());
+  let seen = [];
+  let diagnosis = await runDiagnostics({
+    onCheck: (check) => seen.push(check.name),
+  });
+  expect(diagnosis.verdict).toBe('ok');
+  expect(diagnosis.guidance).toEqual([]);
+  expect(statuses(diagnosis)).toEqual({
+    bridge: 'ok',
+    kernel: 'ok',
+    libkernel: 'ok',
+    portal: 'ok',
+    origin: 'ok',
+    latency: 'ok',
+  });
+  expect(seen).toEqual(diagnosis.checks.map((c) => c.name));
+  let details = diagnosis.checks.map((c) => c.detail);
+  expect(details).toContain('kernel ' + mockKernelVersion);
+  expect(details).toContain(mockPortal);
+  expect(details).toContain('libkernel 0.0.79 (bundled)');
+});
+
+test('runDiagnostics blocks the suite when the extension is missing', async () => {
+  setKernel(newMockKernel({ bridge: false }));
+  let diagnosis = await runDiagnostics();
+  expect(diagnosis.verdict).toBe('blocked');
+  expect(statuses(diagnosis)).toEqual({
+    bridge: 'fail',
+    kernel: 'skipped',
+    libkernel: 'ok',
+    portal: 'skipped',
+    origin: 'skipped',
+    latency: 'skipped',
+  });
+  expect(diagnosis.guidance).toHaveLength(1);
+  expect(diagnosis.guidance[0]).toMatch(/Install the Skynet browser extension/);
+});
+
+test('runDiagnostics warns about a domain mismatch and slow messages', async () => {
+  setKernel(newMockKernel({ domain: 'example.com', latency: 300 }));
+  let diagnosis = await runDiagnostics();
+  expect(diagnosis.verdict).toBe('warn');
+  expect(statuses(diagnosis)).toMatchObject({
+    origin: 'warn',
+    latency: 'warn',
+  });
+  expect(diagnosis.checks.find((c) => c.name === 'origin').detail).toBe(
+    'kernel reports example.com but the page is on localhost'
+  );
+  expect(diagnosis.guidance).toHaveLength(2);
+}, 15000);
@@ -0,0 +1,85 @@
+// errors.js sorts the errors returned by the kernel into kinds, so that a
+// negative test can check that a call failed for the reason it expects and
+// not, for example, because the extension is missing.
+//
+// The kernel reports errors as strings, so the kinds are recognized by the
+// wording of the message. Transport failures are checked first: an error
+// from the bridge or the page => kernel channel means the call never reached
+// the kernel, even if the message happens to mention a skylink or a method.
+
+// errorKinds describes each kind of error, in the order they are checked. A
+// message that matches none of them is of kind 'other'. The patterns follow
+// the wording of the code that produces the errors:
+//   - transport: libkernel (v0.0.79, init.js and messages.js) and the
+//     DataCloneError of postMessage, which Chrome and Firefox word as
+//     '... could not be cloned'
+//   - malformed, forbidden, missingField: the checks that the kernel's
+//     handleModuleCall runs on a moduleCall before loading the module, and
+//     the skylink errors of libskynet that the kernel passes on
+//   - notFound: the kernel adds 'unable to load module' to a failed download
+//     of the module, for a missing skylink the portal answers with a 404
+//   - tooLarge: an upload that does not fit into a sector, which libskynet
+//     refuses with 'dataSize must be less than the sector size' and the
+//     upload module as 'too large'
+// libkernel prefixes errors from the kernel with 'moduleCall query to kernel
+// failed: ', so the patterns are not anchored.
+export const errorKinds = [
+  {
+    kind: 'transport',
+    description: 'transport failure',
+    pattern:
+      /bridge failed to initialize|bridge unavailable, need skynet extension|received late signal from bridge|newKernelQuery failed|no err field provided in response|could not be cloned/i,
+  },
+  {
+    kind: 'malformed',
+    description: 'malformed skylink',
+    pattern:
+      /'module' field in moduleCall is expected to be a base64 skylink|provided skylink has (incorrect length|(an )?unrecognized version|an invalid v1 bitfield)|skylink is malformed/i,
+  },
+  {
+    kind: 'forbidden',
+    description: 'forbidden method',
+    pattern: /is a privileged method, only the kernel is allowed to call it/i,
+  },
+  {
+    kind: 'missingField',
+    description: 'missing field',
+    pattern:
+      /moduleCall is missing '\w+' field|no 'data\.method' specified|'data\.method' needs to be a string|no field data\.data in moduleCall/i,
+  },
+  {
+    kind: 'notFound',
+    description: 'not found',
+    pattern: /unable to load module|\b404\b/i,
+  },
+  {
+    kind: 'tooLarge',
+    description: 'file too large',
+    pattern: /too large|dataSize must be less than the sector size/i,
+  },
+];
+
+// describeKind returns the readable name of a kind of error.
+export function describeKind(kind) {
+  let entry = errorKinds.find((k) => k.kind === kind);
+  return entry ? entry.description : 'unclassified';
+}
+
+// errorMessage converts an error to the string that is classified.
+export function errorMessage(err) {
+  if (typeof err === 'string') {
+    return err;
+  }
+  if (err instanceof Error) {
+    return err.message;
+  }
+  return String(err);
+}
+
+// classifyError returns the kind of an error, one of the kinds in errorKinds
+// or 'other'.
+export function classifyError(err) {
+  let message = errorMessage(err);
+  let entry = errorKinds.find((k) => k.pattern.test(message));
+  return entry ? entry.kind : 'other';
+}
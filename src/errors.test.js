@@ -0,0 +1,51 @@
+import { classifyError, describeKind } from './errors';
+
+test('classifyError recognizes kernel and libkernel errors', () => {
+  let cases = [
+    [
+      'the bridge failed to initialize (do you have the Skynet browser extension?)',
+      'transport',
+    ],
+    ['bridge unavailable, need skynet extension', 'transport'],
+    [
+      "moduleCall query to kernel failed: 'module' field in moduleCall is expected to be a base64 skylink",
+      'malformed',
+    ],
+    [
+      'moduleCall query to kernel failed: unable to load module: unable to download skylink: 404',
+      'notFound',
+    ],
+    ['provided skylink has an invalid v1 bitfield', 'malformed'],
+    [
+      'presentSeed is a privileged method, only the kernel is allowed to call it',
+      'forbidden',
+    ],
+    ["'data.method' needs to be a string", 'missingField'],
+    ["moduleCall is missing 'module' field: {}", 'missingField'],
+    ['unrecognized method: viewSeeds', 'other'],
+    [
+      'unable to upload file: file is too large, uploads are limited to a ' +
+        'single sector',
+      'tooLarge',
+    ],
+    ['dataSize must be less than the sector size', 'tooLarge'],
+    [new Error('unable to load module: 404'), 'notFound'],
+  ];
+  for (let [err, kind] of cases) {
+    expect([err, classifyError(err)]).toEqual([err, kind]);
+  }
+});
+
+test('transport failures take precedence over other kinds', () => {
+  expect(
+    classifyError(
+      'moduleCall query to kernel failed: unable to load module: ' +
+        'function () {} could not be cloned.'
+    )
+  ).toBe('transport');
+});
+
+test('describeKind names each kind', () => {
+  expect(describeKind('notFound')).toBe('not found');
+  expect(describeKind('other')).toBe('unclassified');
+});
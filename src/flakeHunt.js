@@ -0,0 +1,74 @@
+import { passed, runTest, runTests } from './runner';
+
+// flakeHunt.js runs a single test many times in a row to find out how often
+// it fails and how. A test that fails now and then is hard to judge from a
+// single red card; its pass rate and the messages it fails with tell a benign
+// race apart from a real bug. Retries are not used, every run counts.
+
+// failureKey reduces the message of a failed run to the line that describes
+// the failure. Assertion errors append the expected and actual values on
+// their own lines, which can differ between runs that failed the same way.
+function failureKey(result) {
+  return result.status + ': ' + result.message.split('\n')[0];
+}
+
+// summarizeHunt describes the results of the runs of a hunt:
+//   { runs, passed, passRate, failures }
+// where passRate is between 0 and 1 (null without runs) and failures lists
+// the distinct failures as { message, count }, most frequent first. Timeouts
+// count as failures.
+export function summarizeHunt(results) {
+  let counts = new Map();
+  for (let result of results) {
+    if (passed(result)) {
+      continue;
+    }
+    let key = failureKey(result);
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+  let ok = results.filter(passed).length;
+  return {
+    runs: results.length,
+    passed: ok,
+    passRate: results.length === 0 ? null : ok / results.length,
+    failures: [...counts]
+      .map(([message, count]) => ({ message, count }))
+      .sort((a, b) => b.count - a.count),
+  };
+}
+
+// huntFlakes runs a test 'runs' times, one run after the other, and resolves
+// with summarizeHunt of the results plus the durations of the runs, in
+// order. setup lists tests that must pass once before the hunt starts,
+// usually the dependencies of the test; if one does not pass the promise
+// rejects with its message. onRun is called with the result of every run and
+// shouldStop before each run; a hunt that is stopped early reports the runs
+// made so far.
+export function huntFlakes(
+  test,
+  { runs = 20, setup = [], onRun, shouldStop = () => false } = {}
+) {
+  let results = [];
+  let next = function () {
+    if (results.length >= runs || shouldStop()) {
+      return {
+        ...summarizeHunt(results),
+        durations: results.map((r) => r.duration),
+      };
+    }
+    return runTest(test).then((result) => {
+      results.push(result);
+      if (onRun) {
+        onRun(result);
+      }
+      return next();
+    });
+  };
+  return runTests(setup).then((setupResults) => {
+    let failed = setupResults.find((r) => !passed(r));
+    if (failed !== undefined) {
+      return Promise.reject(failed.name + ' did not pass: ' + failed.message);
+    }
+    return next();
+  });
+}
@@ -0,0 +1,67 @@
+import { huntFlakes, summarizeHunt } from './flakeHunt';
+import { AssertionError } from './assert';
+
+test('summarizeHunt groups failures by their first line', () => {
+  let results = [
+    { status: 'pass', message: 'ok' },
+    {
+      status: 'fail',
+      message: new AssertionError('update out of order', 50, 75).message,
+    },
+    { status: 'timeout', message: 'test timed out after 100ms' },
+    {
+      status: 'fail',
+      message: new AssertionError('update out of order', 25, 50).message,
+    },
+  ];
+  expect(summarizeHunt(results)).toEqual({
+    runs: 4,
+    passed: 1,
+    passRate: 0.25,
+    failures: [
+      { message: 'fail: update out of order', count: 2 },
+      { message: 'timeout: test timed out after 100ms', count: 1 },
+    ],
+  });
+  expect(summarizeHunt([]).passRate).toBeNull();
+});
+
+test('huntFlakes runs the test the given number of times', async () => {
+  let runs = 0;
+  let test = {
+    name: 'sometimes',
+    test: () => {
+      runs += 1;
+      return runs % 3 === 0 ? Promise.reject('race lost') : Promise.resolve();
+    },
+  };
+  let seen = [];
+  let hunt = await huntFlakes(test, {
+    runs: 9,
+    onRun: (r) => seen.push(r.status),
+  });
+  expect(runs).toBe(9);
+  expect(seen.filter((s) => s === 'fail').length).toBe(3);
+  expect(hunt.passed).toBe(6);
+  expect(hunt.passRate).toBeCloseTo(2 / 3);
+  expect(hunt.failures).toEqual([{ message: 'fail: race lost', count: 3 }]);
+  expect(hunt.durations.length).toBe(9);
+});
+
+test('huntFlakes runs the setup first and can be stopped', async () => {
+  let ran = 0;
+  let test = { name: 't', test: () => Promise.resolve(ran++) };
+  let init = { name: 'init', test: () => Promise.reject('no bridge') };
+  await expect(huntFlakes(test, { setup: [init] })).rejects.toBe(
+    'init did not pass: no bridge'
+  );
+  expect(ran).toBe(0);
+
+  let hunt = await huntFlakes(test, {
+    runs: 100,
+    setup: [{ name: 'init', test: () => Promise.resolve() }],
+    shouldStop: () => ran >= 4,
+  });
+  expect(hunt.runs).toBe(4);
+  expect(hunt.passRate).toBe(1);
+});
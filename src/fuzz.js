@@ -0,0 +1,663 @@
+import { AssertionError, formatValue } from './assert';
+import { getConfig } from './config';
+import * as kernel from './kernel';
+
+// fuzz.js calls the test and helper modules with generated method names,
+// skylinks and inputs, and checks that the kernel always answers with a
+// well-formed response or error, and that the modules do not record any
+// errors along the way. The hand written negative tests only cover a few
+// inputs, the fuzzer covers the inputs nobody thought of.
+//
+// Runs are reproducible: case i of a run with a given seed is always the
+// same, so a failure can be reproduced from the seed and the index alone.
+// A failing case is minimized, by simplifying it for as long as it keeps
+// failing in the same way, and printed as a test that can be pasted into
+// testMethods.js.
+//
+// Cases are described as plain data rather than built as values, because
+// they have to be simplified and printed as source code. A case has the
+// form { module, method, data } where each field is a node:
+//   { t: 'config', field }: a module from the config, see config.js
+//   { t: 'undefined' }, { t: 'null' }
+//   { t: 'boolean' | 'number' | 'bigint' | 'string', v }
+//   { t: 'repeat', v, count }: v repeated count times
+//   { t: 'bytes', type, length }: a typed array or ArrayBuffer of zeros
+//   { t: 'array', items }, { t: 'object', entries: [[key, node], ...] }
+//   { t: 'deep', depth }: arrays nested depth levels deep
+//   { t: 'function' }, { t: 'symbol' }: values that cannot be cloned
+
+// fuzzMethods are the methods of the test and helper modules that answer
+// without further input. Methods that wait for queryUpdates or loop for a
+// number of iterations given in the input would be reported as hanging.
+// presentSeed is left out: if a kernel let it through, the fuzzer would hand
+// a real module a fake seed. The security tests check that it is refused.
+export const fuzzMethods = [
+  'viewSeed',
+  'mirrorDomain',
+  'testLogging',
+  'sendTestToKernel',
+  'viewHelperSeed',
+  'viewOwnSeedThroughHelper',
+  'testerMirrorDomain',
+  'testResponseUpdate',
+  'viewTesterSeed',
+  'viewErrors',
+];
+
+// fuzzCategories maps each of fuzzMethods to the category of the tests in
+// testMethods.js that call it. A regression test for one of these methods
+// joins that category; a test for any other method joins the tests of calls
+// with missing or malformed fields, see fuzzCategory.
+const fuzzCategories = {
+  viewSeed: 'seeds',
+  mirrorDomain: 'domains',
+  testLogging: 'inter-module messaging',
+  sendTestToKernel: 'inter-module messaging',
+  viewHelperSeed: 'seeds',
+  viewOwnSeedThroughHelper: 'seeds',
+  testerMirrorDomain: 'domains',
+  testResponseUpdate: 'updates',
+  viewTesterSeed: 'seeds',
+  viewErrors: 'module errors',
+};
+
+// fuzzCategory returns the category of a regression test for a case whose
+// method is the given node.
+export function fuzzCategory(method) {
+  if (method.t === 'string' && fuzzMethods.includes(method.v)) {
+    return fuzzCategories[method.v];
+  }
+  return 'inter-module messaging';
+}
+
+// defaultFuzzTimeout is how long a fuzzed call may take before it is
+// reported as hanging.
+export const defaultFuzzTimeout = 5000;
+
+// maxMinimizeCalls limits how many calls minimizing one case may make.
+const maxMinimizeCalls = 200;
+
+// oddStrings are strings that have tripped up message handling before.
+const oddStrings = [
+  '',
+  ' ',
+  '__proto__',
+  'constructor',
+  'prototype',
+  'toString',
+  'hasOwnProperty',
+  'method',
+  'module',
+  'data',
+  'nonce',
+  'queryUpdate',
+  '\u0000',
+  '\ud800',
+  'ünïcödé ファイル 🚀',
+  '../../etc/passwd',
+  'sia://',
+];
+
+const base64url =
+  'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
+
+const byteTypes = [
+  'Uint8Array',
+  'Int32Array',
+  'Float64Array',
+  'BigInt64Array',
+  'ArrayBuffer',
+];
+
+// newRandom returns a seeded pseudo random number generator (mulberry32).
+export function newRandom(seed) {
+  let state = seed >>> 0;
+  let next = function () {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  let int = (n) => Math.floor(next() * n);
+  return {
+    next,
+    int,
+    pick: (list) => list[int(list.length)],
+    chance: (p) => next() < p,
+  };
+}
+
+// caseSeed derives the seed of case 'index' of a run.
+function caseSeed(seed, index) {
+  return (
+    (Math.imul(seed >>> 0, 0x9e3779b1) ^ Math.imul(index + 1, 0x85ebca6b)) >>> 0
+  );
+}
+
+// randomString returns a short string of random characters.
+function randomString(rng) {
+  if (rng.chance(0.3)) {
+    return rng.pick(oddStrings);
+  }
+  let chars = base64url + 'é中🚀.$ /';
+  let length = rng.int(24);
+  let text = '';
+  for (let i = 0; i < length; i++) {
+    text += chars[rng.int(chars.length)];
+  }
+  return text;
+}
+
+// randomValue returns a random node. depth limits how deeply arrays and
+// objects are nested.
+function randomValue(rng, depth = 0) {
+  let kinds = [
+    'undefined',
+    'null',
+    'boolean',
+    'number',
+    'bigint',
+    'string',
+    'repeat',
+    'bytes',
+    'deep',
+    'function',
+    'symbol',
+  ];
+  if (depth < 4) {
+    kinds.push('array', 'object', 'object');
+  }
+  let kind = rng.pick(kinds);
+  switch (kind) {
+    case 'boolean':
+      return { t: kind, v: rng.chance(0.5) };
+    case 'number':
+      return {
+        t: kind,
+        v: rng.pick([0, -0, 1, -1, 2 ** 53 + 1, 1e308, NaN, Infinity, 0.5]),
+      };
+    case 'bigint':
+      return { t: kind, v: rng.int(1000) + '0'.repeat(rng.int(40)) };
+    case 'string':
+      return { t: kind, v: randomString(rng) };
+    case 'repeat':
+      return {
+        t: kind,
+        v: rng.pick(['x', '🚀', '\u0000']),
+        count: 2 ** rng.int(23),
+      };
+    case 'bytes':
+      return { t: kind, type: rng.pick(byteTypes), length: 2 ** rng.int(21) };
+    case 'deep':
+      return { t: kind, depth: 2 ** rng.int(14) };
+    case 'array': {
+      let items = [];
+      for (let i = rng.int(5); i > 0; i--) {
+        items.push(randomValue(rng, depth + 1));
+      }
+      return { t: kind, items };
+    }
+    case 'object': {
+      let entries = [];
+      for (let i = rng.int(5); i > 0; i--) {
+        entries.push([randomString(rng), randomValue(rng, depth + 1)]);
+      }
+      return { t: kind, entries };
+    }
+    default:
+      return { t: kind };
+  }
+}
+
+// randomModule returns a node for the module of a case: usually one of the
+// configured modules, sometimes a skylink that is malformed or missing.
+function randomModule(rng) {
+  let field = rng.pick(['testModule', 'helperModule']);
+  let roll = rng.int(10);
+  if (roll < 7) {
+    return { t: 'config', field };
+  }
+  let skylink = getConfig()[field];
+  if (roll === 7) {
+    return { t: 'string', v: skylink.slice(0, rng.int(skylink.length)) };
+  }
+  if (roll === 8) {
+    let i = rng.int(skylink.length);
+    let c = base64url[rng.int(base64url.length)];
+    return { t: 'string', v: skylink.slice(0, i) + c + skylink.slice(i + 1) };
+  }
+  return randomValue(rng);
+}
+
+// randomMethod returns a node for the method of a case.
+function randomMethod(rng) {
+  let roll = rng.int(10);
+  if (roll < 5) {
+    return { t: 'string', v: rng.pick(fuzzMethods) };
+  }
+  if (roll < 8) {
+    return { t: 'string', v: randomString(rng) };
+  }
+  return randomValue(rng);
+}
+
+// generateCase returns case 'index' of the run with the given seed.
+export function generateCase(seed, index) {
+  let rng = newRandom(caseSeed(seed, index));
+  let module = randomModule(rng);
+  let method = randomMethod(rng);
+  // Inputs are usually objects, like the input of every real method.
+  let data = { t: 'object', entries: [] };
+  for (let i = rng.int(4); i > 0; i--) {
+    data.entries.push([randomString(rng), randomValue(rng, 1)]);
+  }
+  if (rng.chance(0.2)) {
+    data = randomValue(rng);
+  }
+  return { module, method, data };
+}
+
+// buildValue turns a node into the value it describes.
+export function buildValue(node) {
+  switch (node.t) {
+    case 'config':
+      return getConfig()[node.field];
+    case 'undefined':
+      return undefined;
+    case 'null':
+      return null;
+    case 'bigint':
+      return window.BigInt(node.v);
+    case 'repeat':
+      return node.v.repeat(node.count);
+    case 'bytes':
+      return node.type === 'ArrayBuffer'
+        ? new ArrayBuffer(node.length)
+        : new window[node.type](node.length);
+    case 'array':
+      return node.items.map(buildValue);
+    case 'object': {
+      // defineProperty keeps keys such as '__proto__' as own properties.
+      let obj = {};
+      for (let [key, value] of node.entries) {
+        Object.defineProperty(obj, key, {
+          value: buildValue(value),
+          enumerable: true,
+          writable: true,
+          configurable: true,
+        });
+      }
+      return obj;
+    }
+    case 'deep': {
+      let value = null;
+      for (let i = 0; i < node.depth; i++) {
+        value = [value];
+      }
+      return value;
+    }
+    case 'function':
+      return () => {};
+    case 'symbol':
+      return Symbol('fuzz');
+    default:
+      return node.v;
+  }
+}
+
+// quote returns a single quoted string literal for text.
+function quote(text) {
+  let escaped = JSON.stringify(text)
+    .slice(1, -1)
+    .replace(/\\"/g, '"')
+    .replace(/'/g, "\\'");
+  return "'" + escaped + "'";
+}
+
+// valueSource returns JavaScript source code that evaluates to the value a
+// node describes.
+export function valueSource(node) {
+  switch (node.t) {
+    case 'config':
+      return 'getConfig().' + node.field;
+    case 'undefined':
+      return 'undefined';
+    case 'null':
+      return 'null';
+    case 'number':
+      return Object.is(node.v, -0) ? '-0' : String(node.v);
+    case 'bigint':
+      return node.v + 'n';
+    case 'string':
+      return quote(node.v);
+    case 'repeat':
+      return quote(node.v) + '.repeat(' + node.count + ')';
+    case 'bytes':
+      return 'new ' + node.type + '(' + node.length + ')';
+    case 'array':
+      return '[' + node.items.map(valueSource).join(', ') + ']';
+    case 'object':
+      if (node.entries.length === 0) {
+        return '{}';
+      }
+      return (
+        '{ ' +
+        node.entries
+          .map(([key, value]) => {
+            let name = quote(key);
+            // A quoted '__proto__' key would set the prototype instead.
+            if (key === '__proto__') {
+              name = '[' + name + ']';
+            }
+            return name + ': ' + valueSource(value);
+          })
+          .join(', ') +
+        ' }'
+      );
+    case 'deep':
+      return '[...Array(' + node.depth + ')].reduce((inner) => [inner], null)';
+    case 'function':
+      return '() => {}';
+    case 'symbol':
+      return "Symbol('fuzz')";
+    default:
+      return String(node.v);
+  }
+}
+
+// isWellFormedError checks that an error carries a message.
+function isWellFormedError(err) {
+  if (typeof err === 'string') {
+    return err.length > 0;
+  }
+  return err instanceof Error && err.message.length > 0;
+}
+
+// checkCall calls a module once and resolves with null if the kernel answered
+// with a well-formed response or error, or with the problem otherwise:
+//   { kind, message }
+// where kind is one of 'threw', 'hang', 'malformedResponse' and
+// 'malformedError', or 'moduleErrors' for checkCase. The kind is what
+// minimizing a case preserves.
+export function checkCall(module, method, data, timeout = defaultFuzzTimeout) {
+  let call;
+  try {
+    call = kernel.callModule(module, method, data);
+  } catch (err) {
+    return Promise.resolve({
+      kind: 'threw',
+      message: 'callModule threw instead of rejecting: ' + formatValue(err),
+    });
+  }
+  let timer = null;
+  let hang = new Promise((resolve) => {
+    timer = setTimeout(() => {
+      resolve({
+        kind: 'hang',
+        message: 'the kernel did not answer within ' + timeout + 'ms',
+      });
+    }, timeout);
+  });
+  let answer = call.then(
+    (response) => {
+      if (typeof response === 'object' && response !== null) {
+        return null;
+      }
+      return {
+        kind: 'malformedResponse',
+        message: 'resolved with a malformed response: ' + formatValue(response),
+      };
+    },
+    (err) => {
+      if (isWellFormedError(err)) {
+        return null;
+      }
+      return {
+        kind: 'malformedError',
+        message: 'rejected with a malformed error: ' + formatValue(err),
+      };
+    }
+  );
+  return Promise.race([answer, hang]).then((problem) => {
+    clearTimeout(timer);
+    return problem;
+  });
+}
+
+// moduleErrors resolves with the errors recorded by each of the
+// configured modules.
+function moduleErrors() {
+  let config = getConfig();
+  return Promise.all(
+    [config.testModule, config.helperModule].map((module) =>
+      kernel.callModule(module, 'viewErrors', {}).then((data) => data.errors)
+    )
+  );
+}
+
+// checkCase calls a module like checkCall. If the call itself is fine but one
+// of the configured modules recorded new errors during it, the problem has
+// the kind 'moduleErrors'.
+export function checkCase(module, method, data, timeout = defaultFuzzTimeout) {
+  return moduleErrors().then((before) =>
+    checkCall(module, method, data, timeout).then((problem) => {
+      if (problem !== null) {
+        return problem;
+      }
+      return moduleErrors().then((after) => {
+        let added = after.flatMap((errors, i) =>
+          errors.slice(before[i].length)
+        );
+        if (added.length === 0) {
+          return null;
+        }
+        return {
+          kind: 'moduleErrors',
+          message: 'a module recorded errors: ' + formatValue(added),
+        };
+      });
+    })
+  );
+}
+
+// expectWellFormedCall is the check used by the regression tests that the
+// fuzzer prints. It resolves with a message if checkCase finds no problem.
+export function expectWellFormedCall(
+  module,
+  method,
+  data,
+  timeout = defaultFuzzTimeout
+) {
+  return checkCase(module, method, data, timeout).then((problem) => {
+    if (problem !== null) {
+      throw new AssertionError(
+        'callModule did not answer cleanly',
+        'a well-formed response or error',
+        problem.message
+      );
+    }
+    return 'kernel answered with a well-formed response or error';
+  });
+}
+
+// runCase builds the values of a case and checks it with checkCase.
+function runCase(c, timeout) {
+  return checkCase(
+    buildValue(c.module),
+    buildValue(c.method),
+    buildValue(c.data),
+    timeout
+  );
+}
+
+// simplerNodes lists simpler versions of a node, including the nodes it
+// contains.
+function simplerNodes(node) {
+  let simpler = [];
+  let replace = (list, i, value) => [
+    ...list.slice(0, i),
+    value,
+    ...list.slice(i + 1),
+  ];
+  switch (node.t) {
+    case 'repeat':
+      if (node.count > 1) {
+        simpler.push({ ...node, count: Math.floor(node.count / 2) });
+      }
+      break;
+    case 'bytes':
+      if (node.length > 0) {
+        simpler.push({ ...node, length: Math.floor(node.length / 2) });
+      }
+      break;
+    case 'deep':
+      if (node.depth > 1) {
+        simpler.push({ ...node, depth: Math.floor(node.depth / 2) });
+      }
+      break;
+    case 'string':
+      if (node.v.length > 1) {
+        simpler.push({ ...node, v: node.v.slice(0, node.v.length >> 1) });
+      }
+      break;
+    case 'array':
+      simpler.push(...node.items);
+      node.items.forEach((item, i) => {
+        simpler.push({ ...node, items: node.items.filter((_, j) => j !== i) });
+        for (let s of simplerNodes(item)) {
+          simpler.push({ ...node, items: replace(node.items, i, s) });
+        }
+      });
+      break;
+    case 'object':
+      simpler.push(...node.entries.map(([, value]) => value));
+      node.entries.forEach(([key, value], i) => {
+        simpler.push({
+          ...node,
+          entries: node.entries.filter((_, j) => j !== i),
+        });
+        for (let s of simplerNodes(value)) {
+          simpler.push({
+            ...node,
+            entries: replace(node.entries, i, [key, s]),
+          });
+        }
+      });
+      break;
+    default:
+      break;
+  }
+  return simpler;
+}
+
+// simplerCases lists simpler versions of a case.
+function simplerCases(c) {
+  let cases = [];
+  if (c.data.t !== 'object' || c.data.entries.length > 0) {
+    cases.push({ ...c, data: { t: 'object', entries: [] } });
+  }
+  for (let data of simplerNodes(c.data)) {
+    cases.push({ ...c, data });
+  }
+  for (let method of simplerNodes(c.method)) {
+    cases.push({ ...c, method });
+  }
+  if (c.module.t !== 'config') {
+    cases.push({ ...c, module: { t: 'config', field: 'testModule' } });
+    for (let module of simplerNodes(c.module)) {
+      cases.push({ ...c, module });
+    }
+  }
+  return cases;
+}
+
+// minimizeCase simplifies a failing case for as long as it keeps failing with
+// the same kind of problem, and resolves with { case, problem } for the
+// simplest version found.
+export function minimizeCase(c, problem, timeout = defaultFuzzTimeout) {
+  let calls = 0;
+  let attempt = function (current, currentProblem, candidates) {
+    if (candidates.length === 0 || calls >= maxMinimizeCalls) {
+      return Promise.resolve({ case: current, problem: currentProblem });
+    }
+    let [candidate, ...rest] = candidates;
+    calls += 1;
+    return runCase(candidate, timeout).then((p) => {
+      if (p !== null && p.kind === problem.kind) {
+        return attempt(candidate, p, simplerCases(candidate));
+      }
+      return attempt(current, currentProblem, rest);
+    });
+  };
+  return attempt(c, problem, simplerCases(c));
+}
+
+// regressionTest returns the source of a test function and its entry for
+// testCardValues that reproduce a minimized case, preceded by the import of
+// expectWellFormedCall that testMethods.js needs for it. The entry is shown in
+// the category of the method it calls, see fuzzCategory.
+export function regressionTest(seed, index, c, problem) {
+  let name = 'TestFuzzSeed' + seed + 'Case' + index;
+  return [
+    '// Add to the imports of testMethods.js, once:',
+    "import { expectWellFormedCall } from './fuzz';",
+    '',
+    '// ' + name + ' was found by the fuzzer: ' + problem.message,
+    'function ' + name + '() {',
+    '  return expectWellFormedCall(',
+    '    ' + valueSource(c.module) + ',',
+    '    ' + valueSource(c.method) + ',',
+    '    ' + valueSource(c.data),
+    '  );',
+    '}',
+    '',
+    '  {',
+    "    name: '" + name + "',",
+    '    test: ' + name + ',',
+    "    tags: ['modules', 'negative', 'fuzz'],",
+    "    category: '" + fuzzCategory(c.method) + "',",
+    "    dependsOn: ['TestLibkernelInit'],",
+    '  },',
+  ].join('\n');
+}
+
+// runFuzz runs 'cases' cases of the run with the given seed, one at a time.
+// Each failing case is minimized. onCase is called with the index of each
+// case as it completes and whether it failed. Resolves with:
+//   { seed, cases, failures }
+// where each failure has the form:
+//   { index, problem, minimized, minimizedProblem, test }
+// and test is the source of a regression test, see regressionTest.
+export function runFuzz({ seed, cases, timeout = defaultFuzzTimeout, onCase }) {
+  let failures = [];
+  let next = function (index) {
+    if (index === cases) {
+      return Promise.resolve({ seed, cases, failures });
+    }
+    let c = generateCase(seed, index);
+    return runCase(c, timeout)
+      .then((problem) => {
+        if (problem === null) {
+          return false;
+        }
+        return minimizeCase(c, problem, timeout).then((min) => {
+          failures.push({
+            index,
+            problem,
+            minimized: min.case,
+            minimizedProblem: min.problem,
+            test: regressionTest(seed, index, min.case, min.problem),
+          });
+          return true;
+        });
+      })
+      .then((failed) => {
+        if (onCase) {
+          onCase(index, failed);
+        }
+        return next(index + 1);
+      });
+  };
+  return next(0);
+}
@@ -0,0 +1,166 @@
+import { getConfig } from './config';
+import {
+  buildValue,
+  fuzzCategory,
+  fuzzMethods,
+  generateCase,
+  newRandom,
+  regressionTest,
+  runFuzz,
+  valueSource,
+} from './fuzz';
+import { setKernel } from './kernel';
+import { newMockKernel } from './mockKernel';
+import { testCardValues } from './testMethods';
+
+test('runs are reproducible from the seed', () => {
+  let a = newRandom(42);
+  let b = newRandom(42);
+  let values = [a.next(), a.next(), a.next()];
+  expect([b.next(), b.next(), b.next()]).toEqual(values);
+  expect(newRandom(43).next()).not.toBe(values[0]);
+  expect(generateCase(7, 3)).toEqual(generateCase(7, 3));
+  expect(generateCase(7, 3)).not.toEqual(generateCase(7, 4));
+});
+
+test('printed cases describe the values they are built from', () => {
+  let withProto = {
+    t: 'object',
+    entries: [
+      ['__proto__', { t: 'boolean', v: true }],
+      ['a b', { t: 'array', items: [{ t: 'null' }, { t: 'undefined' }] }],
+    ],
+  };
+  let cases = [
+    [
+      { t: 'config', field: 'helperModule' },
+      'getConfig().helperModule',
+      getConfig().helperModule,
+    ],
+    [{ t: 'number', v: -0 }, '-0', -0],
+    [{ t: 'number', v: NaN }, 'NaN', NaN],
+    [
+      { t: 'bigint', v: '12345678901234567890' },
+      '12345678901234567890n',
+      12345678901234567890n,
+    ],
+    [{ t: 'string', v: '\ud800"\n' }, "'\\ud800\"\\n'", '\ud800"\n'],
+    [{ t: 'repeat', v: 'x', count: 5 }, "'x'.repeat(5)", 'xxxxx'],
+    [
+      { t: 'bytes', type: 'Float64Array', length: 3 },
+      'new Float64Array(3)',
+      new Float64Array(3),
+    ],
+    [
+      { t: 'deep', depth: 3 },
+      '[...Array(3)].reduce((inner) => [inner], null)',
+      [[[null]]],
+    ],
+    [
+      withProto,
+      "{ ['__proto__']: true, 'a b': [null, undefined] }",
+      { ['__proto__']: true, 'a b': [null, undefined] },
+    ],
+  ];
+  for (let [node, source, value] of cases) {
+    expect([source, buildValue(node)]).toEqual([valueSource(node), value]);
+  }
+  let obj = buildValue(withProto);
+  expect(Object.keys(obj)).toEqual(['__proto__', 'a b']);
+  expect(Object.getPrototypeOf(obj)).toBe(Object.prototype);
+  expect(valueSource({ t: 'function' })).toBe('() => {}');
+  expect(typeof buildValue({ t: 'function' })).toBe('function');
+});
+
+test('the fuzzer leaves presentSeed to the security tests', () => {
+  expect(fuzzMethods).not.toContain('presentSeed');
+});
+
+test('the mock kernel answers every fuzzed call cleanly', async () => {
+  setKernel(newMockKernel());
+  let done = [];
+  let result = await runFuzz({
+    seed: 1,
+    cases: 60,
+    onCase: (index, failed) => done.push([index, failed]),
+  });
+  expect(result.failures).toEqual([]);
+  expect(done).toHaveLength(60);
+  expect(done.every(([, failed]) => !failed)).toBe(true);
+}, 60000);
+
+test('failing cases are minimized into regression tests', async () => {
+  // This kernel rejects with undefined whenever the input contains a string
+  // longer than 100 characters anywhere.
+  let mock = newMockKernel();
+  let hasLongString = function (value) {
+    if (typeof value === 'string') {
+      return value.length > 100;
+    }
+    if (typeof value !== 'object' || value === null) {
+      return false;
+    }
+    if (ArrayBuffer.isView(value)) {
+      return false;
+    }
+    return Object.values(value).some(hasLongString);
+  };
+  setKernel({
+    ...mock,
+    callModule: (module, method, data) =>
+      hasLongString(data)
+        ? Promise.reject(undefined)
+        : mock.callModule(module, method, data),
+  });
+  let result = await runFuzz({ seed: 1, cases: 60 });
+  // Very deeply nested inputs make hasLongString itself overflow the stack,
+  // which is reported as a different kind of problem.
+  let failures = result.failures.filter(
+    (f) => f.problem.kind === 'malformedError'
+  );
+  expect(failures.length).toBeGreaterThan(0);
+  for (let failure of failures) {
+    expect(failure.minimizedProblem.kind).toBe('malformedError');
+    // Only the long string is left, and it is no longer than needed.
+    let data = failure.minimized.data;
+    expect(data.t).toBe('repeat');
+    expect(data.count).toBeLessThanOrEqual(200);
+    expect(failure.minimized.module).toMatchObject({ t: 'config' });
+    expect(failure.test).toMatch(
+      /^\/\/ Add to the imports of testMethods\.js, once:\nimport \{ expectWellFormedCall \} from '\.\/fuzz';\n/
+    );
+    expect(failure.test).toContain(
+      'function TestFuzzSeed1Case' + failure.index + '() {'
+    );
+    expect(failure.test).toContain('return expectWellFormedCall(');
+    expect(failure.test).toMatch(/'(x|🚀|\\u0000)'\.repeat\(\d+\)/);
+    expect(failure.test).toContain(
+      'rejected with a malformed error: undefined'
+    );
+    expect(failure.test).toContain(
+      "    category: '" + fuzzCategory(failure.minimized.method) + "',\n"
+    );
+  }
+}, 60000);
+
+test('regression tests join the category of the fuzzed method', () => {
+  let categories = testCardValues.map((t) => t.category);
+  for (let method of fuzzMethods) {
+    expect(categories).toContain(fuzzCategory({ t: 'string', v: method }));
+  }
+  let test = regressionTest(
+    7,
+    3,
+    {
+      module: { t: 'config', field: 'helperModule' },
+      method: { t: 'string', v: 'viewTesterSeed' },
+      data: { t: 'null' },
+    },
+    { message: 'hung' }
+  );
+  expect(test).toContain("    category: 'seeds',\n");
+  expect(fuzzCategory({ t: 'string', v: 'constructor' })).toBe(
+    'inter-module messaging'
+  );
+  expect(fuzzCategory({ t: 'number', v: 1 })).toBe('inter-module messaging');
+});
@@ -0,0 +1,108 @@
+import { runDiagnostics } from './diagnostics';
+import { startLogCapture, uncaptured } from './logs';
+import { newResultsReport, reportToJSON, reportToJUnit } from './results';
+import {
+  formatSummary,
+  runTests,
+  skippedResult,
+  summarizeResults,
+} from './runner';
+import {
+  parseConcurrency,
+  parseRetries,
+  parseSelection,
+  unknownSelection,
+} from './selection';
+import { testCardValues } from './testMethods';
+
+// skipBlocked reports every test as skipped because the diagnostics found
+// that the kernel cannot be reached, and resolves with the results.
+function skipBlocked(tests, diagnosis, onResult) {
+  let message =
+    'skipped because the kernel is not reachable: ' +
+    diagnosis.guidance.join(' ');
+  let results = tests.map((test) => skippedResult(test.name, message));
+  results.forEach(onResult);
+  return Promise.resolve(results);
+}
+
+// runHeadless runs the test suite without rendering the React UI. It is used
+// when the page is loaded with a '?headless' query string, which is how
+// scripts/headless.js drives the suite from CI. The 'tests' and 'tags' query
+// parameters limit which tests run, 'concurrency' runs independent tests in
+// parallel and 'retries' runs failing tests again, see selection.js.
+//
+// The environment is checked first, see diagnostics.js. If the kernel cannot
+// be reached, the selected tests are reported as skipped with the guidance
+// from the diagnostics instead of all failing for the same reason.
+//
+// Names in 'tests' or 'tags' that match no test stop the run before it
+// starts, so that a typo does not end in an empty run that passes. The error
+// is logged and passed to the reportSelectionError function of the driver.
+//
+// Results are logged to the console as they arrive. If the page is being
+// driven by scripts/headless.js, the results are also passed to the
+// reportTestResult and reportTestsComplete functions that the driver exposes
+// on the window. The console is captured, so failing results include what
+// was logged while they ran, see logs.js. reportTestsComplete also receives
+// the JSON and JUnit reports so that the driver can save them.
+export function runHeadless() {
+  document.title = 'Libkernel Test Suite (headless)';
+  startLogCapture();
+  let startTime = new Date();
+  let unknown = unknownSelection(window.location.search, testCardValues);
+  if (unknown.length > 0) {
+    let message = 'unknown tests or tags: ' + unknown.join(', ');
+    console.error(message);
+    if (typeof window.reportSelectionError === 'function') {
+      window.reportSelectionError(message);
+    }
+    return;
+  }
+  let selected = parseSelection(window.location.search, testCardValues);
+  let tests = testCardValues.filter((t) => selected.includes(t.name));
+  let onResult = (result) => {
+    uncaptured(() =>
+      console.log(
+        result.status.toUpperCase(),
+        result.name,
+        Math.round(result.duration) + 'ms',
+        result.message
+      )
+    );
+    if (typeof window.reportTestResult === 'function') {
+      window.reportTestResult(result);
+    }
+  };
+  runDiagnostics({
+    onCheck: (check) => {
+      console.log('CHECK', check.label, check.status, check.detail);
+    },
+  })
+    .then((diagnosis) => {
+      console.log('environment: ' + diagnosis.verdict);
+      for (let advice of diagnosis.guidance) {
+        console.log(advice);
+      }
+      if (diagnosis.verdict === 'blocked') {
+        return skipBlocked(tests, diagnosis, onResult);
+      }
+      return runTests(tests, {
+        concurrency: parseConcurrency(window.location.search),
+        retries: parseRetries(window.location.search),
+        onResult,
+      });
+    })
+    .then((results) => {
+      console.log(
+        'tests complete: ' + formatSummary(summarizeResults(results))
+      );
+      if (typeof window.reportTestsComplete === 'function') {
+        let report = newResultsReport(results, startTime);
+        window.reportTestsComplete(results, {
+          json: reportToJSON(report),
+          junit: reportToJUnit(report),
+        });
+      }
+    });
+}
@@ -0,0 +1,166 @@
+import { passed } from './runner';
+import { defaultSelection } from './selection';
+
+// history.js stores the report of every run in IndexedDB so that runs can be
+// compared across kernel and libkernel versions. Each stored run is a report
+// from results.js with an 'id' added by the database and a 'version', see
+// versionKey, which the runs are indexed by.
+
+const dbName = 'libkernel-test-history';
+const storeName = 'runs';
+const versionIndex = 'version';
+
+// versionKey describes what a report was run against: the kernel, libkernel,
+// and the test and helper modules. Runs with the same key are directly
+// comparable.
+export function versionKey(report) {
+  return [
+    'kernel ' + (report.kernelVersion || 'unknown'),
+    'libkernel ' + report.libkernelVersion,
+    'test module ' + report.testModule,
+    'helper module ' + report.helperModule,
+  ].join(', ');
+}
+
+// isFullRun checks whether the results of a run cover the whole suite, that is
+// every test of the default selection of tests, see selection.js. Only such
+// runs are stored, so that a re-run of a single test or of the failed tests
+// never becomes the baseline of a later run.
+export function isFullRun(runResults, tests) {
+  return defaultSelection(tests).every((name) =>
+    runResults.some((r) => r.name === name)
+  );
+}
+
+// historyAvailable checks whether the browser can store run history.
+export function historyAvailable() {
+  return typeof indexedDB !== 'undefined';
+}
+
+// openHistory opens the history database, creating it if needed.
+function openHistory() {
+  return new Promise((resolve, reject) => {
+    if (!historyAvailable()) {
+      reject('IndexedDB is not available in this browser');
+      return;
+    }
+    let request = indexedDB.open(dbName, 1);
+    request.onupgradeneeded = () => {
+      let store = request.result.createObjectStore(storeName, {
+        keyPath: 'id',
+        autoIncrement: true,
+      });
+      store.createIndex(versionIndex, 'version');
+    };
+    request.onsuccess = () => {
+      resolve(request.result);
+    };
+    request.onerror = () => {
+      reject(request.error);
+    };
+  });
+}
+
+// withStore runs fn against the object store of the history database and
+// resolves with the result of the request that fn returns once the
+// transaction has completed.
+function withStore(mode, fn) {
+  return openHistory().then(
+    (db) =>
+      new Promise((resolve, reject) => {
+        let tx = db.transaction(storeName, mode);
+        let request = fn(tx.objectStore(storeName));
+        tx.oncomplete = () => {
+          db.close();
+          resolve(request.result);
+        };
+        tx.onerror = () => {
+          db.close();
+          reject(tx.error);
+        };
+      })
+  );
+}
+
+// saveRun stores a report under its versionKey and resolves with the id it
+// was stored under.
+export function saveRun(report) {
+  return withStore('readwrite', (store) =>
+    store.add({ ...report, version: versionKey(report) })
+  );
+}
+
+// listRuns resolves with the stored reports, newest first. If a version is
+// provided, only the runs with that versionKey are listed.
+export function listRuns(version = null) {
+  return withStore('readonly', (store) =>
+    version === null
+      ? store.getAll()
+      : store.index(versionIndex).getAll(version)
+  ).then((runs) => runs.sort((a, b) => b.timestamp.localeCompare(a.timestamp)));
+}
+
+// clearHistory deletes every stored report.
+export function clearHistory() {
+  return withStore('readwrite', (store) => store.clear());
+}
+
+// compareRuns diffs the tests of a current report against a baseline report.
+// Each row of the result has the form:
+//   { name, baseline, current, change, delta }
+// where baseline and current are the tests from each report (or null), delta
+// is the change in duration in milliseconds and change is one of:
+//   'new failure', 'fixed', 'still failing', 'flaky', 'slower', 'faster',
+//   'unchanged', 'added' or 'removed'.
+// Flaky tests count as passed; a test that passes in both runs but was flaky
+// in the current one is reported as 'flaky'.
+//
+// A timing change is only reported when the duration changed by more than
+// 'threshold' (a fraction of the baseline duration) and by at least
+// 'minDelta' milliseconds, so that fast tests do not flap on noise.
+export function compareRuns(
+  baseline,
+  current,
+  { threshold = 0.25, minDelta = 10 } = {}
+) {
+  let baselineTests = {};
+  for (let test of baseline.tests) {
+    baselineTests[test.name] = test;
+  }
+  let names = current.tests.map((t) => t.name);
+  for (let test of baseline.tests) {
+    if (!names.includes(test.name)) {
+      names.push(test.name);
+    }
+  }
+
+  return names.map((name) => {
+    let b = baselineTests[name] || null;
+    let c = current.tests.find((t) => t.name === name) || null;
+    let row = { name, baseline: b, current: c, change: 'unchanged', delta: 0 };
+    if (b === null) {
+      row.change = 'added';
+      return row;
+    }
+    if (c === null) {
+      row.change = 'removed';
+      return row;
+    }
+    row.delta = c.duration - b.duration;
+    if (passed(b) && !passed(c)) {
+      row.change = 'new failure';
+    } else if (!passed(b) && passed(c)) {
+      row.change = 'fixed';
+    } else if (!passed(b)) {
+      row.change = 'still failing';
+    } else if (c.status === 'flaky') {
+      row.change = 'flaky';
+    } else if (
+      Math.abs(row.delta) >= minDelta &&
+      Math.abs(row.delta) > threshold * b.duration
+    ) {
+      row.change = row.delta > 0 ? 'slower' : 'faster';
+    }
+    return row;
+  });
+}
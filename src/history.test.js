@@ -0,0 +1,105 @@
+import {
+  compareRuns,
+  historyAvailable,
+  isFullRun,
+  listRuns,
+  versionKey,
+} from './history';
+
+// newReport creates a minimal report with the given tests.
+function newReport(tests) {
+  return {
+    tests: tests.map(([name, status, duration]) => ({
+      name,
+      status,
+      duration,
+    })),
+  };
+}
+
+test('isFullRun only accepts runs of the whole default selection', () => {
+  let tests = [
+    { name: 'TestA' },
+    { name: 'TestB' },
+    { name: 'TestC', optIn: true },
+  ];
+  let results = (names) => names.map((name) => ({ name, status: 'pass' }));
+  expect(isFullRun(results(['TestA', 'TestB']), tests)).toBe(true);
+  expect(isFullRun(results(['TestA', 'TestB', 'TestC']), tests)).toBe(true);
+  expect(isFullRun(results(['TestB']), tests)).toBe(false);
+  expect(isFullRun(results(['TestA', 'TestC']), tests)).toBe(false);
+});
+
+test('compareRuns classifies status and timing changes', () => {
+  let baseline = newReport([
+    ['TestBroken', 'pass', 10],
+    ['TestFixed', 'fail', 10],
+    ['TestStillBroken', 'fail', 10],
+    ['TestSlower', 'pass', 1000],
+    ['TestFaster', 'pass', 1000],
+    ['TestNoise', 'pass', 2],
+    ['TestFlaky', 'pass', 10],
+    ['TestRemoved', 'pass', 10],
+  ]);
+  let current = newReport([
+    ['TestBroken', 'fail', 10],
+    ['TestFixed', 'pass', 10],
+    ['TestStillBroken', 'timeout', 10],
+    ['TestSlower', 'pass', 2000],
+    ['TestFaster', 'pass', 500],
+    ['TestNoise', 'pass', 8],
+    ['TestFlaky', 'flaky', 10],
+    ['TestAdded', 'pass', 10],
+  ]);
+  let changes = {};
+  for (let row of compareRuns(baseline, current)) {
+    changes[row.name] = row.change;
+  }
+  expect(changes).toEqual({
+    TestBroken: 'new failure',
+    TestFixed: 'fixed',
+    TestStillBroken: 'still failing',
+    TestSlower: 'slower',
+    TestFaster: 'faster',
+    TestNoise: 'unchanged',
+    TestFlaky: 'flaky',
+    TestAdded: 'added',
+    TestRemoved: 'removed',
+  });
+});
+
+test('compareRuns respects the timing threshold', () => {
+  let baseline = newReport([['TestSpeed', 'pass', 1000]]);
+  let current = newReport([['TestSpeed', 'pass', 1200]]);
+  expect(compareRuns(baseline, current)[0]).toMatchObject({
+    change: 'unchanged',
+    delta: 200,
+  });
+  expect(compareRuns(baseline, current, { threshold: 0.1 })[0].change).toBe(
+    'slower'
+  );
+});
+
+test('versionKey tells runs against other versions apart', () => {
+  let report = {
+    kernelVersion: 'v0.1.0',
+    libkernelVersion: '0.0.79',
+    testModule: 'AQtest',
+    helperModule: 'AQhelper',
+  };
+  expect(versionKey(report)).toBe(
+    'kernel v0.1.0, libkernel 0.0.79, test module AQtest, ' +
+      'helper module AQhelper'
+  );
+  expect(versionKey({ ...report, kernelVersion: null })).toMatch(
+    /^kernel unknown, /
+  );
+  expect(versionKey({ ...report, testModule: 'AQother' })).not.toBe(
+    versionKey(report)
+  );
+});
+
+test('history reports when IndexedDB is missing', async () => {
+  expect(historyAvailable()).toBe(false);
+  await expect(listRuns()).rejects.toMatch(/not available/);
+});
@@ -2,14 +2,43 @@ import React from 'react';
 import ReactDOM from 'react-dom/client';
 import './index.css';
 import App from './App';
+import { runHeadless } from './headless';
+import { runProbe } from './isolation';
+import { setKernel } from './kernel';
 import reportWebVitals from './reportWebVitals';
 
-const root = ReactDOM.createRoot(document.getElementById('root'));
-root.render(
-  <React.StrictMode>
-    <App />
-  </React.StrictMode>
-);
+const params = new URLSearchParams(window.location.search);
+
+// start runs the page in the mode selected by the query string. Loading the
+// page with '?headless' runs the suite without the UI, see
+// scripts/headless.js. '?probe' is used by TestDomainIsolation to load the
+// page on another origin, see isolation.js.
+function start() {
+  if (params.has('headless')) {
+    runHeadless();
+  } else if (params.has('probe')) {
+    runProbe();
+  } else {
+    const root = ReactDOM.createRoot(document.getElementById('root'));
+    root.render(
+      <React.StrictMode>
+        <App />
+      </React.StrictMode>
+    );
+  }
+}
+
+// Loading the page with '?kernel=mock' runs the suite against the in-memory
+// kernel instead of the skynet extension. The mock is only loaded when it is
+// asked for, so that it stays out of the bundle that the page loads normally.
+if (params.get('kernel') === 'mock') {
+  import('./mockKernel').then(({ newMockKernel }) => {
+    setKernel(newMockKernel());
+    start();
+  });
+} else {
+  start();
+}
 
 // If you want to start measuring performance in your app, pass a function
 // to log results (for example: reportWebVitals(console.log))
@@ -0,0 +1,238 @@
+import { getConfig } from './config';
+import { errorMessage } from './errors';
+import * as kernel from './kernel';
+
+// isolation.js checks that the kernel keeps webpages on different origins
+// apart. The page opens copies of itself on other origins as probes, in
+// iframes or popups, and every probe, like the page itself, asks the test
+// module for its domain many times in parallel and reads the seed of the test
+// module. The reports are then compared:
+//   - every origin must be given its own hostname as its domain. A probe that
+//     receives the domain of another origin has been sent a response that was
+//     meant for someone else.
+//   - the seed of the test module must be the same on every origin. The page
+//     cannot read the seed of the helper module, see security.js.
+//   - no origin may present a seed to a module, which only the kernel may do.
+//
+// The kernel identifies webpages by hostname, so origins that only differ in
+// their port share a domain. Such origins are still compared, and the result
+// points out that the kernel cannot tell them apart.
+//
+// The origins to compare are listed in the 'origins' query parameter, for
+// example '?origins=http://127.0.0.1:3000'. scripts/headless.js serves the
+// page on a second port and fills it in. A probe loads the page with the
+// 'probe' query parameter, see runProbe, and the 'probeWindow' parameter
+// selects whether probes are opened in an 'iframe' (default) or a 'popup'.
+
+// probeCalls is the number of mirrorDomain calls each probe makes in
+// parallel. Making many at once gives responses a chance to be mixed up.
+const probeCalls = 20;
+
+// probeTimeout is how long a probe may take to load and report.
+const probeTimeout = 20000;
+
+// probeParams are the query parameters forwarded to probes, so that they use
+// the same kernel as the page.
+const probeParams = ['kernel'];
+
+// parseOrigins reads the origins to compare from a query string. The origin
+// of the page itself is left out.
+export function parseOrigins(search, ownOrigin = window.location.origin) {
+  let value = new URLSearchParams(search).get('origins');
+  if (!value) {
+    return [];
+  }
+  let origins = [];
+  for (let entry of value.split(',')) {
+    let origin;
+    try {
+      origin = new URL(entry.trim()).origin;
+    } catch {
+      continue;
+    }
+    if (origin !== ownOrigin && !origins.includes(origin)) {
+      origins.push(origin);
+    }
+  }
+  return origins;
+}
+
+// probeURL returns the URL that loads the page as a probe on an origin. The
+// modules are passed explicitly because saved settings are per origin.
+export function probeURL(origin, search = window.location.search) {
+  let params = new URLSearchParams(search);
+  let url = new URL(window.location.pathname, origin);
+  url.searchParams.set('probe', '');
+  for (let param of probeParams) {
+    if (params.has(param)) {
+      url.searchParams.set(param, params.get(param));
+    }
+  }
+  let config = getConfig();
+  url.searchParams.set('testModule', config.testModule);
+  url.searchParams.set('helperModule', config.helperModule);
+  return url.toString();
+}
+
+// collectReport makes the calls of a probe and resolves with its report:
+//   { origin, hostname, domains, testSeed, presentSeed, error }
+// where domains are the domains returned by the mirrorDomain calls, testSeed
+// is an array of bytes, presentSeed is the error that presentSeed was refused
+// with or null if it was accepted, and error is set if a call failed.
+export function collectReport() {
+  let config = getConfig();
+  let report = {
+    origin: window.location.origin,
+    hostname: window.location.hostname,
+    domains: [],
+    testSeed: null,
+    presentSeed: null,
+    error: null,
+  };
+  let domains = [];
+  for (let i = 0; i < probeCalls; i++) {
+    domains.push(
+      kernel
+        .callModule(config.testModule, 'mirrorDomain', {})
+        .then((data) => data.domain)
+    );
+  }
+  let viewSeed = kernel
+    .callModule(config.testModule, 'viewSeed', {})
+    .then((data) => Array.from(data.seed));
+  let presentSeed = kernel
+    .callModule(config.testModule, 'presentSeed', {
+      seed: new Uint8Array(16),
+    })
+    .then(
+      () => null,
+      (err) => errorMessage(err)
+    );
+  return Promise.all([Promise.all(domains), viewSeed, presentSeed])
+    .then(([d, testSeed, presented]) => ({
+      ...report,
+      domains: d,
+      testSeed,
+      presentSeed: presented,
+    }))
+    .catch((err) => ({ ...report, error: errorMessage(err) }));
+}
+
+// runProbe is the entry point of a page loaded as a probe. It tells the page
+// that opened it that it is ready, and sends it a report when asked to.
+export function runProbe() {
+  document.title = 'Libkernel Test Suite (probe)';
+  let opener = window.opener || window.parent;
+  window.addEventListener('message', (event) => {
+    if (event.source !== opener || event.data.method !== 'probeRun') {
+      return;
+    }
+    collectReport().then((report) => {
+      opener.postMessage({ method: 'probeReport', report }, event.origin);
+    });
+  });
+  opener.postMessage({ method: 'probeReady' }, '*');
+}
+
+// openProbe loads a probe on an origin and resolves with its report. The
+// iframe or popup is closed once the probe has reported or timed out.
+export function openProbe(origin, mode = 'iframe') {
+  return new Promise((resolve, reject) => {
+    let url = probeURL(origin);
+    let target = null;
+    let close = null;
+    if (mode === 'popup') {
+      target = window.open(url, '_blank', 'width=400,height=300');
+      if (!target) {
+        reject('the popup for ' + origin + ' was blocked');
+        return;
+      }
+      close = () => target.close();
+    } else {
+      let frame = document.createElement('iframe');
+      frame.style.display = 'none';
+      frame.src = url;
+      document.body.appendChild(frame);
+      target = frame.contentWindow;
+      close = () => frame.remove();
+    }
+    let timer = null;
+    let finish = function (fn, value) {
+      clearTimeout(timer);
+      window.removeEventListener('message', onMessage);
+      close();
+      fn(value);
+    };
+    let onMessage = function (event) {
+      if (event.source !== target || event.origin !== origin) {
+        return;
+      }
+      if (event.data.method === 'probeReady') {
+        target.postMessage({ method: 'probeRun' }, origin);
+      } else if (event.data.method === 'probeReport') {
+        finish(resolve, event.data.report);
+      }
+    };
+    window.addEventListener('message', onMessage);
+    timer = setTimeout(() => {
+      finish(
+        reject,
+        'the probe on ' +
+          origin +
+          ' did not report within ' +
+          probeTimeout +
+          'ms'
+      );
+    }, probeTimeout);
+  });
+}
+
+// sameBytes checks whether two seeds, as arrays of bytes, are equal.
+function sameBytes(a, b) {
+  return a.length === b.length && a.every((x, i) => x === b[i]);
+}
+
+// compareReports checks the reports of the page and its probes against each
+// other, see the top of this file. The first report is the page itself. It
+// returns { problems, notes } where notes describe origins that share a
+// domain.
+export function compareReports(reports) {
+  let problems = [];
+  let notes = [];
+  let [own] = reports;
+  for (let report of reports) {
+    if (report.error !== null) {
+      problems.push(report.origin + ': ' + report.error);
+      continue;
+    }
+    let wrong = report.domains.filter((d) => d !== report.hostname);
+    for (let domain of new Set(wrong)) {
+      let other = reports.find((r) => r.hostname === domain);
+      problems.push(
+        report.origin +
+          ' was given the domain ' +
+          domain +
+          (other ? ', which belongs to ' + other.origin : '')
+      );
+    }
+    if (report.presentSeed === null) {
+      problems.push(report.origin + ' was able to present a seed to a module');
+    }
+    if (own.error === null && report !== own) {
+      if (!sameBytes(report.testSeed, own.testSeed)) {
+        problems.push(report.origin + ' sees a different test module seed');
+      }
+    }
+  }
+  let hostnames = new Map();
+  for (let report of reports) {
+    let origins = hostnames.get(report.hostname) || [];
+    hostnames.set(report.hostname, [...origins, report.origin]);
+  }
+  for (let [hostname, origins] of hostnames) {
+    if (origins.length > 1) {
+      notes.push(origins.join(' and ') + ' share the domain ' + hostname);
+    }
+  }
+  return { problems, notes };
+}
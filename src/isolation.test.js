@@ -0,0 +1,125 @@
+import { defaultConfig, setConfig } from './config';
+import {
+  collectReport,
+  compareReports,
+  parseOrigins,
+  probeURL,
+} from './isolation';
+import { setKernel } from './kernel';
+import { newMockKernel } from './mockKernel';
+import { runTest } from './runner';
+import { testCardValues } from './testMethods';
+
+afterEach(() => {
+  window.history.replaceState(null, '', '/');
+  setConfig(null);
+});
+
+test('parseOrigins reads the other origins from the query string', () => {
+  expect(parseOrigins('')).toEqual([]);
+  expect(
+    parseOrigins(
+      '?origins=http://127.0.0.1:3000/path, http://localhost:3001,' +
+        'not a url,http://localhost,http://127.0.0.1:3000',
+      'http://localhost'
+    )
+  ).toEqual(['http://127.0.0.1:3000', 'http://localhost:3001']);
+});
+
+test('probeURL forwards the kernel and the modules', () => {
+  window.history.replaceState(null, '', '/?kernel=mock&tags=domains');
+  let url = new URL(probeURL('http://127.0.0.1:3000'));
+  expect(url.origin).toBe('http://127.0.0.1:3000');
+  expect(url.searchParams.has('probe')).toBe(true);
+  expect(url.searchParams.get('kernel')).toBe('mock');
+  expect(url.searchParams.has('tags')).toBe(false);
+  expect(url.searchParams.get('testModule')).toBe(defaultConfig.testModule);
+  expect(url.searchParams.get('helperModule')).toBe(defaultConfig.helperModule);
+});
+
+// report builds the report of a probe that found nothing wrong.
+function report(origin, changes = {}) {
+  return {
+    origin,
+    hostname: new URL(origin).hostname,
+    domains: [new URL(origin).hostname, new URL(origin).hostname],
+    testSeed: [1, 2, 3],
+    presentSeed: 'presentSeed is a privileged method',
+    error: null,
+    ...changes,
+  };
+}
+
+test('collectReport reports what the kernel tells the page', async () => {
+  setKernel(newMockKernel());
+  let own = await collectReport();
+  expect(own.error).toBeNull();
+  expect(own.domains).toHaveLength(20);
+  expect(new Set(own.domains)).toEqual(new Set(['localhost']));
+  expect(own.testSeed).toHaveLength(16);
+  expect(own.presentSeed).toMatch(/privileged method/);
+  expect(compareReports([own])).toEqual({ problems: [], notes: [] });
+
+  setKernel(newMockKernel({ bridge: false }));
+  let failed = await collectReport();
+  expect(failed.error).toMatch(/Skynet browser extension/);
+});
+
+test('compareReports finds leaks between origins', () => {
+  let own = report('http://localhost:3000');
+  expect(
+    compareReports([
+      own,
+      report('http://127.0.0.1:3000'),
+      report('http://localhost:3001'),
+    ])
+  ).toEqual({
+    problems: [],
+    notes: [
+      'http://localhost:3000 and http://localhost:3001 share the domain localhost',
+    ],
+  });
+
+  let { problems } = compareReports([
+    own,
+    report('http://127.0.0.1:3000', {
+      domains: ['127.0.0.1', 'localhost'],
+      testSeed: [9, 9, 9],
+      presentSeed: null,
+    }),
+    report('http://127.0.0.2:3000', { error: 'bridge unavailable' }),
+  ]);
+  expect(problems).toEqual([
+    'http://127.0.0.1:3000 was given the domain localhost, which belongs to http://localhost:3000',
+    'http://127.0.0.1:3000 was able to present a seed to a module',
+    'http://127.0.0.1:3000 sees a different test module seed',
+    'http://127.0.0.2:3000: bridge unavailable',
+  ]);
+});
+
+test('TestTesterMirrorDomain accepts the resolved skylink of a resolver link', async () => {
+  // The kernel gives the test module the skylink it resolved to as its domain.
+  let resolved = 'AACogzrAimYPG42tDOKhS3lXZD8YvlF8Q8R17afe95iV2Q';
+  let mock = newMockKernel();
+  setKernel({
+    ...mock,
+    callModule: (module, method, data) =>
+      method === 'testerMirrorDomain'
+        ? Promise.resolve({ domain: resolved })
+        : mock.callModule(module, method, data),
+  });
+  let entry = testCardValues.find((t) => t.name === 'TestTesterMirrorDomain');
+  let result = await runTest(entry);
+  expect(result.status).toBe('pass');
+  expect(result.message).toBe(
+    'got domain ' +
+      resolved +
+      ' for the test module at resolver link ' +
+      defaultConfig.testModule
+  );
+
+  // A regular skylink must be the domain itself.
+  setConfig({ ...defaultConfig, testModule: resolved.replace('AA', 'AB') });
+  result = await runTest(entry);
+  expect(result.status).toBe('fail');
+});
@@ -0,0 +1,97 @@
+import * as libkernel from 'libkernel';
+
+import { traceCall } from './trace';
+
+// kernel.js is the interface that the test suite uses to talk to the kernel.
+// By default every call is passed straight through to libkernel, which needs
+// the skynet extension to be installed. setKernel can swap in a different
+// backend with the same shape, such as the in-memory kernel from
+// mockKernel.js, which lets the harness run without the extension.
+//
+// A backend must provide init, testMessage, callModule, connectModule, upload
+// and download, with the same signatures and semantics as libkernel. It may
+// also provide getPortal, see below.
+//
+// Calls are traced while a test runs, see trace.js.
+let backend = libkernel;
+
+// setKernel replaces the active kernel backend. Calls that are already in
+// flight continue to use the backend they were started with.
+export function setKernel(newBackend) {
+  backend = newBackend;
+}
+
+// getKernel returns the active kernel backend.
+export function getKernel() {
+  return backend;
+}
+
+// traced records the outcome of a traced call and passes it on unchanged.
+function traced(trace, promise) {
+  if (trace === null) {
+    return promise;
+  }
+  return promise.then(
+    (data) => {
+      trace.response(data);
+      return data;
+    },
+    (err) => {
+      trace.error(err);
+      throw err;
+    }
+  );
+}
+
+export function init() {
+  return backend.init();
+}
+
+export function testMessage() {
+  return traced(traceCall('testMessage'), backend.testMessage());
+}
+
+export function callModule(module, method, data) {
+  let trace = traceCall('callModule', module, method);
+  return traced(trace, backend.callModule(module, method, data));
+}
+
+export function connectModule(module, method, data, receiveUpdate) {
+  let trace = traceCall('connectModule', module, method);
+  if (trace === null) {
+    return backend.connectModule(module, method, data, receiveUpdate);
+  }
+  let [sendUpdate, query] = backend.connectModule(
+    module,
+    method,
+    data,
+    (update) => {
+      trace.update(update);
+      if (typeof receiveUpdate === 'function') {
+        receiveUpdate(update);
+      }
+    }
+  );
+  return [sendUpdate, traced(trace, query)];
+}
+
+export function upload(filename, fileData) {
+  let trace = traceCall('upload', null, filename);
+  return traced(trace, backend.upload(filename, fileData));
+}
+
+export function download(skylink) {
+  let trace = traceCall('download', skylink);
+  return traced(trace, backend.download(skylink));
+}
+
+// getPortal resolves with the portal that the kernel uses, or with null if the
+// backend cannot report it. libkernel has no call for this, so it is only
+// known for backends that provide getPortal.
+export function getPortal() {
+  return backend.getPortal ? backend.getPortal() : Promise.resolve(null);
+}
+
+// addContextToErr does not depend on the backend, so it always comes from
+// libkernel.
+export const addContextToErr = libkernel.addContextToErr;
@@ -0,0 +1,160 @@
+// logs.js captures what is written to the console of the page while tests
+// run, so that the output of a failing test can be shown with its result
+// instead of having to be matched up with the console by timestamp.
+//
+// libkernel writes its messages to the console of the page with a
+// '[libkernel]' prefix, those entries get the source 'libkernel'. Everything
+// else, including uncaught errors and unhandled rejections, gets the source
+// 'page'. The kernel and the modules log to the console of the extension,
+// which a page cannot read.
+//
+// Capturing is started with startLogCapture. While it is active, runTest
+// opens a log window for each test, see openLogWindow. When tests run in
+// parallel, a message is attributed to every test that was running when it
+// was written.
+
+// consoleLevels are the console methods that are captured.
+const consoleLevels = ['debug', 'log', 'info', 'warn', 'error'];
+
+// maxLogEntries limits how many messages are buffered, so that a test that
+// floods the console cannot exhaust the memory of the page. A window that
+// loses messages to the limit reports how many were dropped.
+export const maxLogEntries = 500;
+
+let captures = 0;
+let originalConsole = {};
+let paused = false;
+let entries = [];
+let nextSeq = 0;
+let windows = new Set();
+
+// formatLogArg converts one argument of a console call to text.
+function formatLogArg(arg) {
+  if (typeof arg === 'string') {
+    return arg;
+  }
+  if (arg instanceof Error) {
+    return arg.stack || arg.message;
+  }
+  try {
+    let json = JSON.stringify(arg);
+    return json === undefined ? String(arg) : json;
+  } catch {
+    return String(arg);
+  }
+}
+
+// record adds a message to the buffer if any window is open.
+function record(level, args) {
+  if (paused || windows.size === 0) {
+    return;
+  }
+  let source = 'page';
+  if (args[0] === '[libkernel]') {
+    source = 'libkernel';
+    args = args.slice(1);
+  }
+  entries.push({
+    seq: nextSeq++,
+    at: performance.now(),
+    level,
+    source,
+    text: args.map(formatLogArg).join(' '),
+  });
+  if (entries.length > maxLogEntries) {
+    entries.shift();
+  }
+}
+
+function onError(event) {
+  record('error', ['uncaught error: ' + event.message]);
+}
+
+function onRejection(event) {
+  record('error', ['unhandled rejection:', event.reason]);
+}
+
+// startLogCapture starts capturing the console. Every call must be matched by
+// a call to stopLogCapture, the console is restored after the last one.
+export function startLogCapture() {
+  captures += 1;
+  if (captures > 1) {
+    return;
+  }
+  for (let level of consoleLevels) {
+    let original = console[level];
+    originalConsole[level] = original;
+    console[level] = function (...args) {
+      record(level, args);
+      original.apply(console, args);
+    };
+  }
+  window.addEventListener('error', onError);
+  window.addEventListener('unhandledrejection', onRejection);
+}
+
+// stopLogCapture stops capturing the console, see startLogCapture.
+export function stopLogCapture() {
+  if (captures === 0) {
+    return;
+  }
+  captures -= 1;
+  if (captures > 0) {
+    return;
+  }
+  for (let level of consoleLevels) {
+    console[level] = originalConsole[level];
+  }
+  window.removeEventListener('error', onError);
+  window.removeEventListener('unhandledrejection', onRejection);
+}
+
+// uncaptured runs fn without capturing what it writes to the console. The
+// harness uses it to log results, which do not belong to any running test.
+export function uncaptured(fn) {
+  let wasPaused = paused;
+  paused = true;
+  try {
+    return fn();
+  } finally {
+    paused = wasPaused;
+  }
+}
+
+// openLogWindow starts collecting the messages written from now on. The
+// returned window has a close method that stops collecting and returns the
+// messages, each of the form:
+//   { time, level, source, text }
+// where time is in milliseconds since the window was opened. If messages were
+// dropped because of maxLogEntries, the first entry says how many.
+export function openLogWindow() {
+  let win = { seq: nextSeq, at: performance.now() };
+  windows.add(win);
+  return {
+    close: () => {
+      if (!windows.delete(win)) {
+        return [];
+      }
+      let captured = entries.filter((e) => e.seq >= win.seq);
+      let first = captured.length > 0 ? captured[0].seq : nextSeq;
+      let logs = captured.map((e) => ({
+        time: e.at - win.at,
+        level: e.level,
+        source: e.source,
+        text: e.text,
+      }));
+      if (first > win.seq) {
+        logs.unshift({
+          time: 0,
+          level: 'warn',
+          source: 'harness',
+          text: first - win.seq + ' earlier messages were dropped',
+        });
+      }
+      // Drop the messages that no open window needs any more.
+      let oldest = Math.min(nextSeq, ...[...windows].map((w) => w.seq));
+      entries = entries.filter((e) => e.seq >= oldest);
+      return logs;
+    },
+  };
+}
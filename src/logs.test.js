@@ -0,0 +1,83 @@
+import {
+  maxLogEntries,
+  openLogWindow,
+  startLogCapture,
+  stopLogCapture,
+  uncaptured,
+} from './logs';
+import { runTest } from './runner';
+
+let originalLog = console.log;
+let originalError = console.error;
+let logMock = null;
+beforeEach(() => {
+  logMock = jest.fn();
+  console.log = logMock;
+  console.error = jest.fn();
+  startLogCapture();
+});
+afterEach(() => {
+  stopLogCapture();
+  console.log = originalLog;
+  console.error = originalError;
+});
+
+test('log windows collect the messages written while they are open', () => {
+  console.log('before any window');
+  let first = openLogWindow();
+  console.log('[libkernel]', 'received late signal from bridge');
+  let second = openLogWindow();
+  console.error('failed:', { code: 7 }, new Error('boom'));
+  uncaptured(() => console.log('result of another test'));
+  let firstLogs = first.close();
+  console.log('after the first window');
+  let secondLogs = second.close();
+
+  expect(firstLogs.map((e) => [e.level, e.source, e.text])).toEqual([
+    ['log', 'libkernel', 'received late signal from bridge'],
+    ['error', 'page', expect.stringMatching(/^failed: {"code":7} Error: boom/)],
+  ]);
+  expect(secondLogs.map((e) => e.text)).toEqual([
+    expect.stringMatching(/^failed:/),
+    'after the first window',
+  ]);
+  expect(first.close()).toEqual([]);
+  // Captured messages still reach the console.
+  expect(logMock).toHaveBeenCalledTimes(4);
+});
+
+test('stopLogCapture restores the console after the last capture', () => {
+  let patched = console.log;
+  startLogCapture();
+  stopLogCapture();
+  expect(console.log).toBe(patched);
+  stopLogCapture();
+  let win = openLogWindow();
+  console.log('not captured');
+  expect(win.close()).toEqual([]);
+  startLogCapture();
+});
+
+test('a window reports messages dropped above the limit', () => {
+  let win = openLogWindow();
+  for (let i = 0; i < maxLogEntries + 10; i++) {
+    console.log('message ' + i);
+  }
+  let logs = win.close();
+  expect(logs).toHaveLength(maxLogEntries + 1);
+  expect(logs[0].text).toBe('10 earlier messages were dropped');
+  expect(logs[1].text).toBe('message 10');
+});
+
+test('runTest attaches logs to results that did not pass', async () => {
+  let noisy = (outcome) => () => {
+    console.log('working');
+    return outcome;
+  };
+  let pass = await runTest({ name: 'pass', test: noisy(Promise.resolve()) });
+  expect(pass.logs).toBeUndefined();
+  let fail = await runTest({ name: 'fail', test: noisy(Promise.reject('no')) });
+  expect(fail.logs).toEqual([
+    { time: expect.any(Number), level: 'log', source: 'page', text: 'working' },
+  ]);
+});
@@ -0,0 +1,399 @@
+import { addContextToErr } from 'libkernel';
+
+import { getConfig } from './config';
+import { corsEndpoints } from './cors';
+import { reservedMethods } from './security';
+import { sectorSize } from './transfers';
+
+// mockKernel.js provides an in-memory stand-in for libkernel. It simulates the
+// kernel, the test module and the helper module closely enough for the whole
+// suite in testMethods.js to run without the skynet extension or a portal. It
+// is meant for working on the harness itself, it does not say anything about
+// the health of a real kernel.
+//
+// Select it by loading the page with '?kernel=mock', or in code with
+// setKernel(newMockKernel()).
+
+export const mockKernelVersion = 'v0.0.0-mock';
+
+// mockPortal is the portal that the mock kernel reports by default.
+export const mockPortal = 'https://portal.mock';
+
+// noBridge matches the error that libkernel returns when the extension is
+// missing.
+const noBridge =
+  'the bridge failed to initialize (do you have the Skynet browser extension?)';
+
+// uploadOverhead is the part of a sector that the metadata of an upload takes
+// up, roughly 500 bytes according to libkernel.
+const uploadOverhead = 512;
+
+// mockFetchResults are what a fetch from a module reports for every outcome of
+// a URL in cors.js, the way a browser reports them.
+const mockFetchResults = {
+  allowed: { status: 200, redirected: false, error: null },
+  denied: { status: 0, redirected: false, error: 'TypeError: Failed to fetch' },
+  redirect: { status: 200, redirected: true, error: null },
+  error: { status: 500, redirected: false, error: null },
+};
+
+// mockFetch returns the result of a fetch from the test module. Every host
+// behaves like scripts/corsServer.js: the endpoints of corsEndpoints have
+// their expected outcome and any other path is allowed.
+function mockFetch(url) {
+  let path = new URL(url).pathname;
+  let endpoint = corsEndpoints.find((e) => e.path === path);
+  return { url, ...mockFetchResults[endpoint ? endpoint.expected : 'allowed'] };
+}
+
+// skylinkPattern matches a base64url encoded v1 skylink.
+const skylinkPattern = /^[a-zA-Z0-9_-]{46}$/;
+
+// deriveSeed creates a deterministic 16 byte seed for a module so that seeds
+// are stable across calls, like the seeds the real kernel hands out.
+function deriveSeed(skylink) {
+  let seed = new Uint8Array(16);
+  for (let i = 0; i < skylink.length; i++) {
+    let j = i % 16;
+    seed[j] = (seed[j] * 31 + skylink.charCodeAt(i) + i) & 0xff;
+  }
+  return seed;
+}
+
+// cloneMessage copies data the way postMessage would on its way through the
+// bridge. Environments without structuredClone get the original value.
+function cloneMessage(data) {
+  if (typeof structuredClone !== 'function') {
+    return data;
+  }
+  return structuredClone(data);
+}
+
+// equalBytes checks whether two Uint8Arrays hold the same data.
+function equalBytes(a, b) {
+  if (a.length !== b.length) {
+    return false;
+  }
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) {
+      return false;
+    }
+  }
+  return true;
+}
+
+// reportProgress sends a progress update for every thousand iterations that
+// the performance methods of the test module complete.
+function reportProgress(sendUpdate, done) {
+  if (done % 1000 === 0) {
+    sendUpdate({ progress: done });
+  }
+}
+
+// newMockKernel returns a kernel backend that can be passed to setKernel.
+//
+// Options:
+//   domain: the domain reported for the webpage (default: page hostname)
+//   latency: milliseconds added to each webpage => kernel round trip
+//   bridge: set to false to simulate a missing extension
+//   portal: the portal reported by getPortal
+//   testModule, helperModule: the skylinks the simulated modules live at
+//     (default: the configured modules, see config.js)
+export function newMockKernel(options = {}) {
+  let opts = {
+    domain: window.location.hostname,
+    latency: 0,
+    bridge: true,
+    portal: mockPortal,
+    ...getConfig(),
+    ...options,
+  };
+  let uploads = new Map();
+  let nextUpload = 0;
+
+  // deliver runs fn after the configured latency. Without latency the
+  // microtask queue is used so that the speed tests stay fast.
+  let deliver = function (fn) {
+    return new Promise((resolve) => {
+      if (opts.latency > 0) {
+        setTimeout(resolve, opts.latency);
+      } else {
+        resolve();
+      }
+    }).then(fn);
+  };
+
+  // newModule creates the state shared by every simulated module.
+  let newModule = function (skylink) {
+    return { skylink, seed: deriveSeed(skylink), errors: [], methods: {} };
+  };
+  let testModule = newModule(opts.testModule);
+  let helper = newModule(opts.helperModule);
+  let modules = {
+    [opts.testModule]: testModule,
+    [opts.helperModule]: helper,
+  };
+
+  // moduleCall routes a call to a simulated module. caller is the domain of
+  // the caller, either the webpage domain or the skylink of a module. If a
+  // channel is provided, the method can receive queryUpdates through it by
+  // calling onQueryUpdate, see connectModule.
+  let moduleCall = function (
+    module,
+    method,
+    data,
+    caller,
+    receiveUpdate,
+    channel = {}
+  ) {
+    if (typeof module !== 'string' || !skylinkPattern.test(module)) {
+      return Promise.reject(
+        "'module' field in moduleCall is expected to be a base64 skylink"
+      );
+    }
+    if (typeof method !== 'string') {
+      return Promise.reject("'data.method' needs to be a string");
+    }
+    if (!(module in modules)) {
+      return Promise.reject(
+        'unable to load module: unable to download skylink: 404'
+      );
+    }
+    // The kernel refuses reservedMethods on every moduleCall, whether it comes
+    // from a webpage or a module.
+    if (reservedMethods.includes(method)) {
+      return Promise.reject(
+        method +
+          ' is a privileged method, only the kernel is allowed to call it'
+      );
+    }
+    let handler = modules[module].methods[method];
+    if (handler === undefined) {
+      return Promise.reject('unrecognized method: ' + method);
+    }
+    let input;
+    try {
+      input = cloneMessage(data);
+    } catch (err) {
+      // postMessage rejects values it cannot clone with a DataCloneError.
+      return Promise.reject(err.message);
+    }
+    let sendUpdate = function (update) {
+      if (typeof receiveUpdate === 'function') {
+        receiveUpdate(cloneMessage(update));
+      }
+    };
+    let onQueryUpdate = function (receive) {
+      channel.receive = receive;
+    };
+    return new Promise((resolve) => {
+      resolve(handler(input, { caller, sendUpdate, onQueryUpdate }));
+    }).then(cloneMessage);
+  };
+
+  // Methods of the test module.
+  testModule.methods = {
+    viewSeed: () => ({ seed: testModule.seed }),
+    testLogging: () => {
+      console.log('mock test module: testLogging was called');
+      return {};
+    },
+    sendTestToKernel: () => ({ kernelVersion: mockKernelVersion }),
+    viewHelperSeed: () =>
+      moduleCall(opts.helperModule, 'viewSeed', {}, opts.testModule).then(
+        (data) => {
+          if (equalBytes(data.seed, testModule.seed)) {
+            testModule.errors.push('helper module has the same seed');
+            return Promise.reject('helper module has the same seed as tester');
+          }
+          return { message: 'helper module has a unique seed' };
+        }
+      ),
+    viewOwnSeedThroughHelper: () =>
+      moduleCall(opts.helperModule, 'viewTesterSeed', {}, opts.testModule).then(
+        (data) => {
+          if (!equalBytes(data.testerSeed, testModule.seed)) {
+            testModule.errors.push('helper module reported the wrong seed');
+            return Promise.reject('helper module reported the wrong seed');
+          }
+          return { message: 'helper module reported the correct seed' };
+        }
+      ),
+    mirrorDomain: (input, { caller }) => ({ domain: caller }),
+    testerMirrorDomain: () =>
+      moduleCall(opts.helperModule, 'mirrorDomain', {}, opts.testModule),
+    testResponseUpdate: (input, { sendUpdate }) => {
+      let progress = Promise.resolve();
+      for (let eventProgress of [25, 50, 75]) {
+        progress = progress.then(() => sendUpdate({ eventProgress }));
+      }
+      return progress.then(() => ({ eventProgress: 100 }));
+    },
+    updateTest: () =>
+      moduleCall(
+        opts.helperModule,
+        'updateTest',
+        {},
+        opts.testModule,
+        () => {}
+      ),
+    // testCORS reports the outcome of every URL of a list, see cors.js.
+    // Without a list it only reports the website it fetched.
+    testCORS: ({ urls }) => {
+      if (!Array.isArray(urls)) {
+        return { url: 'https://siasky.net' };
+      }
+      return { results: urls.map(mockFetch) };
+    },
+    callModulePerformanceSequential: ({ iterations }, { sendUpdate }) => {
+      let calls = Promise.resolve();
+      for (let i = 1; i <= iterations; i++) {
+        calls = calls
+          .then(() =>
+            moduleCall(opts.helperModule, 'viewSeed', {}, opts.testModule)
+          )
+          .then(() => reportProgress(sendUpdate, i));
+      }
+      return calls.then(() => ({}));
+    },
+    callModulePerformanceParallel: ({ iterations }, { sendUpdate }) => {
+      let calls = [];
+      let done = 0;
+      let callResolved = function () {
+        done += 1;
+        reportProgress(sendUpdate, done);
+      };
+      for (let i = 0; i < iterations; i++) {
+        calls.push(
+          moduleCall(opts.helperModule, 'viewSeed', {}, opts.testModule).then(
+            callResolved
+          )
+        );
+      }
+      return Promise.all(calls).then(() => ({}));
+    },
+    testQueryUpdate: (input, { sendUpdate, onQueryUpdate }) =>
+      new Promise((resolve) => {
+        let total = 0;
+        onQueryUpdate((update) => {
+          if (update.done === true) {
+            resolve({ total });
+          } else if (typeof update.increment === 'number') {
+            total += update.increment;
+            sendUpdate({ total });
+          } else {
+            testModule.errors.push('testQueryUpdate got a malformed update');
+          }
+        });
+      }),
+    testCancel: (input, { sendUpdate, onQueryUpdate }) =>
+      new Promise((resolve) => {
+        onQueryUpdate((update) => {
+          if (update.cancel === true) {
+            resolve({ cancelled: true });
+          }
+        });
+        sendUpdate({ started: true });
+      }),
+    viewErrors: () => ({ errors: testModule.errors }),
+  };
+
+  // Methods of the helper module.
+  helper.methods = {
+    // Only the test module may read the seed of the helper module.
+    viewSeed: (input, { caller }) => {
+      if (caller !== opts.testModule) {
+        return Promise.reject('viewSeed is only available to the test module');
+      }
+      return { seed: helper.seed };
+    },
+    viewTesterSeed: () =>
+      moduleCall(opts.testModule, 'viewSeed', {}, opts.helperModule).then(
+        (data) => ({ testerSeed: data.seed })
+      ),
+    mirrorDomain: (input, { caller }) => ({ domain: caller }),
+    updateTest: (input, { sendUpdate }) => {
+      sendUpdate({ progress: 'helper update' });
+      return { message: 'updates sent' };
+    },
+    viewErrors: () => ({ errors: helper.errors }),
+  };
+
+  // call wraps a webpage => kernel round trip, adding the latency.
+  let call = function (fn) {
+    if (!opts.bridge) {
+      return Promise.reject(noBridge);
+    }
+    return deliver(fn);
+  };
+
+  // webpageCall is a moduleCall made by the webpage. Errors are strings with
+  // the same context that libkernel adds.
+  let webpageCall = function (module, method, data, receiveUpdate, channel) {
+    return call(() =>
+      moduleCall(
+        module,
+        method,
+        data,
+        opts.domain,
+        receiveUpdate,
+        channel
+      ).catch((err) => {
+        let msg = err instanceof Error ? err.message : err;
+        return Promise.reject(
+          addContextToErr(msg, 'moduleCall query to kernel failed')
+        );
+      })
+    );
+  };
+
+  return {
+    init: () =>
+      opts.bridge ? Promise.resolve('mock') : Promise.reject(noBridge),
+    testMessage: () => call(() => mockKernelVersion),
+    getPortal: () => call(() => opts.portal),
+    callModule: (module, method, data) => webpageCall(module, method, data),
+    connectModule: (module, method, data, receiveUpdate) => {
+      // Like the real kernel, queryUpdates are dropped if the query has
+      // ended or the method does not listen for them.
+      let channel = { receive: null, ended: false };
+      let query = webpageCall(module, method, data, receiveUpdate, channel);
+      query.then(
+        () => (channel.ended = true),
+        () => (channel.ended = true)
+      );
+      let sendUpdate = function (update) {
+        let message = cloneMessage(update);
+        deliver(() => {
+          if (!channel.ended && channel.receive !== null) {
+            channel.receive(message);
+          }
+        });
+      };
+      return [sendUpdate, query];
+    },
+    upload: (filename, fileData) =>
+      call(() => {
+        if (typeof filename !== 'string' || !ArrayBuffer.isView(fileData)) {
+          return Promise.reject('secureUpload needs a filename and fileData');
+        }
+        if (fileData.length > sectorSize - uploadOverhead) {
+          return Promise.reject(
+            'unable to upload file: file is too large, uploads are limited ' +
+              'to a single sector'
+          );
+        }
+        nextUpload += 1;
+        let skylink = ('AQmockUpload' + nextUpload).padEnd(46, '_');
+        uploads.set(skylink, new Uint8Array(fileData));
+        return skylink;
+      }),
+    download: (skylink) =>
+      call(() => {
+        if (!uploads.has(skylink)) {
+          return Promise.reject('unable to download skylink: 404');
+        }
+        return new Uint8Array(uploads.get(skylink));
+      }),
+  };
+}
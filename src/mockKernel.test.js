@@ -0,0 +1,53 @@
+import { defaultConfig } from './config';
+import { newMockKernel } from './mockKernel';
+
+const { helperModule, testModule } = defaultConfig;
+
+test('simulates the test module', async () => {
+  let kernel = newMockKernel({ domain: 'example.com' });
+  let { seed } = await kernel.callModule(testModule, 'viewSeed', {});
+  expect(seed).toHaveLength(16);
+  await expect(kernel.callModule(helperModule, 'viewSeed', {})).rejects.toMatch(
+    /only available to the test module/
+  );
+  let { domain } = await kernel.callModule(testModule, 'mirrorDomain', {});
+  expect(domain).toBe('example.com');
+});
+
+test('rejects missing, malformed and forbidden calls', async () => {
+  let kernel = newMockKernel();
+  await expect(
+    kernel.callModule(testModule.slice(0, -1), 'viewSeed', {})
+  ).rejects.toMatch(/expected to be a base64 skylink/);
+  await expect(
+    kernel.callModule(testModule.replace('8', '9'), 'viewSeed', {})
+  ).rejects.toMatch(/unable to load module/);
+  await expect(
+    kernel.callModule(testModule, 'presentSeed', {})
+  ).rejects.toMatch(/privileged method/);
+  await expect(kernel.callModule(testModule, null, {})).rejects.toMatch(
+    /'data.method' needs to be a string/
+  );
+});
+
+test('delivers response updates before the response', async () => {
+  let kernel = newMockKernel();
+  let updates = [];
+  let [, query] = kernel.connectModule(
+    testModule,
+    'testResponseUpdate',
+    {},
+    (data) => updates.push(data.eventProgress)
+  );
+  let response = await query;
+  expect(updates).toEqual([25, 50, 75]);
+  expect(response.eventProgress).toBe(100);
+});
+
+test('round trips uploads', async () => {
+  let kernel = newMockKernel();
+  let data = new Uint8Array([1, 2, 3]);
+  let skylink = await kernel.upload('file.bin', data);
+  expect(await kernel.download(skylink)).toEqual(data);
+  await expect(kernel.download('AQ' + 'x'.repeat(44))).rejects.toMatch(/404/);
+});
@@ -0,0 +1,85 @@
+import * as kernel from './kernel';
+
+// query.js wraps connectModule for tests that talk to a running module query,
+// sending queryUpdate messages into it and cancelling it.
+//
+// libkernel (as of v0.0.79) has no message for cancelling a query: the
+// kernel only forgets a query once the module responds. Cancellation is
+// therefore cooperative and a convention between the page and the module, not
+// a kernel feature. cancel sends the queryUpdate { cancel: true }, which
+// modules that support cancellation answer by ending the query, and stops
+// passing anything the module sends to the caller. A module that ignores the
+// update keeps the query open in the kernel and in the module, which 'ended'
+// makes visible. Once libkernel can cancel queries, cancel should use that.
+
+// queryCancelled is the error that the response of a cancelled query rejects
+// with.
+export const queryCancelled = 'query was cancelled';
+
+// openQuery opens a query with connectModule and returns:
+//   sendUpdate(data): sends a queryUpdate to the module. Returns false
+//     without sending anything if the query has ended or was cancelled,
+//     because the kernel has no query left to deliver it to.
+//   cancel(): cancels the query, see above. Returns false if the query had
+//     already ended or been cancelled.
+//   response: resolves or rejects with the response of the module, or
+//     rejects with queryCancelled once the query is cancelled.
+//   ended: resolves once the module has ended the query, whether or not it
+//     was cancelled, with { response } or { error }. It never rejects.
+//
+// receiveUpdate is called with each responseUpdate until the query ends or is
+// cancelled.
+export function openQuery(module, method, data, receiveUpdate) {
+  let done = false;
+  let cancelled = false;
+  let rejectCancelled = null;
+  let [sendUpdate, query] = kernel.connectModule(
+    module,
+    method,
+    data,
+    (update) => {
+      if (!done && !cancelled && receiveUpdate) {
+        receiveUpdate(update);
+      }
+    }
+  );
+  let ended = query.then(
+    (response) => {
+      done = true;
+      return { response };
+    },
+    (error) => {
+      done = true;
+      return { error };
+    }
+  );
+  let response = Promise.race([
+    query,
+    new Promise((resolve, reject) => {
+      rejectCancelled = reject;
+    }),
+  ]);
+  // Callers that only wait for 'ended' should not see the rejection of
+  // 'response' reported as unhandled.
+  response.catch(() => {});
+  return {
+    sendUpdate: (update) => {
+      if (done || cancelled) {
+        return false;
+      }
+      sendUpdate(update);
+      return true;
+    },
+    cancel: () => {
+      if (done || cancelled) {
+        return false;
+      }
+      cancelled = true;
+      sendUpdate({ cancel: true });
+      rejectCancelled(queryCancelled);
+      return true;
+    },
+    response,
+    ended,
+  };
+}
@@ -0,0 +1,43 @@
+import { defaultConfig } from './config';
+import { setKernel } from './kernel';
+import { newMockKernel } from './mockKernel';
+import { openQuery, queryCancelled } from './query';
+
+const { testModule } = defaultConfig;
+
+test('openQuery sends queryUpdates into a running query', async () => {
+  setKernel(newMockKernel());
+  let totals = [];
+  let query = openQuery(testModule, 'testQueryUpdate', {}, (data) =>
+    totals.push(data.total)
+  );
+  expect(query.sendUpdate({ increment: 2 })).toBe(true);
+  expect(query.sendUpdate({ increment: 5 })).toBe(true);
+  expect(query.sendUpdate({ done: true })).toBe(true);
+  await expect(query.response).resolves.toEqual({ total: 7 });
+  await expect(query.ended).resolves.toEqual({ response: { total: 7 } });
+  expect(totals).toEqual([2, 7]);
+  expect(query.sendUpdate({ increment: 1 })).toBe(false);
+  expect(query.cancel()).toBe(false);
+});
+
+test('cancel rejects the response and lets the module end the query', async () => {
+  setKernel(newMockKernel());
+  let updates = 0;
+  let query = openQuery(testModule, 'testCancel', {}, () => (updates += 1));
+  expect(query.cancel()).toBe(true);
+  expect(query.cancel()).toBe(false);
+  await expect(query.response).rejects.toBe(queryCancelled);
+  await expect(query.ended).resolves.toEqual({
+    response: { cancelled: true },
+  });
+  expect(updates).toBe(0);
+});
+
+test('ended reports queries that fail', async () => {
+  setKernel(newMockKernel());
+  let query = openQuery(testModule, 'notAMethod', {});
+  let { error } = await query.ended;
+  expect(error).toMatch(/unrecognized method/);
+  await expect(query.response).rejects.toMatch(/unrecognized method/);
+});
@@ -0,0 +1,195 @@
+import libkernelPackage from 'libkernel/package.json';
+
+import { getConfig } from './config';
+import { passed, summarizeResults } from './runner';
+
+// results.js turns the results of a run into a report that can be saved and
+// attached to bug reports, either as JSON or as JUnit XML for CI tooling.
+
+// kernelVersionTest is the test whose successful result is the version of the
+// kernel under test.
+const kernelVersionTest = 'TestModuleQueryKernel';
+
+// newResultsReport builds a report from a list of results as produced by
+// runTest. timestamp is the time at which the run started. The report also
+// records which modules were tested, see config.js.
+export function newResultsReport(results, timestamp = new Date()) {
+  let kernelVersion = null;
+  for (let result of results) {
+    if (result.name === kernelVersionTest && result.status === 'pass') {
+      kernelVersion = result.message;
+    }
+  }
+  return {
+    suite: 'libkernel-test-suite',
+    timestamp: timestamp.toISOString(),
+    kernelVersion,
+    libkernelVersion: libkernelPackage.version,
+    testModule: getConfig().testModule,
+    helperModule: getConfig().helperModule,
+    userAgent: window.navigator.userAgent,
+    summary: summarizeResults(results),
+    tests: results.map((result) => ({
+      name: result.name,
+      status: result.status,
+      duration: result.duration,
+      message: result.message,
+      error: passed(result) ? null : result.message,
+      expected: result.expected === undefined ? null : result.expected,
+      actual: result.actual === undefined ? null : result.actual,
+      logs: result.logs === undefined ? null : result.logs,
+      attempts: result.attempts === undefined ? null : result.attempts,
+    })),
+  };
+}
+
+// reportToJSON encodes a report as pretty printed JSON.
+export function reportToJSON(report) {
+  return JSON.stringify(report, null, 2);
+}
+
+// escapeXML escapes text for use in XML attributes and text nodes.
+function escapeXML(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// formatLogEntry formats a captured console message, see logs.js, as a line
+// of text.
+export function formatLogEntry(entry) {
+  return (
+    '[' +
+    Math.round(entry.time) +
+    'ms] ' +
+    entry.level +
+    ' ' +
+    entry.source +
+    ': ' +
+    entry.text
+  );
+}
+
+// reportToJUnit encodes a report as JUnit XML. Durations are converted from
+// milliseconds to the seconds that JUnit expects, and the environment of the
+// run is recorded as properties of the test suite. Failed tests are reported
+// as failures and timed out tests as errors, so CI tooling keeps them apart.
+// Skipped tests are marked as skipped. Captured logs are included as the
+// system-out of their test case. Tests that were retried report their earlier
+// attempts the way Maven Surefire does: a flaky test passes with a
+// flakyFailure or flakyError per failed attempt, and a test that failed every
+// attempt reports its last attempt as the failure and has a rerunFailure or
+// rerunError for each earlier one.
+export function reportToJUnit(report) {
+  let seconds = (ms) => (ms / 1000).toFixed(3);
+  let totalTime = report.tests.reduce((sum, t) => sum + t.duration, 0);
+  let properties = {
+    kernelVersion: report.kernelVersion || 'unknown',
+    libkernelVersion: report.libkernelVersion,
+    testModule: report.testModule,
+    helperModule: report.helperModule,
+    userAgent: report.userAgent,
+  };
+  let lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<testsuites>',
+    '  <testsuite name="' +
+      escapeXML(report.suite) +
+      '" tests="' +
+      report.summary.total +
+      '" failures="' +
+      report.summary.failed +
+      '" errors="' +
+      report.summary.timedOut +
+      '" skipped="' +
+      report.summary.skipped +
+      '" timestamp="' +
+      escapeXML(report.timestamp) +
+      '" time="' +
+      seconds(totalTime) +
+      '">',
+    '    <properties>',
+  ];
+  for (let [name, value] of Object.entries(properties)) {
+    lines.push(
+      '      <property name="' +
+        escapeXML(name) +
+        '" value="' +
+        escapeXML(value) +
+        '"/>'
+    );
+  }
+  lines.push('    </properties>');
+  for (let test of report.tests) {
+    let open =
+      '    <testcase classname="' +
+      escapeXML(report.suite) +
+      '" name="' +
+      escapeXML(test.name) +
+      '" time="' +
+      seconds(test.duration) +
+      '"';
+    let element = (tag, message) =>
+      '      <' +
+      tag +
+      ' message="' +
+      escapeXML(message) +
+      '">' +
+      escapeXML(message) +
+      '</' +
+      tag +
+      '>';
+    let attempts = test.attempts || [];
+    if (test.status === 'flaky') {
+      lines.push(open + '>');
+      for (let attempt of attempts.filter((a) => a.status !== 'pass')) {
+        let tag = attempt.status === 'timeout' ? 'flakyError' : 'flakyFailure';
+        lines.push(element(tag, attempt.message));
+      }
+      lines.push('    </testcase>');
+      continue;
+    }
+    if (test.error === null) {
+      lines.push(open + '/>');
+      continue;
+    }
+    lines.push(open + '>');
+    if (test.status === 'skipped') {
+      lines.push('      <skipped message="' + escapeXML(test.error) + '"/>');
+      lines.push('    </testcase>');
+      continue;
+    }
+    lines.push(
+      element(test.status === 'timeout' ? 'error' : 'failure', test.error)
+    );
+    for (let attempt of attempts.slice(0, -1)) {
+      let tag = attempt.status === 'timeout' ? 'rerunError' : 'rerunFailure';
+      lines.push(element(tag, attempt.message));
+    }
+    if (test.logs) {
+      lines.push(
+        '      <system-out>' +
+          escapeXML(test.logs.map(formatLogEntry).join('\n')) +
+          '</system-out>'
+      );
+    }
+    lines.push('    </testcase>');
+  }
+  lines.push('  </testsuite>', '</testsuites>', '');
+  return lines.join('\n');
+}
+
+// downloadFile has the browser save contents to a file with the given name.
+export function downloadFile(filename, contents, type) {
+  let url = URL.createObjectURL(new Blob([contents], { type }));
+  let link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
@@ -0,0 +1,121 @@
+import { newResultsReport, reportToJSON, reportToJUnit } from './results';
+
+let results = [
+  {
+    name: 'TestModuleQueryKernel',
+    status: 'pass',
+    message: 'v1.2.3',
+    duration: 12,
+  },
+  {
+    name: 'TestMirrorDomain',
+    status: 'fail',
+    message: 'wrong domain <expected> & "got"',
+    duration: 1500,
+    logs: [
+      { time: 3.4, level: 'error', source: 'libkernel', text: 'late <bridge>' },
+    ],
+  },
+  {
+    name: 'TestModuleSpeedSeq20k',
+    status: 'timeout',
+    message: 'test timed out after 300000ms',
+    duration: 300000,
+  },
+  {
+    name: 'TestModuleHasErrors',
+    status: 'skipped',
+    message: 'skipped because TestLibkernelInit did not pass',
+    duration: 0,
+  },
+];
+
+test('newResultsReport records the environment and errors', () => {
+  let report = newResultsReport(results, new Date('2022-06-01T00:00:00Z'));
+  expect(report.kernelVersion).toBe('v1.2.3');
+  expect(report.libkernelVersion).toMatch(/^\d+\.\d+\.\d+$/);
+  expect(report.timestamp).toBe('2022-06-01T00:00:00.000Z');
+  expect(report.userAgent).toBe(window.navigator.userAgent);
+  expect(report.summary).toEqual({
+    total: 4,
+    passed: 1,
+    flaky: 0,
+    failed: 1,
+    timedOut: 1,
+    skipped: 1,
+  });
+  expect(report.tests[0].error).toBeNull();
+  expect(report.tests[1].error).toBe(results[1].message);
+  expect(JSON.parse(reportToJSON(report))).toEqual(report);
+});
+
+test('reportToJUnit escapes failures and converts durations', () => {
+  let xml = reportToJUnit(newResultsReport(results));
+  expect(xml).toContain('tests="4" failures="1" errors="1" skipped="1"');
+  expect(xml).toContain(
+    '<skipped message="skipped because TestLibkernelInit did not pass"/>'
+  );
+  expect(xml).toContain(
+    '<error message="test timed out after 300000ms">test timed out after 300000ms</error>'
+  );
+  expect(xml).toContain(
+    '<testcase classname="libkernel-test-suite" name="TestModuleQueryKernel" time="0.012"/>'
+  );
+  expect(xml).toContain(
+    '<failure message="wrong domain &lt;expected&gt; &amp; &quot;got&quot;">'
+  );
+  expect(xml).toContain('<property name="kernelVersion" value="v1.2.3"/>');
+});
+
+test('captured logs are included in the reports', () => {
+  let report = newResultsReport(results);
+  expect(report.tests[0].logs).toBeNull();
+  expect(report.tests[1].logs).toEqual(results[1].logs);
+  expect(reportToJUnit(report)).toContain(
+    '<system-out>[3ms] error libkernel: late &lt;bridge&gt;</system-out>'
+  );
+});
+
+test('flaky tests and their attempts are included in the reports', () => {
+  let attempts = [
+    { status: 'fail', message: 'out of <order>', duration: 5, logs: null },
+    { status: 'timeout', message: 'timed out', duration: 100, logs: null },
+    { status: 'pass', message: 'ok', duration: 5, logs: null },
+  ];
+  let report = newResultsReport([
+    {
+      name: 'TestFlaky',
+      status: 'flaky',
+      message: 'ok',
+      duration: 110,
+      attempts,
+    },
+    {
+      name: 'TestBroken',
+      status: 'fail',
+      message: 'still broken',
+      duration: 20,
+      attempts: [
+        { status: 'fail', message: 'broken', duration: 10, logs: null },
+        { status: 'fail', message: 'still broken', duration: 10, logs: null },
+      ],
+    },
+  ]);
+  expect(report.summary.flaky).toBe(1);
+  expect(report.tests[0].status).toBe('flaky');
+  expect(report.tests[0].error).toBeNull();
+  expect(report.tests[0].attempts).toEqual(attempts);
+
+  let xml = reportToJUnit(report);
+  expect(xml).toContain('tests="2" failures="1" errors="0" skipped="0"');
+  expect(xml).toContain(
+    '<flakyFailure message="out of &lt;order&gt;">out of &lt;order&gt;</flakyFailure>\n' +
+      '      <flakyError message="timed out">timed out</flakyError>\n' +
+      '    </testcase>'
+  );
+  expect(xml).toContain(
+    '<failure message="still broken">still broken</failure>\n' +
+      '      <rerunFailure message="broken">broken</rerunFailure>\n' +
+      '    </testcase>'
+  );
+});
@@ -0,0 +1,348 @@
+import { AssertionError } from './assert';
+import { openLogWindow } from './logs';
+import { openTraceWindow } from './trace';
+
+// The runner executes the entries of testCardValues independently of any UI.
+// Both the React page and the headless mode use it, so a test produces the
+// same result regardless of how it was launched.
+
+// formatOutcome converts whatever a test resolved or rejected with into a
+// string that can be displayed. Most tests use strings, but libkernel can
+// return errors and objects as well.
+export function formatOutcome(x) {
+  if (typeof x === 'string') {
+    return x;
+  }
+  if (x instanceof Error) {
+    return x.message;
+  }
+  if (x === undefined) {
+    return '';
+  }
+  return JSON.stringify(x);
+}
+
+// defaultTestTimeout is used for tests that do not set their own timeout.
+export const defaultTestTimeout = 30000;
+
+// runTest will run a single test and report the outcome. The returned promise
+// never rejects, a failing test resolves to a result with a status of 'fail'.
+//
+// If the test does not settle within its timeout, the result has a status of
+// 'timeout' and the test is abandoned: the kernel query it is waiting on keeps
+// going, but whatever it eventually settles with is ignored.
+//
+// A result has the form:
+//   { name, status: 'pass' | 'fail' | 'timeout', message, duration }
+// runTests can also produce results with a status of 'skipped', and with a
+// status of 'flaky', see runWithRetries. When a test fails with an
+// AssertionError, the result also has the expected and actual values of the
+// failed check. When log capture is active, see logs.js, a
+// result that did not pass has the console messages written while the test
+// ran in 'logs'. A test that made kernel calls has their trace, see
+// trace.js, in 'trace'.
+//
+// The test function is called with a context that it can use to report what
+// it is doing while it runs, which is useful for long running tests and for
+// tests that receive updates from a module:
+//   ctx.progress(done, total): 'done' out of 'total' units of work are
+//     complete.
+//   ctx.update(data, position): an update was received, for example through
+//     the receiveUpdate callback of connectModule. If a position is given,
+//     updates are expected to arrive in increasing order of position and an
+//     update that does not is marked as out of order.
+// Each report is passed to onEvent as an event with the time in milliseconds
+// since the test started:
+//   { type: 'progress', time, done, total }
+//   { type: 'update', time, data, position, outOfOrder }
+// where data has been converted with formatOutcome. Progress events are only
+// emitted when the percentage changes, so tests can report progress for every
+// message without flooding the page. Reports made after the test finished are
+// ignored.
+export function runTest(
+  { name, test, timeout = defaultTestTimeout },
+  { onEvent } = {}
+) {
+  return new Promise((resolve) => {
+    let start = performance.now();
+    let logWindow = openLogWindow();
+    let traceWindow = openTraceWindow();
+    let finished = false;
+    let timer = null;
+    let emit = function (event) {
+      if (!finished && onEvent) {
+        onEvent({ ...event, time: performance.now() - start });
+      }
+    };
+    let lastPercent = null;
+    let lastPosition = null;
+    let ctx = {
+      progress: (done, total) => {
+        let percent = total > 0 ? Math.floor((done * 100) / total) : 0;
+        if (percent === lastPercent) {
+          return;
+        }
+        lastPercent = percent;
+        emit({ type: 'progress', done, total });
+      },
+      update: (data, position) => {
+        let outOfOrder = false;
+        if (position !== undefined) {
+          outOfOrder = lastPosition !== null && !(position > lastPosition);
+          lastPosition = outOfOrder ? lastPosition : position;
+        }
+        emit({
+          type: 'update',
+          data: formatOutcome(data),
+          position,
+          outOfOrder,
+        });
+      },
+    };
+    let finish = function (status, outcome) {
+      if (finished) {
+        return;
+      }
+      finished = true;
+      clearTimeout(timer);
+      let result = {
+        name,
+        status,
+        message: formatOutcome(outcome),
+        duration: performance.now() - start,
+      };
+      if (outcome instanceof AssertionError) {
+        result.expected = outcome.expected;
+        result.actual = outcome.actual;
+      }
+      let logs = logWindow.close();
+      if (status !== 'pass' && logs.length > 0) {
+        result.logs = logs;
+      }
+      let trace = traceWindow.close();
+      if (trace.calls.length > 0) {
+        result.trace = trace;
+      }
+      resolve(result);
+    };
+    timer = setTimeout(() => {
+      finish(
+        'timeout',
+        'test timed out after ' +
+          timeout +
+          'ms, a kernel query it started may still be in flight'
+      );
+    }, timeout);
+    // Wrap the call so that a test which throws synchronously is treated
+    // the same as a test which rejects.
+    new Promise((innerResolve) => {
+      innerResolve(test(ctx));
+    })
+      .then((x) => {
+        finish('pass', x);
+      })
+      .catch((x) => {
+        finish('fail', x);
+      });
+  });
+}
+
+// passed checks whether a result counts as passing. A flaky test, one that
+// failed before it passed on a retry, passes but is counted separately.
+export function passed(result) {
+  return result.status === 'pass' || result.status === 'flaky';
+}
+
+// runWithRetries runs a test like runTest, running it again if it fails or
+// times out, up to 'retries' more times. A test can set its own number of
+// retries with a 'retries' field, which takes precedence. Tests that are
+// known to fail now and then for benign reasons, for example because they
+// depend on an ordering that the kernel does not guarantee, should set one.
+//
+// If the test needed more than one attempt, the result has the status of the
+// last attempt, except that a test which passed after failing is 'flaky'. It
+// then also has 'attempts', a list of { status, message, duration, logs }
+// with one entry per attempt, in order, where logs is null for attempts that
+// captured none. The duration of the result is the sum of all attempts.
+export function runWithRetries(test, { onEvent, retries = 0 } = {}) {
+  let allowed = test.retries === undefined ? retries : test.retries;
+  let attempts = [];
+  let attempt = function () {
+    return runTest(test, { onEvent }).then((result) => {
+      attempts.push(result);
+      if (result.status === 'pass' || attempts.length > allowed) {
+        return result;
+      }
+      return attempt();
+    });
+  };
+  return attempt().then((result) => {
+    if (attempts.length === 1) {
+      return result;
+    }
+    return {
+      ...result,
+      status: result.status === 'pass' ? 'flaky' : result.status,
+      duration: attempts.reduce((sum, a) => sum + a.duration, 0),
+      attempts: attempts.map((a) => ({
+        status: a.status,
+        message: a.message,
+        duration: a.duration,
+        logs: a.logs || null,
+      })),
+    };
+  });
+}
+
+// skippedResult creates the result of a test that was not run.
+export function skippedResult(name, message) {
+  return { name, status: 'skipped', message, duration: 0 };
+}
+
+// runTests will run a list of tests, running up to 'concurrency' tests at the
+// same time. The default concurrency of 1 runs the tests sequentially in list
+// order, which keeps timings reproducible. onStart is called with each test
+// as it starts and onResult with each result as it completes. onEvent is
+// called with the name of a test and each event it reports, see runTest. A
+// test that fails is run again up to 'retries' times, see runWithRetries.
+// The returned promise resolves with every result, in the order they
+// completed.
+//
+// Tests can declare how they relate to the other tests in the run:
+//   dependsOn: names of tests that must pass before this test can run. If a
+//     dependency does not pass, the test is skipped. Flaky dependencies
+//     count as passed.
+//   runLast: the test waits until every test without runLast has finished,
+//     whether or not those tests passed.
+// Dependencies on tests that are not part of the run are ignored.
+export function runTests(
+  tests,
+  { onStart, onResult, onEvent, concurrency = 1, retries = 0 } = {}
+) {
+  let limit = Math.max(1, Math.floor(concurrency) || 1);
+  let names = tests.map((t) => t.name);
+  let dependencies = tests.map((t) =>
+    (t.dependsOn || []).filter((name) => names.includes(name))
+  );
+  let waitFor = tests.map((t, i) =>
+    t.runLast ? names.filter((name, j) => !tests[j].runLast) : dependencies[i]
+  );
+
+  return new Promise((resolve) => {
+    let results = [];
+    let byName = {};
+    let started = new Set();
+    let running = 0;
+    let record = function (result) {
+      results.push(result);
+      byName[result.name] = result;
+      if (onResult) {
+        onResult(result);
+      }
+    };
+
+    let start = function (test) {
+      running += 1;
+      if (onStart) {
+        onStart(test);
+      }
+      let events = onEvent ? (event) => onEvent(test.name, event) : undefined;
+      runWithRetries(test, { onEvent: events, retries }).then((result) => {
+        running -= 1;
+        record(result);
+        schedule();
+      });
+    };
+
+    // schedule starts every test that is ready, until the concurrency
+    // limit is reached. It is called again each time a test finishes.
+    let schedule = function () {
+      let progress = true;
+      while (progress) {
+        progress = false;
+        for (let i = 0; i < tests.length && running < limit; i++) {
+          let test = tests[i];
+          if (started.has(test.name)) {
+            continue;
+          }
+          let deps = dependencies[i].concat(waitFor[i]);
+          if (!deps.every((name) => name in byName)) {
+            continue;
+          }
+          started.add(test.name);
+          let failed = dependencies[i].find((name) => !passed(byName[name]));
+          if (failed !== undefined) {
+            record(
+              skippedResult(
+                test.name,
+                'skipped because ' + failed + ' did not pass'
+              )
+            );
+            progress = true;
+            continue;
+          }
+          start(test);
+        }
+      }
+      if (results.length === tests.length) {
+        resolve(results);
+        return;
+      }
+      // If nothing is running and nothing could be started, the
+      // remaining tests have dependencies that can never be met.
+      if (running === 0) {
+        for (let test of tests) {
+          if (!started.has(test.name)) {
+            started.add(test.name);
+            record(skippedResult(test.name, 'dependencies form a cycle'));
+          }
+        }
+        resolve(results);
+      }
+    };
+    schedule();
+  });
+}
+
+// summarizeResults counts the results by status. Flaky tests, timeouts and
+// skipped tests are counted separately from passes and failures.
+export function summarizeResults(results) {
+  let summary = {
+    total: results.length,
+    passed: 0,
+    flaky: 0,
+    failed: 0,
+    timedOut: 0,
+    skipped: 0,
+  };
+  for (let result of results) {
+    if (result.status === 'pass') {
+      summary.passed += 1;
+    } else if (result.status === 'flaky') {
+      summary.flaky += 1;
+    } else if (result.status === 'timeout') {
+      summary.timedOut += 1;
+    } else if (result.status === 'skipped') {
+      summary.skipped += 1;
+    } else {
+      summary.failed += 1;
+    }
+  }
+  return summary;
+}
+
+// formatSummary describes a summary in a single line. Flaky tests are only
+// mentioned if there are any.
+export function formatSummary(summary) {
+  return (
+    summary.passed +
+    ' passed, ' +
+    (summary.flaky > 0 ? summary.flaky + ' flaky, ' : '') +
+    summary.failed +
+    ' failed, ' +
+    summary.timedOut +
+    ' timed out, ' +
+    summary.skipped +
+    ' skipped'
+  );
+}
@@ -0,0 +1,297 @@
+import {
+  formatOutcome,
+  formatSummary,
+  runTest,
+  runTests,
+  runWithRetries,
+  summarizeResults,
+} from './runner';
+
+test('runTest reports passing and failing tests', async () => {
+  let pass = await runTest({ name: 'pass', test: () => Promise.resolve('ok') });
+  expect(pass.status).toBe('pass');
+  expect(pass.message).toBe('ok');
+  expect(pass.duration).toBeGreaterThanOrEqual(0);
+
+  let fail = await runTest({ name: 'fail', test: () => Promise.reject('bad') });
+  expect(fail.status).toBe('fail');
+  expect(fail.message).toBe('bad');
+});
+
+test('runTest treats a synchronous throw as a failure', async () => {
+  let result = await runTest({
+    name: 'throws',
+    test: () => {
+      throw new Error('boom');
+    },
+  });
+  expect(result.status).toBe('fail');
+  expect(result.message).toBe('boom');
+});
+
+test('runTests runs tests in order and reports each result', async () => {
+  let order = [];
+  let tests = ['a', 'b', 'c'].map((name) => ({
+    name,
+    test: () => {
+      order.push(name);
+      return name === 'b' ? Promise.reject('b failed') : Promise.resolve();
+    },
+  }));
+  let events = [];
+  let results = await runTests(tests, {
+    onStart: (t) => events.push('start ' + t.name),
+    onResult: (r) => events.push(r.status + ' ' + r.name),
+  });
+  expect(order).toEqual(['a', 'b', 'c']);
+  expect(events).toEqual([
+    'start a',
+    'pass a',
+    'start b',
+    'fail b',
+    'start c',
+    'pass c',
+  ]);
+  expect(summarizeResults(results)).toEqual({
+    total: 3,
+    passed: 2,
+    flaky: 0,
+    failed: 1,
+    timedOut: 0,
+    skipped: 0,
+  });
+});
+
+test('runTest abandons tests that exceed their timeout', async () => {
+  let result = await runTest({
+    name: 'hangs',
+    test: () => new Promise(() => {}),
+    timeout: 20,
+  });
+  expect(result.status).toBe('timeout');
+  expect(result.message).toBe(
+    'test timed out after 20ms, a kernel query it started may still be in flight'
+  );
+  expect(summarizeResults([result])).toMatchObject({ failed: 0, timedOut: 1 });
+
+  // A test that settles after its timeout does not change the result.
+  let late = await runTest({
+    name: 'late',
+    test: () => new Promise((resolve) => setTimeout(resolve, 50)),
+    timeout: 10,
+  });
+  expect(late.status).toBe('timeout');
+});
+
+// newControlledTest creates a test that settles when the caller decides,
+// recording when it starts.
+function newControlledTest(name, events, options = {}) {
+  let control = {};
+  let test = {
+    name,
+    ...options,
+    test: () =>
+      new Promise((resolve, reject) => {
+        events.push('start ' + name);
+        control.resolve = resolve;
+        control.reject = reject;
+      }),
+  };
+  return [test, control];
+}
+
+test('runTests skips tests whose dependencies did not pass', async () => {
+  let tests = [
+    { name: 'init', test: () => Promise.reject('no bridge') },
+    { name: 'a', dependsOn: ['init'], test: () => Promise.resolve() },
+    { name: 'b', dependsOn: ['missing'], test: () => Promise.resolve() },
+  ];
+  let results = await runTests(tests);
+  expect(results.map((r) => r.name + ' ' + r.status)).toEqual([
+    'init fail',
+    'a skipped',
+    'b pass',
+  ]);
+  expect(results[1].message).toBe('skipped because init did not pass');
+});
+
+test('runTests runs independent tests in parallel up to the limit', async () => {
+  let events = [];
+  let [init, initControl] = newControlledTest('init', events);
+  let [a, aControl] = newControlledTest('a', events, { dependsOn: ['init'] });
+  let [b, bControl] = newControlledTest('b', events, { dependsOn: ['init'] });
+  let [c, cControl] = newControlledTest('c', events, { dependsOn: ['init'] });
+  let [last, lastControl] = newControlledTest('last', events, {
+    runLast: true,
+  });
+  let flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+  let done = runTests([init, a, b, c, last], { concurrency: 2 });
+  await flush();
+  expect(events).toEqual(['start init']);
+  initControl.resolve();
+  await flush();
+  expect(events).toEqual(['start init', 'start a', 'start b']);
+  bControl.reject('b failed');
+  await flush();
+  expect(events).toEqual(['start init', 'start a', 'start b', 'start c']);
+  cControl.resolve();
+  await flush();
+  // last waits for a even though the concurrency limit allows it to run.
+  expect(events).toHaveLength(4);
+  aControl.resolve();
+  await flush();
+  expect(events[4]).toBe('start last');
+  lastControl.resolve();
+  let results = await done;
+  expect(summarizeResults(results)).toMatchObject({ passed: 4, failed: 1 });
+});
+
+test('runTests skips tests with circular dependencies', async () => {
+  let results = await runTests([
+    { name: 'a', dependsOn: ['b'], test: () => Promise.resolve() },
+    { name: 'b', dependsOn: ['a'], test: () => Promise.resolve() },
+  ]);
+  expect(results.map((r) => r.message)).toEqual([
+    'dependencies form a cycle',
+    'dependencies form a cycle',
+  ]);
+});
+
+test('formatOutcome stringifies non-string outcomes', () => {
+  expect(formatOutcome({ a: 1 })).toBe('{"a":1}');
+  expect(formatOutcome(undefined)).toBe('');
+});
+
+test('runTest passes progress and updates to onEvent', async () => {
+  let events = [];
+  let result = await runTest(
+    {
+      name: 'updates',
+      test: (ctx) => {
+        for (let i = 1; i <= 1000; i++) {
+          ctx.progress(i, 1000);
+        }
+        ctx.update({ eventProgress: 25 }, 25);
+        ctx.update({ eventProgress: 75 }, 75);
+        ctx.update({ eventProgress: 50 }, 50);
+        ctx.update('no position');
+        return Promise.resolve('done');
+      },
+    },
+    { onEvent: (event) => events.push(event) }
+  );
+  expect(result.status).toBe('pass');
+  let progress = events.filter((e) => e.type === 'progress');
+  // One event for each percentage from 0% to 100%.
+  expect(progress).toHaveLength(101);
+  expect(progress[29]).toMatchObject({ done: 290, total: 1000 });
+  expect(progress[100]).toMatchObject({ done: 1000, total: 1000 });
+  let updates = events.filter((e) => e.type === 'update');
+  expect(updates.map((e) => e.data)).toEqual([
+    '{"eventProgress":25}',
+    '{"eventProgress":75}',
+    '{"eventProgress":50}',
+    'no position',
+  ]);
+  expect(updates.map((e) => e.outOfOrder)).toEqual([false, false, true, false]);
+  expect(updates.every((e) => e.time >= 0)).toBe(true);
+});
+
+test('runTest ignores events reported after the test finished', async () => {
+  let events = [];
+  let late = null;
+  await runTest(
+    {
+      name: 'late',
+      test: (ctx) => {
+        late = ctx;
+        return Promise.resolve();
+      },
+    },
+    { onEvent: (event) => events.push(event) }
+  );
+  late.update('too late');
+  expect(events).toEqual([]);
+});
+
+test('runTests reports events with the name of the test', async () => {
+  let events = [];
+  await runTests([{ name: 'a', test: (ctx) => ctx.update('hello') }], {
+    onEvent: (name, event) => events.push([name, event.data]),
+  });
+  expect(events).toEqual([['a', 'hello']]);
+});
+
+// flakyTest returns a test that fails the given number of times before it
+// passes.
+function flakyTest(failures, fields = {}) {
+  let runs = 0;
+  return {
+    name: 'flaky',
+    test: () => {
+      runs += 1;
+      return runs > failures
+        ? Promise.resolve('passed on run ' + runs)
+        : Promise.reject('failed on run ' + runs);
+    },
+    ...fields,
+  };
+}
+
+test('runWithRetries marks tests that pass on a retry as flaky', async () => {
+  let once = await runWithRetries(flakyTest(0), { retries: 2 });
+  expect(once.status).toBe('pass');
+  expect(once.attempts).toBeUndefined();
+
+  let flaky = await runWithRetries(flakyTest(2), { retries: 2 });
+  expect(flaky.status).toBe('flaky');
+  expect(flaky.message).toBe('passed on run 3');
+  expect(flaky.attempts.map((a) => a.status + ' ' + a.message)).toEqual([
+    'fail failed on run 1',
+    'fail failed on run 2',
+    'pass passed on run 3',
+  ]);
+  expect(flaky.duration).toBe(
+    flaky.attempts.reduce((sum, a) => sum + a.duration, 0)
+  );
+
+  let broken = await runWithRetries(flakyTest(3), { retries: 2 });
+  expect(broken.status).toBe('fail');
+  expect(broken.message).toBe('failed on run 3');
+  expect(broken.attempts.length).toBe(3);
+
+  // The retries of a test take precedence over the default.
+  let own = await runWithRetries(flakyTest(1, { retries: 0 }), { retries: 5 });
+  expect(own.status).toBe('fail');
+  expect((await runWithRetries(flakyTest(1, { retries: 1 }))).status).toBe(
+    'flaky'
+  );
+});
+
+test('runTests retries failing tests and counts flaky ones', async () => {
+  let tests = [
+    flakyTest(1, { name: 'init' }),
+    { name: 'a', dependsOn: ['init'], test: () => Promise.resolve() },
+  ];
+  let results = await runTests(tests, { retries: 1 });
+  expect(results.map((r) => r.name + ' ' + r.status)).toEqual([
+    'init flaky',
+    'a pass',
+  ]);
+  let summary = summarizeResults(results);
+  expect(summary).toEqual({
+    total: 2,
+    passed: 1,
+    flaky: 1,
+    failed: 0,
+    timedOut: 0,
+    skipped: 0,
+  });
+  expect(formatSummary(summary)).toBe(
+    '1 passed, 1 flaky, 0 failed, 0 timed out, 0 skipped'
+  );
+  expect(formatSummary({ ...summary, flaky: 0 })).toBe(
+    '1 passed, 0 failed, 0 timed out, 0 skipped'
+  );
+});
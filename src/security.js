@@ -0,0 +1,345 @@
+import { AssertionError, expectCall, expectKernelError } from './assert';
+import { getConfig } from './config';
+import { errorMessage } from './errors';
+import * as kernel from './kernel';
+import { sha256 } from './transfers';
+
+// security.js holds the tests of the 'security' category, which check the
+// promises the kernel makes about module seeds and privileged methods:
+//   - the test module gets the same seed every time, also after the page is
+//     loaded again,
+//   - the test module and the helper module get different seeds,
+//   - a seed only reaches the webpage through the one method that deliberately
+//     returns it, the viewSeed method of the test module, and
+//   - methods that only the kernel may send to a module are refused to every
+//     other caller.
+//
+// Seeds are compared across page loads by their SHA-256 fingerprint, which is
+// kept in sessionStorage. The seeds themselves are never stored. Seeds belong
+// to the account that is logged into the kernel, so the fingerprints are only
+// kept for the session of the tab, and can be forgotten with
+// forgetSeedFingerprints after switching accounts within it.
+
+// reservedMethods are the methods that a module only receives from the
+// kernel. presentSeed hands a module its seed; a caller that could send it
+// would replace the seed of the module. The kernel refuses it in
+// handleModuleCall, before the module is loaded, with 'presentSeed is a
+// privileged method, only the kernel is allowed to call it'. The check runs on
+// every moduleCall, so modules calling each other are refused as well.
+// Responses and updates of queries are separate kernel messages rather than
+// module methods, so the kernel has no reason to reserve their names.
+export const reservedMethods = ['presentSeed'];
+
+// seedReads is the number of times each seed is read when checking that it
+// does not change.
+const seedReads = 5;
+
+// storageKey is the sessionStorage key that seed fingerprints are kept under.
+const storageKey = 'libkernel-test-seed-fingerprints';
+
+// modules returns the modules under test with a description of each.
+function modules() {
+  let config = getConfig();
+  return [
+    { name: 'test module', skylink: config.testModule },
+    { name: 'helper module', skylink: config.helperModule },
+  ];
+}
+
+// readSeed reads the seed of the test module through its viewSeed method.
+// The seed of the helper module is not available to the page, it is checked
+// by the modules themselves.
+function readSeed() {
+  let shape = { seed: { type: 'Uint8Array', length: 16 } };
+  return expectCall(getConfig().testModule, 'viewSeed', {}, shape).then(
+    (data) => data.seed
+  );
+}
+
+// sameBytes checks whether two byte arrays hold the same data.
+function sameBytes(a, b) {
+  return a.length === b.length && a.every((x, i) => x === b[i]);
+}
+
+// readFingerprints returns the fingerprints stored by earlier page loads,
+// ignoring anything that cannot be parsed.
+function readFingerprints(storage) {
+  try {
+    let stored = JSON.parse(storage.getItem(storageKey));
+    return typeof stored === 'object' && stored !== null ? stored : {};
+  } catch {
+    return {};
+  }
+}
+
+// forgetSeedFingerprints drops the fingerprints recorded by earlier page
+// loads, so that the next run of TestSeedDeterminism only records them.
+export function forgetSeedFingerprints() {
+  window.sessionStorage.removeItem(storageKey);
+}
+
+// TestSeedDeterminism reads the seed of the test module several times in
+// parallel and checks that it never changes. Its fingerprint is compared with
+// the one recorded by the previous page load, so that a kernel which derives
+// seeds from something other than the user seed and the module is noticed
+// after a reload.
+function TestSeedDeterminism() {
+  let storage = window.sessionStorage;
+  let skylink = getConfig().testModule;
+  let reads = [];
+  for (let i = 0; i < seedReads; i++) {
+    reads.push(readSeed());
+  }
+  return Promise.all(reads)
+    .then((seeds) => {
+      for (let seed of seeds) {
+        if (!sameBytes(seed, seeds[0])) {
+          throw new AssertionError(
+            'the seed of the test module changed between reads',
+            seeds[0],
+            seed
+          );
+        }
+      }
+      return sha256(seeds[0]);
+    })
+    .then((fingerprint) => {
+      let stored = readFingerprints(storage);
+      let previous = stored[skylink];
+      if (previous !== undefined && previous !== fingerprint) {
+        throw new AssertionError(
+          'the seed of the test module changed since the last page load, ' +
+            'forget the recorded fingerprints in the settings if another ' +
+            'account logged in',
+          'sha256 ' + previous,
+          'sha256 ' + fingerprint
+        );
+      }
+      stored[skylink] = fingerprint;
+      storage.setItem(storageKey, JSON.stringify(stored));
+      let message = 'the seed was the same in ' + seedReads + ' reads';
+      if (previous === undefined) {
+        return message + ', reload the page to compare it across page loads';
+      }
+      return message + ' and matches the previous page load';
+    });
+}
+
+// TestSeedUniqueness checks that the test module and the helper module have
+// different seeds. The modules compare their seeds with each other through
+// viewHelperSeed and viewOwnSeedThroughHelper, as the page cannot read the
+// seed of the helper module. The seed of the test module is also refused if
+// it is a single repeated byte, because then it cannot have been derived from
+// a user seed.
+function TestSeedUniqueness() {
+  let skylink = getConfig().testModule;
+  let shape = { message: 'string' };
+  return expectCall(skylink, 'viewHelperSeed', {}, shape)
+    .then(() => expectCall(skylink, 'viewOwnSeedThroughHelper', {}, shape))
+    .then(() => readSeed())
+    .then((seed) => {
+      if (seed.every((b) => b === seed[0])) {
+        throw new AssertionError(
+          'the seed of the test module is a single repeated byte',
+          'a random seed',
+          seed
+        );
+      }
+      return 'the modules have different seeds and agree on each other';
+    });
+}
+
+// exposureCalls are the calls that have no reason to return a seed to the
+// webpage, TestSeedNotExposed makes each of them. The viewSeed method of the
+// helper module is among them: only the test module may read that seed.
+// Calls that are expected to fail check that error messages do not include
+// seeds either. Most of them are refused by the kernel before they reach a
+// module, such as presentSeed and the calls without a method, so they do not
+// leave errors in the logs of the modules.
+const exposureCalls = [
+  ['test module', 'sendTestToKernel'],
+  ['test module', 'viewHelperSeed'],
+  ['test module', 'viewOwnSeedThroughHelper'],
+  ['test module', 'mirrorDomain'],
+  ['test module', 'testerMirrorDomain'],
+  ['test module', 'viewErrors'],
+  ['test module', 'presentSeed'],
+  ['test module', null],
+  ['helper module', 'viewSeed'],
+  ['helper module', 'mirrorDomain'],
+  ['helper module', 'viewErrors'],
+  ['helper module', 'presentSeed'],
+  ['helper module', null],
+];
+
+// encodings returns the ways a seed could appear in a message: hex, base64,
+// base64url and decimal bytes joined by commas.
+function encodings(seed) {
+  let hex = Array.from(seed)
+    .map((b) => b.toString(16).padStart(2, '0'))
+    .join('');
+  let base64 = window.btoa(String.fromCharCode(...seed)).replace(/=+$/, '');
+  let base64url = base64.replace(/\+/g, '-').replace(/\//g, '_');
+  return [hex, base64, base64url, Array.from(seed).join(',')];
+}
+
+// containsBytes checks whether needle appears anywhere in haystack.
+function containsBytes(haystack, needle) {
+  for (let i = 0; i + needle.length <= haystack.length; i++) {
+    if (sameBytes(haystack.slice(i, i + needle.length), needle)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+// findSeed searches a response for any of the seeds and returns the path at
+// which one was found, or null. Nesting deeper than a few levels is not
+// searched, responses of the exposure calls are small.
+export function findSeed(value, seeds, path = 'response', depth = 0) {
+  if (typeof value === 'string') {
+    let lower = value.toLowerCase();
+    for (let seed of seeds) {
+      let [hex, ...others] = encodings(seed);
+      if (lower.includes(hex) || others.some((e) => value.includes(e))) {
+        return path;
+      }
+    }
+    return null;
+  }
+  if (value instanceof Uint8Array) {
+    return seeds.some((seed) => containsBytes(value, seed)) ? path : null;
+  }
+  if (typeof value !== 'object' || value === null || depth > 8) {
+    return null;
+  }
+  if (Array.isArray(value) && value.every((x) => typeof x === 'number')) {
+    if (seeds.some((seed) => containsBytes(value, seed))) {
+      return path;
+    }
+  }
+  for (let [key, child] of Object.entries(value)) {
+    let found = findSeed(child, seeds, path + '.' + key, depth + 1);
+    if (found !== null) {
+      return found;
+    }
+  }
+  return null;
+}
+
+// exposedSeed finds a seed in a response: the seed of the test module in any
+// encoding, or a 'seed' field of 16 bytes, which is how the viewSeed methods
+// return a seed. The page does not know the seed of the helper module, so the
+// field is what gives it away.
+function exposedSeed(data, seed) {
+  let found = findSeed(data, [seed]);
+  if (found !== null) {
+    return found;
+  }
+  let field = data !== null && typeof data === 'object' ? data.seed : null;
+  if (field instanceof Uint8Array && field.length === 16) {
+    return 'response.seed';
+  }
+  return null;
+}
+
+// TestSeedNotExposed makes every call in exposureCalls and checks that no
+// seed appears in a response or an error. The seed of the test module is read
+// through its viewSeed method, which exists to return it.
+function TestSeedNotExposed(ctx) {
+  let byName = Object.fromEntries(modules().map((m) => [m.name, m]));
+  return readSeed().then((seed) => {
+    let exposed = [];
+    let done = 0;
+    let calls = exposureCalls.map(([name, method]) =>
+      kernel
+        .callModule(byName[name].skylink, method, {})
+        .then(
+          (data) => exposedSeed(data, seed),
+          (err) => findSeed(errorMessage(err), [seed], 'error')
+        )
+        .then((found) => {
+          if (found !== null) {
+            exposed.push(name + ' ' + (method || 'no method') + ' ' + found);
+          }
+          done += 1;
+          ctx.progress(done, exposureCalls.length);
+        })
+    );
+    return Promise.all(calls).then(() => {
+      if (exposed.length > 0) {
+        throw new AssertionError(
+          'a seed was exposed to the webpage',
+          'a seed only in the viewSeed response of the test module',
+          exposed.join('; ')
+        );
+      }
+      return (
+        'no seed appeared in the responses and errors of ' +
+        calls.length +
+        ' calls'
+      );
+    });
+  });
+}
+
+// TestReservedMethods calls every method in reservedMethods on both modules
+// and checks that the kernel refuses each call as a forbidden method. If a
+// call gets through, the module receives a message that only the kernel may
+// send, which TestModuleHasErrors may also notice.
+function TestReservedMethods(ctx) {
+  let calls = [];
+  for (let module of modules()) {
+    for (let method of reservedMethods) {
+      calls.push({ module, method });
+    }
+  }
+  let refused = Promise.resolve();
+  calls.forEach(({ module, method }, i) => {
+    refused = refused
+      .then(() =>
+        expectKernelError(
+          kernel.callModule(module.skylink, method, {
+            seed: new Uint8Array(16),
+          }),
+          'forbidden',
+          new RegExp(method + ' is a privileged method'),
+          'calling ' + method + ' on the ' + module.name
+        )
+      )
+      .then(() => ctx.progress(i + 1, calls.length));
+  });
+  return refused.then(
+    () =>
+      'the kernel refused ' + reservedMethods.join(', ') + ' on both modules'
+  );
+}
+
+// securityTests lists the entries for testCardValues. Every test is tagged
+// 'security' and shown in the 'security' category.
+export const securityTests = [
+  {
+    name: 'TestSeedDeterminism',
+    test: TestSeedDeterminism,
+    tags: ['security', 'seeds'],
+  },
+  {
+    name: 'TestSeedUniqueness',
+    test: TestSeedUniqueness,
+    tags: ['security', 'seeds'],
+  },
+  {
+    name: 'TestSeedNotExposed',
+    test: TestSeedNotExposed,
+    tags: ['security', 'seeds'],
+  },
+  {
+    name: 'TestReservedMethods',
+    test: TestReservedMethods,
+    tags: ['security', 'negative'],
+  },
+].map((entry) => ({
+  ...entry,
+  category: 'security',
+  dependsOn: ['TestLibkernelInit'],
+}));
@@ -0,0 +1,95 @@
+import {
+  findSeed,
+  forgetSeedFingerprints,
+  reservedMethods,
+  securityTests,
+} from './security';
+import { setKernel } from './kernel';
+import { newMockKernel } from './mockKernel';
+import { runTest } from './runner';
+
+afterEach(() => {
+  window.sessionStorage.clear();
+});
+
+// runSecurityTest runs one of the security tests by name.
+function runSecurityTest(name) {
+  return runTest(securityTests.find((t) => t.name === name));
+}
+
+test('the security tests pass against the mock kernel', async () => {
+  setKernel(newMockKernel());
+  for (let { name } of securityTests) {
+    let result = await runSecurityTest(name);
+    expect([name, result.status]).toEqual([name, 'pass']);
+  }
+});
+
+test('TestSeedDeterminism compares seeds across page loads', async () => {
+  setKernel(newMockKernel());
+  let first = await runSecurityTest('TestSeedDeterminism');
+  expect(first.message).toMatch(/reload the page/);
+  let second = await runSecurityTest('TestSeedDeterminism');
+  expect(second.message).toMatch(/matches the previous page load/);
+
+  // A different seed for the same module is noticed after the reload.
+  let stored = JSON.parse(
+    window.sessionStorage.getItem('libkernel-test-seed-fingerprints')
+  );
+  expect(Object.keys(stored)).toHaveLength(1);
+  for (let value of Object.values(stored)) {
+    expect(value).toMatch(/^[0-9a-f]{64}$/);
+  }
+  for (let skylink of Object.keys(stored)) {
+    stored[skylink] = '00'.repeat(32);
+  }
+  window.sessionStorage.setItem(
+    'libkernel-test-seed-fingerprints',
+    JSON.stringify(stored)
+  );
+  let changed = await runSecurityTest('TestSeedDeterminism');
+  expect(changed.status).toBe('fail');
+  expect(changed.message).toMatch(/changed since the last page load/);
+  // After switching accounts the fingerprints are forgotten.
+  forgetSeedFingerprints();
+  let forgotten = await runSecurityTest('TestSeedDeterminism');
+  expect(forgotten.status).toBe('pass');
+  expect(forgotten.message).toMatch(/reload the page/);
+});
+
+test('findSeed finds seeds in any encoding', () => {
+  let seed = new Uint8Array([
+    251, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 255,
+  ]);
+  let hex = 'fb0102030405060708090a0b0c0d0eff';
+  let base64 = window.btoa(String.fromCharCode(...seed));
+  expect(findSeed({ message: 'fine' }, [seed])).toBeNull();
+  expect(findSeed({ a: { b: seed.slice() } }, [seed])).toBe('response.a.b');
+  expect(findSeed({ list: [0, ...seed, 0] }, [seed])).toBe('response.list');
+  expect(findSeed({ m: 'seed ' + hex.toUpperCase() }, [seed])).toBe(
+    'response.m'
+  );
+  expect(findSeed('seed is ' + base64, [seed], 'error')).toBe('error');
+  expect(
+    findSeed({ m: base64.replace(/\+/g, '-').replace(/\//g, '_') }, [seed])
+  ).toBe('response.m');
+  expect(findSeed({ m: Array.from(seed).join(',') }, [seed])).toBe(
+    'response.m'
+  );
+});
+
+test('TestReservedMethods fails if a reserved method gets through', async () => {
+  let mock = newMockKernel();
+  setKernel({
+    ...mock,
+    callModule: (module, method, data) =>
+      method === reservedMethods[0]
+        ? Promise.resolve({})
+        : mock.callModule(module, method, data),
+  });
+  let result = await runSecurityTest('TestReservedMethods');
+  expect(result.status).toBe('fail');
+  expect(result.message).toMatch(
+    'calling ' + reservedMethods[0] + ' on the test module was expected to fail'
+  );
+});
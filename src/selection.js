@@ -0,0 +1,174 @@
+// selection.js decides which tests run. The selection is stored in the query
+// string of the page so that a link can be shared which runs only some of the
+// tests, for example '?tags=seeds' or
+// '?tests=TestLibkernelInit,TestMirrorDomain'. A text filter can be stored
+// alongside it with '?filter=...', the number of tests to run in parallel with
+// '?concurrency=...' and the number of times a failing test is retried with
+// '?retries=...'.
+//
+// Tests marked 'optIn' are left out of the default selection. They need
+// something that a default setup does not have, such as a build of the test
+// module with methods that the published one lacks, and only run when they
+// are selected explicitly: by name or tag in the query string, or on the page.
+
+// listTags returns every tag used by the tests, in the order they first
+// appear.
+export function listTags(tests) {
+  let tags = [];
+  for (let test of tests) {
+    for (let tag of test.tags || []) {
+      if (!tags.includes(tag)) {
+        tags.push(tag);
+      }
+    }
+  }
+  return tags;
+}
+
+// defaultCategory is the category of tests that do not set one.
+export const defaultCategory = 'general';
+
+// groupByCategory splits tests into the groups shown on the page, in the order
+// that the categories first appear. It returns a list of the form:
+//   [{ category, tests }]
+export function groupByCategory(tests) {
+  let groups = [];
+  for (let test of tests) {
+    let category = test.category || defaultCategory;
+    let group = groups.find((g) => g.category === category);
+    if (group === undefined) {
+      group = { category, tests: [] };
+      groups.push(group);
+    }
+    group.tests.push(test);
+  }
+  return groups;
+}
+
+// parseList splits a comma separated query parameter.
+function parseList(value) {
+  if (value === null) {
+    return [];
+  }
+  return value
+    .split(',')
+    .map((x) => x.trim())
+    .filter((x) => x !== '');
+}
+
+// defaultSelection returns the names of the tests that run by default, which
+// are all tests except the opt-in ones.
+export function defaultSelection(tests) {
+  return tests.filter((t) => !t.optIn).map((t) => t.name);
+}
+
+// parseSelection returns the names of the tests selected by a query string.
+// The 'tests' and 'tags' parameters are combined; if neither is present the
+// default selection is used.
+export function parseSelection(search, tests) {
+  let params = new URLSearchParams(search);
+  if (!params.has('tests') && !params.has('tags')) {
+    return defaultSelection(tests);
+  }
+  let names = parseList(params.get('tests'));
+  let tags = parseList(params.get('tags'));
+  return tests
+    .filter(
+      (t) =>
+        names.includes(t.name) ||
+        (t.tags || []).some((tag) => tags.includes(tag))
+    )
+    .map((t) => t.name);
+}
+
+// unknownSelection returns the names from the 'tests' parameter of a query
+// string that match no test and the tags from the 'tags' parameter that no
+// test has. parseSelection drops them, which would let a typo select nothing.
+export function unknownSelection(search, tests) {
+  let params = new URLSearchParams(search);
+  let names = parseList(params.get('tests')).filter(
+    (name) => !tests.some((t) => t.name === name)
+  );
+  let tags = listTags(tests);
+  return names.concat(
+    parseList(params.get('tags')).filter((tag) => !tags.includes(tag))
+  );
+}
+
+// parseFilter returns the text filter stored in a query string.
+export function parseFilter(search) {
+  return new URLSearchParams(search).get('filter') || '';
+}
+
+// parseConcurrency returns the number of tests to run in parallel that is
+// stored in a query string. The default of 1 runs tests sequentially.
+export function parseConcurrency(search) {
+  let concurrency = Number(new URLSearchParams(search).get('concurrency'));
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    return 1;
+  }
+  return concurrency;
+}
+
+// parseRetries returns the number of times a failing test is run again that
+// is stored in a query string, see runWithRetries in runner.js. Tests that set
+// their own number of retries are not affected. The default is 0.
+export function parseRetries(search) {
+  let retries = Number(new URLSearchParams(search).get('retries'));
+  if (!Number.isInteger(retries) || retries < 0) {
+    return 0;
+  }
+  return retries;
+}
+
+// selectionToSearch stores a selection, a filter, a concurrency and a number
+// of retries in a query string, keeping any unrelated parameters. Values that
+// match the defaults, including the default selection, are left out so that
+// the default link stays short.
+export function selectionToSearch(
+  search,
+  selected,
+  filter,
+  concurrency,
+  retries,
+  tests
+) {
+  let params = new URLSearchParams(search);
+  params.delete('tests');
+  params.delete('tags');
+  params.delete('filter');
+  params.delete('concurrency');
+  params.delete('retries');
+  let names = tests.map((t) => t.name).filter((n) => selected.includes(n));
+  let defaults = defaultSelection(tests);
+  if (
+    names.length !== defaults.length ||
+    names.some((n) => !defaults.includes(n))
+  ) {
+    params.set('tests', names.join(','));
+  }
+  if (filter !== '') {
+    params.set('filter', filter);
+  }
+  if (concurrency !== 1) {
+    params.set('concurrency', String(concurrency));
+  }
+  if (retries !== 0) {
+    params.set('retries', String(retries));
+  }
+  let encoded = params.toString().replace(/%2C/g, ',');
+  return encoded === '' ? '' : '?' + encoded;
+}
+
+// matchesFilter checks whether a test matches a text filter, either by name
+// or by one of its tags. Matching ignores case.
+export function matchesFilter(test, filter) {
+  let text = filter.trim().toLowerCase();
+  if (text === '') {
+    return true;
+  }
+  if (test.name.toLowerCase().includes(text)) {
+    return true;
+  }
+  return (test.tags || []).some((tag) => tag.toLowerCase().includes(text));
+}
@@ -0,0 +1,126 @@
+import {
+  defaultSelection,
+  groupByCategory,
+  listTags,
+  matchesFilter,
+  parseConcurrency,
+  parseFilter,
+  parseRetries,
+  parseSelection,
+  selectionToSearch,
+  unknownSelection,
+} from './selection';
+
+let tests = [
+  { name: 'TestA', tags: ['bridge'] },
+  { name: 'TestB', tags: ['seeds', 'negative'] },
+  { name: 'TestC', tags: ['seeds'] },
+];
+
+test('listTags lists each tag once in order', () => {
+  expect(listTags(tests)).toEqual(['bridge', 'seeds', 'negative']);
+});
+
+test('groupByCategory keeps the order of the first test of each category', () => {
+  let groups = groupByCategory([
+    { name: 'TestA' },
+    { name: 'TestB', category: 'security' },
+    { name: 'TestC' },
+  ]);
+  expect(groups.map((g) => [g.category, g.tests.map((t) => t.name)])).toEqual([
+    ['general', ['TestA', 'TestC']],
+    ['security', ['TestB']],
+  ]);
+});
+
+test('parseSelection combines tests and tags', () => {
+  expect(parseSelection('', tests)).toEqual(['TestA', 'TestB', 'TestC']);
+  expect(parseSelection('?tags=seeds', tests)).toEqual(['TestB', 'TestC']);
+  expect(parseSelection('?tests=TestA&tags=negative', tests)).toEqual([
+    'TestA',
+    'TestB',
+  ]);
+  expect(parseSelection('?tests=', tests)).toEqual([]);
+});
+
+test('unknownSelection lists names and tags that match no test', () => {
+  expect(unknownSelection('', tests)).toEqual([]);
+  expect(unknownSelection('?tests=TestA&tags=seeds', tests)).toEqual([]);
+  expect(
+    unknownSelection('?tests=TestA,TestLibkernalInit&tags=seed', tests)
+  ).toEqual(['TestLibkernalInit', 'seed']);
+});
+
+test('opt-in tests only run when selected explicitly', () => {
+  let withOptIn = [...tests, { name: 'TestD', tags: ['seeds'], optIn: true }];
+  expect(defaultSelection(withOptIn)).toEqual(['TestA', 'TestB', 'TestC']);
+  expect(parseSelection('', withOptIn)).toEqual(['TestA', 'TestB', 'TestC']);
+  expect(parseSelection('?tests=TestD', withOptIn)).toEqual(['TestD']);
+  expect(parseSelection('?tags=seeds', withOptIn)).toEqual([
+    'TestB',
+    'TestC',
+    'TestD',
+  ]);
+  expect(
+    selectionToSearch('', ['TestA', 'TestB', 'TestC'], '', 1, 0, withOptIn)
+  ).toBe('');
+  expect(
+    selectionToSearch(
+      '',
+      ['TestA', 'TestB', 'TestC', 'TestD'],
+      '',
+      1,
+      0,
+      withOptIn
+    )
+  ).toBe('?tests=TestA,TestB,TestC,TestD');
+});
+
+test('selectionToSearch round trips and keeps other parameters', () => {
+  let search = selectionToSearch(
+    '?kernel=mock&tags=seeds',
+    ['TestC', 'TestA'],
+    'seed',
+    4,
+    2,
+    tests
+  );
+  expect(search).toBe(
+    '?kernel=mock&tests=TestA,TestC&filter=seed&concurrency=4&retries=2'
+  );
+  expect(parseSelection(search, tests)).toEqual(['TestA', 'TestC']);
+  expect(parseFilter(search)).toBe('seed');
+  expect(parseConcurrency(search)).toBe(4);
+  expect(parseRetries(search)).toBe(2);
+  expect(
+    selectionToSearch(
+      '?tests=TestA&retries=1',
+      ['TestA', 'TestB', 'TestC'],
+      '',
+      1,
+      0,
+      tests
+    )
+  ).toBe('');
+});
+
+test('matchesFilter matches names and tags without case', () => {
+  expect(matchesFilter(tests[0], '')).toBe(true);
+  expect(matchesFilter(tests[0], 'testa')).toBe(true);
+  expect(matchesFilter(tests[1], 'NEG')).toBe(true);
+  expect(matchesFilter(tests[2], 'bridge')).toBe(false);
+});
+
+test('parseConcurrency defaults to sequential', () => {
+  expect(parseConcurrency('')).toBe(1);
+  expect(parseConcurrency('?concurrency=0')).toBe(1);
+  expect(parseConcurrency('?concurrency=abc')).toBe(1);
+  expect(parseConcurrency('?concurrency=8')).toBe(8);
+});
+
+test('parseRetries defaults to no retries', () => {
+  expect(parseRetries('')).toBe(0);
+  expect(parseRetries('?retries=-1')).toBe(0);
+  expect(parseRetries('?retries=1.5')).toBe(0);
+  expect(parseRetries('?retries=3')).toBe(3);
+});
@@ -3,3 +3,22 @@
 // expect(element).toHaveTextContent(/react/i)
 // learn more: https://github.com/testing-library/jest-dom
 import '@testing-library/jest-dom';
+
+import { webcrypto } from 'crypto';
+// jsdom does not provide TextEncoder/TextDecoder, which the upload tests use.
+import { TextDecoder, TextEncoder } from 'util';
+
+import { getKernel, setKernel } from './kernel';
+global.TextEncoder = TextEncoder;
+global.TextDecoder = TextDecoder;
+
+// jsdom does not provide crypto.subtle, which the transfer tests use to hash
+// files.
+global.crypto = webcrypto;
+
+// Tests swap in the mock kernel with setKernel, the real one is restored after
+// each test.
+const realKernel = getKernel();
+afterEach(() => {
+  setKernel(realKernel);
+});
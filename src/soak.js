@@ -0,0 +1,290 @@
+import { summarizeSamples } from './benchmark';
+import { getConfig } from './config';
+import { errorMessage } from './errors';
+import * as kernel from './kernel';
+
+// soak.js drives the kernel at a steady rate for a long time to surface
+// problems that a short burst of messages does not, such as responses that
+// slowly get slower or memory that is never released. The speed tests send a
+// fixed number of messages as fast as possible and stop; a soak run instead
+// spreads its operations evenly over its duration and takes a sample at a
+// fixed interval. Every sample records the latency of the operations that
+// completed in its interval and the memory used by the page, which Chrome
+// reports through performance.memory. Other browsers do not report memory,
+// so their samples only have latencies.
+//
+// After the run, analyzeSoak compares the start of the run with its end and
+// reports latency drift and memory growth.
+
+// soakWorkloads are the operations a soak run can drive. Each run resolves
+// once the operation has completed and rejects if it failed.
+export const soakWorkloads = [
+  {
+    name: 'testMessage',
+    run: () => kernel.testMessage(),
+  },
+  {
+    name: 'callModule',
+    run: () => kernel.callModule(getConfig().testModule, 'mirrorDomain', {}),
+  },
+  {
+    // A connectModule stream receives three responseUpdates before the
+    // response, see TestResponseUpdates.
+    name: 'connectModule',
+    run: () => {
+      let [, query] = kernel.connectModule(
+        getConfig().testModule,
+        'testResponseUpdate',
+        {},
+        () => {}
+      );
+      return query;
+    },
+  },
+];
+
+// tickInterval is how often, in milliseconds, a soak run issues the
+// operations that are due.
+const tickInterval = 20;
+
+// maxInFlightSeconds limits how many operations may wait for the kernel at
+// once, as the number of seconds of operations at the configured rate. When
+// the kernel falls further behind, operations are skipped instead of piling
+// up without bound.
+const maxInFlightSeconds = 10;
+
+// drainTimeout is how long a finished run waits for the operations that are
+// still in flight.
+const drainTimeout = 5000;
+
+// maxSoakErrors limits how many error messages a run keeps.
+const maxSoakErrors = 10;
+
+// driftFactor and driftMinimum decide when latency has drifted: the latency
+// at the end of the run must be driftFactor times the latency at the start,
+// and at least driftMinimum milliseconds higher, so that noise on very fast
+// operations is not reported.
+const driftFactor = 1.5;
+const driftMinimum = 1;
+
+// growthFactor and growthMinimum decide when memory has grown, in the same
+// way as for latency drift. growthMinimum is in bytes.
+const growthFactor = 1.25;
+const growthMinimum = 8 * 1024 * 1024;
+
+// pageMemory returns the bytes of JavaScript heap used by the page, or null if
+// the browser does not report it.
+function pageMemory() {
+  let memory = window.performance && window.performance.memory;
+  return memory ? memory.usedJSHeapSize : null;
+}
+
+// runSoak runs the named workloads for duration milliseconds, issuing rate
+// operations per second in total, shared evenly between the workloads. A
+// sample is taken every sampleInterval milliseconds and passed to onSample as
+// it is taken. Each sample has the form:
+//   { time, completed, failed, latency, memory }
+// where time is the end of the interval in milliseconds since the start,
+// completed and failed count the operations that finished in the interval,
+// latency maps each workload to the summary of its latencies, as returned by
+// summarizeSamples, or null if none of its operations completed, and memory
+// is the result of pageMemory.
+//
+// The run ends early when shouldStop returns true. The promise resolves with:
+//   { workloads, rate, duration, samples, issued, completed, failed,
+//     skipped, unfinished, errors, findings }
+// where skipped counts operations that were not issued because too many were
+// still in flight, unfinished counts operations that had not finished when
+// the run ended, errors are the first few error messages and findings are
+// the result of analyzeSoak.
+export function runSoak({
+  workloads = soakWorkloads.map((w) => w.name),
+  rate = 50,
+  duration = 60000,
+  sampleInterval = 1000,
+  onSample,
+  shouldStop = () => false,
+} = {}) {
+  return new Promise((resolve, reject) => {
+    let active = soakWorkloads.filter((w) => workloads.includes(w.name));
+    if (active.length === 0) {
+      reject('no workloads selected');
+      return;
+    }
+    let maxInFlight = Math.max(1, rate * maxInFlightSeconds);
+    let start = performance.now();
+    let lastSample = start;
+    let samples = [];
+    let totals = { issued: 0, completed: 0, failed: 0, skipped: 0 };
+    let inFlight = 0;
+    let errors = [];
+    let finished = false;
+    let interval = null;
+
+    let newWindow = () => ({
+      completed: 0,
+      failed: 0,
+      latencies: Object.fromEntries(active.map((w) => [w.name, []])),
+    });
+    let current = newWindow();
+
+    let issue = function (workload) {
+      totals.issued += 1;
+      inFlight += 1;
+      let opStart = performance.now();
+      let settle = function (ok, err) {
+        inFlight -= 1;
+        if (finished) {
+          return;
+        }
+        if (ok) {
+          current.completed += 1;
+          totals.completed += 1;
+          current.latencies[workload.name].push(performance.now() - opStart);
+        } else {
+          current.failed += 1;
+          totals.failed += 1;
+          if (errors.length < maxSoakErrors) {
+            errors.push(workload.name + ': ' + errorMessage(err));
+          }
+        }
+      };
+      new Promise((res) => res(workload.run())).then(
+        () => settle(true),
+        (err) => settle(false, err)
+      );
+    };
+
+    let takeSample = function (now) {
+      let latency = {};
+      for (let [name, list] of Object.entries(current.latencies)) {
+        latency[name] = list.length === 0 ? null : summarizeSamples(list);
+      }
+      let sample = {
+        time: now - start,
+        completed: current.completed,
+        failed: current.failed,
+        latency,
+        memory: pageMemory(),
+      };
+      samples.push(sample);
+      current = newWindow();
+      lastSample = now;
+      if (onSample) {
+        onSample(sample);
+      }
+    };
+
+    let finish = function () {
+      finished = true;
+      resolve({
+        workloads: active.map((w) => w.name),
+        rate,
+        duration: lastSample - start,
+        samples,
+        ...totals,
+        unfinished: inFlight,
+        errors,
+        findings: analyzeSoak(samples),
+      });
+    };
+
+    // drain waits for the operations in flight so that their latencies are
+    // part of the last sample, but not longer than drainTimeout.
+    let drain = function () {
+      let drainStart = performance.now();
+      let check = function () {
+        let now = performance.now();
+        if (inFlight > 0 && now - drainStart < drainTimeout) {
+          setTimeout(check, tickInterval);
+          return;
+        }
+        takeSample(now);
+        finish();
+      };
+      check();
+    };
+
+    let tick = function () {
+      let now = performance.now();
+      let elapsed = now - start;
+      if (elapsed >= duration || shouldStop()) {
+        clearInterval(interval);
+        drain();
+        return;
+      }
+      let due = Math.floor((elapsed * rate) / 1000);
+      while (totals.issued + totals.skipped < due) {
+        let i = totals.issued + totals.skipped;
+        if (inFlight >= maxInFlight) {
+          totals.skipped += due - i;
+          break;
+        }
+        issue(active[i % active.length]);
+      }
+      if (now - lastSample >= sampleInterval) {
+        takeSample(now);
+      }
+    };
+    interval = setInterval(tick, tickInterval);
+  });
+}
+
+// quarterMeans returns the mean of the first and the last quarter of a list
+// of values, or null if there are too few values to compare. Comparing
+// quarters instead of single samples smooths out garbage collection and
+// network hiccups.
+function quarterMeans(values) {
+  if (values.length < 4) {
+    return null;
+  }
+  let size = Math.floor(values.length / 4);
+  let mean = (list) => list.reduce((sum, x) => sum + x, 0) / list.length;
+  return [mean(values.slice(0, size)), mean(values.slice(-size))];
+}
+
+// grew checks whether a value grew from 'from' to 'to' by at least factor
+// times and by at least minimum.
+function grew(from, to, factor, minimum) {
+  return to >= from * factor && to - from >= minimum;
+}
+
+// analyzeSoak compares the start of a run with its end and returns a list of
+// findings as text: workloads whose median latency drifted upwards, memory
+// growth of the page and failed operations. An empty list means that nothing
+// suspicious was found.
+export function analyzeSoak(samples) {
+  let findings = [];
+  let names = samples.length === 0 ? [] : Object.keys(samples[0].latency);
+  for (let name of names) {
+    let medians = samples
+      .map((s) => s.latency[name])
+      .filter((l) => l !== null)
+      .map((l) => l.median);
+    let means = quarterMeans(medians);
+    if (means !== null && grew(...means, driftFactor, driftMinimum)) {
+      findings.push(
+        name +
+          ' latency drifted from ' +
+          means[0].toFixed(2) +
+          'ms to ' +
+          means[1].toFixed(2) +
+          'ms'
+      );
+    }
+  }
+  let memory = quarterMeans(
+    samples.map((s) => s.memory).filter((m) => m !== null)
+  );
+  if (memory !== null && grew(...memory, growthFactor, growthMinimum)) {
+    let mib = (bytes) => (bytes / 1024 / 1024).toFixed(1) + ' MiB';
+    findings.push(
+      'page memory grew from ' + mib(memory[0]) + ' to ' + mib(memory[1])
+    );
+  }
+  let failed = samples.reduce((sum, s) => sum + s.failed, 0);
+  if (failed > 0) {
+    findings.push(failed + ' operations failed');
+  }
+  return findings;
+}
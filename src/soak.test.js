@@ -0,0 +1,95 @@
+import { setKernel } from './kernel';
+import { newMockKernel } from './mockKernel';
+import { analyzeSoak, runSoak } from './soak';
+
+// sample builds a sample with the given median latency of 'testMessage' and
+// memory.
+function sample(time, median, memory = null, failed = 0) {
+  return {
+    time,
+    completed: 10,
+    failed,
+    latency: { testMessage: median === null ? null : { median } },
+    memory,
+  };
+}
+
+test('analyzeSoak reports latency drift, memory growth and failures', () => {
+  let steady = [5, 5.2, 4.9, 5.1, 5, 5.3, 4.8, 5].map((m, i) =>
+    sample(i * 1000, m, 50e6)
+  );
+  expect(analyzeSoak(steady)).toEqual([]);
+  expect(analyzeSoak([])).toEqual([]);
+
+  let drifting = [5, 5, null, 6, 8, 9, 12, 13].map((m, i) =>
+    sample(i * 1000, m)
+  );
+  expect(analyzeSoak(drifting)).toEqual([
+    'testMessage latency drifted from 5.00ms to 13.00ms',
+  ]);
+
+  // Fast operations that double but stay below a millisecond are noise.
+  let fast = [0.1, 0.1, 0.2, 0.2].map((m, i) => sample(i * 1000, m));
+  expect(analyzeSoak(fast)).toEqual([]);
+
+  let mib = 1024 * 1024;
+  let leaking = [40, 42, 50, 60, 70, 80, 90, 100].map((m, i) =>
+    sample(i * 1000, 5, m * mib, i === 3 ? 2 : 0)
+  );
+  expect(analyzeSoak(leaking)).toEqual([
+    'page memory grew from 41.0 MiB to 95.0 MiB',
+    '2 operations failed',
+  ]);
+});
+
+test('runSoak drives every workload and samples latencies', async () => {
+  setKernel(newMockKernel());
+  let seen = [];
+  let result = await runSoak({
+    rate: 150,
+    duration: 400,
+    sampleInterval: 100,
+    onSample: (s) => seen.push(s),
+  });
+  expect(result.workloads).toEqual([
+    'testMessage',
+    'callModule',
+    'connectModule',
+  ]);
+  expect(result.failed).toBe(0);
+  expect(result.unfinished).toBe(0);
+  expect(result.completed).toBe(result.issued);
+  expect(result.completed).toBeGreaterThan(20);
+  expect(result.samples).toEqual(seen);
+  expect(seen.length).toBeGreaterThanOrEqual(3);
+  for (let name of result.workloads) {
+    expect(seen.some((s) => s.latency[name] !== null)).toBe(true);
+  }
+  // jsdom does not report memory.
+  expect(seen.every((s) => s.memory === null)).toBe(true);
+  expect(result.findings).toEqual([]);
+});
+
+test('runSoak records failures and stops when asked', async () => {
+  setKernel(newMockKernel({ bridge: false }));
+  let stop = false;
+  let result = await runSoak({
+    workloads: ['testMessage'],
+    rate: 100,
+    duration: 60000,
+    sampleInterval: 50,
+    onSample: () => {
+      stop = true;
+    },
+    shouldStop: () => stop,
+  });
+  expect(result.duration).toBeLessThan(1000);
+  expect(result.completed).toBe(0);
+  expect(result.failed).toBe(result.issued);
+  expect(result.errors[0]).toMatch(/^testMessage: .*bridge failed/);
+  expect(result.findings).toEqual([result.failed + ' operations failed']);
+
+  await expect(runSoak({ workloads: [] })).rejects.toBe(
+    'no workloads selected'
+  );
+});
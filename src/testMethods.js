@@ -1,4 +1,43 @@
-import * as kernel from 'libkernel';
+import {
+  AssertionError,
+  expectBytesEqual,
+  expectCall,
+  expectEqual,
+  expectError,
+  expectField,
+  expectKernelError,
+  expectShape,
+} from './assert';
+import {
+  getConfig,
+  isResolverLink,
+  malformedModule,
+  missingModule,
+  validateSkylink,
+} from './config';
+import { loadContracts } from './contracts';
+import { corsTargets, runCORSMatrix } from './cors';
+import contractSpecs from './contracts.json';
+import {
+  collectReport,
+  compareReports,
+  openProbe,
+  parseOrigins,
+} from './isolation';
+import * as kernel from './kernel';
+import { openQuery, queryCancelled } from './query';
+import { securityTests } from './security';
+import { transferCases, transferTests } from './transfers';
+
+// kernelTestSuite returns the skylink of the test module and helperModule the
+// skylink of the module it uses as a helper. Both can be configured, see
+// config.js.
+function kernelTestSuite() {
+  return getConfig().testModule;
+}
+function helperModule() {
+  return getConfig().helperModule;
+}
 
 // TestLibkernelInit will check the init function of libkernel. This tests that
 // the bridge script was loaded. If this fails, it either means the browser
@@ -24,103 +63,63 @@ function TestSendTestMessage() {
 // 		kernel => test module ->
 // 		kernel ->
 // 	background -> bridge -> webpage
-let kernelTestSuite = 'AQCPJ9WRzMpKQHIsPo8no3XJpUydcDCjw7VJy8lG1MCZ3g';
 function TestModuleHasSeed() {
-  return new Promise((resolve, reject) => {
-    kernel
-      .callModule(kernelTestSuite, 'viewSeed', {})
-      .then((data) => {
-        if (!('seed' in data)) {
-          reject('viewSeed in test module did not return a data.seed');
-          return;
-        }
-        console.log(data);
-        if (data.seed.length !== 16) {
-          reject(
-            'viewSeed in test module returned a seed with a non-standard length'
-          );
-          return;
-        }
-        resolve('viewSeed appears to have returned a standard seed');
-      })
-      .catch((err) => {
-        reject(err);
-      });
-  });
+  return expectCall(
+    kernelTestSuite(),
+    'viewSeed',
+    {},
+    { seed: { type: 'Uint8Array', length: 16 } }
+  ).then(() => 'viewSeed appears to have returned a standard seed');
 }
 
 // TestModuleLogging checks that the test suite module is capable of logging.
 // This test requires looking in the console of the kernel to see that the log
 // was printed correctly.
 function TestModuleLogging() {
-  return new Promise((resolve, reject) => {
-    kernel
-      .callModule(kernelTestSuite, 'testLogging', {})
-      .then((data) => {
-        resolve('test module has produced logs');
-      })
-      .catch((err) => {
-        reject(err);
-      });
-  });
+  return expectCall(kernelTestSuite(), 'testLogging', {}).then(
+    () => 'test module has produced logs'
+  );
 }
 
 // TestMissingModule checks that the kernel correctly handles a call to a
 // module that doesn't exist. For the module, we use the test module but with
-// the final character modified so that the hash doesn't actually point to
-// anything.
-let moduleDoesNotExist = 'AQCPJ9WRzMpKQHIsPo9no3XJpUydcDCjw7VJy8lG1MCZ3g';
+// one character modified so that the hash doesn't actually point to anything.
+// The call has to fail with a not found error, see errors.js; failing for any
+// other reason, such as a missing extension, fails the test.
 function TestMissingModule() {
-  return new Promise((resolve, reject) => {
-    kernel
-      .callModule(moduleDoesNotExist, 'viewSeed', {})
-      .then((data) => {
-        reject('kernel is supposed to return an error:' + JSON.stringify(data));
-      })
-      .catch((err) => {
-        resolve(err);
-      });
-  });
+  return expectKernelError(
+    kernel.callModule(missingModule(kernelTestSuite()), 'viewSeed', {}),
+    'notFound',
+    /moduleCall query to kernel failed: unable to load module/,
+    'calling a module that does not exist'
+  );
 }
 
 // TestMalformedModule checks that the kernel correctly handles a call to a
-// module that is using a malformed skylink.
-let moduleMalformed = 'AQCPJ9WRzMpKQHIsPo8no3XJpUydcDCjw7VJy8lG1MCZ3';
+// module that is using a malformed skylink. The call has to fail with a
+// malformed skylink error.
 function TestMalformedModule() {
-  return new Promise((resolve, reject) => {
-    kernel
-      .callModule(moduleMalformed, 'viewSeed', {})
-      .then((data) => {
-        reject('kernel is supposed to return an error');
-      })
-      .catch((err) => {
-        resolve(err);
-      });
-  });
+  return expectKernelError(
+    kernel.callModule(malformedModule(kernelTestSuite()), 'viewSeed', {}),
+    'malformed',
+    /'module' field in moduleCall is expected to be a base64 skylink/,
+    'calling a malformed skylink'
+  );
 }
 
 // TestModulePresentSeed attempts to send a 'presentSeed' method to the test
 // module. This is expected to fail because the kernel is not supposed to allow
-// external callers to use the 'presentSeed' method. If it succeeds, the test
-// module will log an error that TestModuleHasErrors will catch.
+// external callers to use the 'presentSeed' method, so the call has to fail
+// with a forbidden method error. If it succeeds, the test module will log an
+// error that TestModuleHasErrors will catch.
 function TestModulePresentSeed() {
-  return new Promise((resolve, reject) => {
-    let fakeSeed = new Uint8Array(16);
-    kernel
-      .callModule(kernelTestSuite, 'presentSeed', {
-        seed: fakeSeed,
-      })
-      .then((data) => {
-        // The reject and resolve get flipped because we want
-        // to trigger an error.
-        reject('expecting an error for using a forbidden method');
-      })
-      .catch((err) => {
-        // The reject and resolve get flipped because we want
-        // to trigger an error.
-        resolve('received expected error: ' + err);
-      });
-  });
+  let fakeSeed = new Uint8Array(16);
+  return expectKernelError(
+    kernel.callModule(kernelTestSuite(), 'presentSeed', { seed: fakeSeed }),
+    'forbidden',
+    /presentSeed is a privileged method/,
+    'calling the forbidden presentSeed method'
+  ).then((err) => 'received expected error: ' + err);
 }
 
 // TestModuleQueryKernel opens a query with the test module that has the test
@@ -135,20 +134,12 @@ function TestModulePresentSeed() {
 // 		kernel ->
 // 	background -> bridge -> webpage
 function TestModuleQueryKernel() {
-  return new Promise((resolve, reject) => {
-    kernel
-      .callModule(kernelTestSuite, 'sendTestToKernel', {})
-      .then((data) => {
-        if (!('kernelVersion' in data)) {
-          reject('expecting response to have a kernelVersion');
-          return;
-        }
-        resolve(data.kernelVersion);
-      })
-      .catch((err) => {
-        reject('callModule failed: ' + err);
-      });
-  });
+  return expectCall(
+    kernelTestSuite(),
+    'sendTestToKernel',
+    {},
+    { kernelVersion: 'string' }
+  ).then((data) => data.kernelVersion);
 }
 
 // TestModuleCheckHelperSeed opens a query with the test module to have the
@@ -161,20 +152,12 @@ function TestModuleQueryKernel() {
 // 		kernel -> test module ->
 // 	kernel -> background -> bridge -> webpage
 function TestModuleCheckHelperSeed() {
-  return new Promise((resolve, reject) => {
-    kernel
-      .callModule(kernelTestSuite, 'viewHelperSeed', {})
-      .then((data) => {
-        if (!('message' in data)) {
-          reject('expecting response to have a kernelVersion');
-          return;
-        }
-        resolve(data.message);
-      })
-      .catch((err) => {
-        reject('callModule failed: ' + err);
-      });
-  });
+  return expectCall(
+    kernelTestSuite(),
+    'viewHelperSeed',
+    {},
+    { message: 'string' }
+  ).then((data) => data.message);
 }
 
 // TestViewTesterSeedByHelper has the test module as the helper module to fetch
@@ -190,141 +173,150 @@ function TestModuleCheckHelperSeed() {
 // 		kernel -> test module ->
 // 	kernel -> background -> bridge -> webpage
 function TestViewTesterSeedByHelper() {
-  return new Promise((resolve, reject) => {
-    kernel
-      .callModule(kernelTestSuite, 'viewOwnSeedThroughHelper', {})
-      .then((data) => {
-        if (!('message' in data)) {
-          reject('expecting response to have a kernelVersion');
-          return;
-        }
-        resolve(data.message);
-      })
-      .catch((err) => {
-        reject('callModule failed: ' + err);
-      });
-  });
+  return expectCall(
+    kernelTestSuite(),
+    'viewOwnSeedThroughHelper',
+    {},
+    { message: 'string' }
+  ).then((data) => data.message);
 }
 
 // Check that the kernel is assigning the correct domain to the webpage.
 function TestMirrorDomain() {
-  return new Promise((resolve, reject) => {
-    kernel
-      .callModule(kernelTestSuite, 'mirrorDomain', {})
-      .then((data) => {
-        if (!('domain' in data)) {
-          reject('mirrorDomain did not return a domain');
-          return;
-        }
-        if (typeof data.domain !== 'string') {
-          reject('mirrorDomain returned wrong type: ' + typeof data.domain);
-          return;
-        }
-        if (data.domain !== window.location.hostname) {
-          reject(
-            'wrong domain\nexpected: ' +
-              window.location.hostname +
-              '\ngot: ' +
-              data.domain
-          );
-          return;
-        }
-        resolve('got expected domain: ' + data.domain);
-      })
-      .catch((err) => {
-        reject(err);
-      });
+  return expectCall(
+    kernelTestSuite(),
+    'mirrorDomain',
+    {},
+    { domain: { type: 'string', equals: window.location.hostname } }
+  ).then((data) => 'got expected domain: ' + data.domain);
+}
+
+// Check that the kernel is assigning the correct domain to other modules. The
+// test module asks the helper module for the domain of its caller, which must
+// be the skylink of the test module. A module loaded through a resolver link
+// may be given the skylink that the link resolved to as its domain, which the
+// page does not know, so then the domain only has to be a skylink.
+function TestTesterMirrorDomain() {
+  let skylink = kernelTestSuite();
+  if (!isResolverLink(skylink)) {
+    return expectCall(
+      skylink,
+      'testerMirrorDomain',
+      {},
+      { domain: { type: 'string', equals: skylink } }
+    ).then((data) => 'got expected domain: ' + data.domain);
+  }
+  return expectCall(
+    skylink,
+    'testerMirrorDomain',
+    {},
+    { domain: 'string' }
+  ).then((data) => {
+    if (validateSkylink(data.domain) !== null) {
+      throw new AssertionError(
+        'the domain of the test module is not a skylink',
+        'a skylink',
+        data.domain
+      );
+    }
+    return (
+      'got domain ' +
+      data.domain +
+      ' for the test module at resolver link ' +
+      skylink
+    );
   });
 }
 
-// Check that the kernel is assigning the correct domain to other modules.
-// function TestTesterMirrorDomain() {
-//   return new Promise((resolve, reject) => {
-//     kernel
-//       .callModule(kernelTestSuite, 'testerMirrorDomain', {})
-//       .then((data) => {
-//         if (!('domain' in data)) {
-//           reject('testerMirrorDomain did not return a domain');
-//           return;
-//         }
-//         if (typeof data.domain !== 'string') {
-//           reject(
-//             'testerMirrorDomain returned wrong type: ' + typeof data.domain
-//           );
-//           return;
-//         }
-//         if (data.domain !== kernelTestSuite) {
-//           reject(
-//             'wrong domain\nexpected: ' +
-//               kernelTestSuite +
-//               '\ngot: ' +
-//               data.domain
-//           );
-//           return;
-//         }
-//         resolve('got expected domain: ' + data.domain);
-//       })
-//       .catch((err) => {
-//         reject(err);
-//       });
-//   });
-// }
+// TestDomainIsolation checks that the kernel keeps webpages on different
+// origins apart, see isolation.js. The origins are listed in the 'origins'
+// query parameter; without it only the page itself is checked.
+function TestDomainIsolation(ctx) {
+  let origins = parseOrigins(window.location.search);
+  let mode = new URLSearchParams(window.location.search).get('probeWindow');
+  let total = origins.length + 1;
+  let done = 0;
+  let step = (report) => {
+    done += 1;
+    ctx.progress(done, total);
+    return report;
+  };
+  // Probes are opened one at a time so that popups do not pile up.
+  let reports = collectReport().then((own) => [step(own)]);
+  for (let origin of origins) {
+    reports = reports.then((list) =>
+      openProbe(origin, mode || 'iframe')
+        .then(step)
+        .then((report) => [...list, report])
+    );
+  }
+  return reports.then((list) => {
+    let { problems, notes } = compareReports(list);
+    if (problems.length > 0) {
+      throw new AssertionError(
+        'origins are not isolated',
+        'every origin gets its own domain and the same test module seed',
+        problems.join('; ')
+      );
+    }
+    if (origins.length === 0) {
+      return (
+        'only ' +
+        list[0].origin +
+        ' was checked, add other origins with the origins query parameter'
+      );
+    }
+    return [
+      total + ' origins are isolated: ' + list.map((r) => r.origin).join(', '),
+      ...notes,
+    ].join('\n');
+  });
+}
 
 // Check that the kernel is rejecting moduleCall messages that don't include a
-// method field.
+// method field, with a missing field error. libkernel sends the missing method
+// as null, which the kernel reports as a method that is not a string.
 function TestMethodFieldRequired() {
-  return new Promise((resolve, reject) => {
-    kernel
-      .callModule(kernelTestSuite, null, {})
-      .then((data) => {
-        reject('expecting a call to the kernel with no method to fail');
-      })
-      .catch((err) => {
-        resolve('kernel failed when there was a call with no method: ' + err);
-      });
-  });
+  return expectKernelError(
+    kernel.callModule(kernelTestSuite(), null, {}),
+    'missingField',
+    /'data\.method' needs to be a string/,
+    'calling the kernel with no method'
+  ).then((err) => 'kernel failed when there was a call with no method: ' + err);
 }
 
 // TestResponseUpdates checks that modules can successfully send responseUpdate
-// messages.
-function TestResponseUpdates() {
+// messages. Every update is shown on the test card as it arrives.
+function TestResponseUpdates(ctx) {
   return new Promise((resolve, reject) => {
     let progress = 0;
     let receiveUpdate = function (data) {
-      if (!('eventProgress' in data)) {
-        reject('eventProgress not provided in response');
-        return;
+      ctx.update(data, data && data.eventProgress);
+      if (data && typeof data.eventProgress === 'number') {
+        ctx.progress(data.eventProgress, 100);
       }
-      if (data.eventProgress !== progress + 25) {
-        // NOTE: event ordering is not actually guaranteed by the spec, but
-        // this is a situation where parallelism is low enough that the
-        // ordering should be okay.
-        reject('progress messages appear to be arriving out of order');
-        return;
+      // NOTE: event ordering is not actually guaranteed by the spec, but
+      // this is a situation where parallelism is low enough that the
+      // ordering should be okay.
+      try {
+        let eventProgress = expectField(data, 'eventProgress', 'update');
+        expectEqual(eventProgress, progress + 25, 'update.eventProgress');
+        progress += 25;
+      } catch (err) {
+        reject(err);
       }
-      progress += 25;
     };
     let [, query] = kernel.connectModule(
-      kernelTestSuite,
+      kernelTestSuite(),
       'testResponseUpdate',
       {},
       receiveUpdate
     );
     query
       .then((data) => {
-        if (progress !== 75) {
-          reject('response was received before responseUpdates were completed');
-          console.log('progress is:', progress);
-          return;
-        }
-        if (!('eventProgress' in data)) {
-          reject('expecting response to contain eventProgress');
-          return;
-        }
-        if (data.eventProgress !== 100) {
-          reject('expecting response eventProgress to be 100');
-          return;
-        }
+        expectEqual(progress, 75, 'progress when the response arrived');
+        expectShape(data, { eventProgress: { type: 'number', equals: 100 } });
+        ctx.progress(100, 100);
         resolve(
           'received all messages in order and final message was a response'
         );
@@ -335,152 +327,246 @@ function TestResponseUpdates() {
   });
 }
 
-// TestModuleUpdateQuery checks that modules can successfully send queryUpdate
-// and responseUpdate messages.
-function TestModuleUpdateQuery() {
+// TestQueryUpdates checks that the page can send queryUpdate messages into a
+// running module query. The test module adds up the increments it receives,
+// reporting the running total in a responseUpdate after each one, and
+// responds with the total once it is told that the page is done. Each
+// increment is only sent after the total for the previous one arrived, so the
+// test also checks that the module reacts to every queryUpdate.
+//
+// This test and TestCancelQuery need a build of the test module that
+// implements the testQueryUpdate and testCancel methods, which the published
+// test module does not. They are opt-in, see selection.js: point the suite at
+// such a build, see config.js, and select them, for example with
+// '?tags=queries'.
+const queryIncrements = [1, 2, 3];
+function TestQueryUpdates(ctx) {
   return new Promise((resolve, reject) => {
-    kernel
-      .callModule(kernelTestSuite, 'updateTest', {})
-      .then((response) => {
-        resolve(response);
+    let sent = 0;
+    let expected = 0;
+    let query = null;
+    let sendNext = function () {
+      if (sent === queryIncrements.length) {
+        query.sendUpdate({ done: true });
+        return;
+      }
+      expected += queryIncrements[sent];
+      query.sendUpdate({ increment: queryIncrements[sent] });
+      sent += 1;
+    };
+    let receiveUpdate = function (data) {
+      ctx.update(data, data && data.total);
+      try {
+        expectShape(data, { total: { type: 'number', equals: expected } });
+      } catch (err) {
+        reject(err);
+        return;
+      }
+      ctx.progress(sent, queryIncrements.length);
+      sendNext();
+    };
+    query = openQuery(kernelTestSuite(), 'testQueryUpdate', {}, receiveUpdate);
+    sendNext();
+    query.response
+      .then((data) => {
+        expectEqual(sent, queryIncrements.length, 'queryUpdates sent');
+        expectShape(data, { total: { type: 'number', equals: expected } });
+        resolve('module reacted to ' + sent + ' queryUpdates');
       })
       .catch((err) => {
-        reject(err);
+        reject(kernel.addContextToErr(err, 'testQueryUpdate failed'));
       });
   });
 }
 
+// TestCancelQuery opens a query that the test module keeps open until it is
+// cancelled, and cancels it once the module reports that it started. Both
+// sides have to clean up: the page must stop receiving updates and reject the
+// response, and the module must end the query without recording any errors.
+// libkernel has no message that cancels a query in the kernel, so this checks
+// the cooperative cancellation described in query.js, not that the kernel
+// tears the query down.
+function TestCancelQuery(ctx) {
+  let updatesAfterCancel = 0;
+  let cancelled = false;
+  let query = null;
+  let started = new Promise((resolve) => {
+    query = openQuery(kernelTestSuite(), 'testCancel', {}, (data) => {
+      ctx.update(data);
+      if (cancelled) {
+        updatesAfterCancel += 1;
+      }
+      resolve();
+    });
+  });
+  return started
+    .then(() => {
+      expectEqual(query.cancel(), true, 'cancel of an open query');
+      cancelled = true;
+      return expectError(query.response, /cancelled/, 'cancelled query');
+    })
+    .then((err) => {
+      expectEqual(err, queryCancelled, 'response of the cancelled query');
+      return query.ended;
+    })
+    .then(({ response, error }) => {
+      if (error !== undefined) {
+        throw kernel.addContextToErr(
+          error,
+          'module failed the cancelled query'
+        );
+      }
+      expectShape(response, { cancelled: { type: 'boolean', equals: true } });
+      expectEqual(query.sendUpdate({}), false, 'update after the query ended');
+      expectEqual(updatesAfterCancel, 0, 'updates received after cancelling');
+      return expectCall(
+        kernelTestSuite(),
+        'viewErrors',
+        {},
+        {
+          errors: 'array',
+        }
+      );
+    })
+    .then((data) => {
+      expectEqual(data.errors, [], 'test module errors');
+      return 'module ended the query after it was cancelled';
+    });
+}
+
+// TestModuleUpdateQuery checks that modules can successfully send queryUpdate
+// and responseUpdate messages.
+function TestModuleUpdateQuery() {
+  return expectCall(kernelTestSuite(), 'updateTest', {});
+}
+
 // TestIgnoreResponseUpdates checks that you can safely use callModule on a
 // module method that provides response updates.
 function TestIgnoreResponseUpdates() {
-  return new Promise((resolve, reject) => {
-    kernel
-      .callModule(kernelTestSuite, 'testResponseUpdate', {})
-      .then((data) => {
-        if (!('eventProgress' in data)) {
-          reject('expecting response to contain eventProgress');
-          return;
-        }
-        if (data.eventProgress !== 100) {
-          reject('expecting response eventProgress to be 100');
-          return;
-        }
-        resolve(
-          'received final message when calling testResponseUpdate using callModule'
-        );
-      })
-      .catch((err) => {
-        reject(err);
-      });
-  });
+  return expectCall(
+    kernelTestSuite(),
+    'testResponseUpdate',
+    {},
+    { eventProgress: { type: 'number', equals: 100 } }
+  ).then(
+    () =>
+      'received final message when calling testResponseUpdate using callModule'
+  );
 }
 
 // TestBasicCORS has the test module make a fetch request to a couple of
 // websites to check that CORS is not preventing workers from talking to the
-// network.
+// network. If URLs are configured, see cors.js, the module fetches those
+// instead and the result lists the outcome of every URL.
 function TestBasicCORS() {
-  return new Promise((resolve, reject) => {
-    kernel
-      .callModule(kernelTestSuite, 'testCORS', {})
-      .then((data) => {
-        if (!('url' in data)) {
-          reject('testCORS did not return a url');
-          return;
-        }
-        if (typeof data.url !== 'string') {
-          reject('testCORS returned wrong type: ' + typeof data.domain);
-          return;
-        }
-        resolve('CORS test passed for url: ' + data.url);
-      })
-      .catch((err) => {
-        reject(err);
-      });
-  });
+  let targets = corsTargets(window.location.search);
+  if (targets.length > 0) {
+    return runCORSMatrix(targets);
+  }
+  return expectCall(kernelTestSuite(), 'testCORS', {}, { url: 'string' }).then(
+    (data) => 'CORS test passed for url: ' + data.url
+  );
 }
 
 // TestSecureUploadAndDownload will upload a very basic file to Skynet using
 // libkernel. It will then download that skylink using libkernel.
 function TestSecureUploadAndDownload() {
+  let fileDataUp = new TextEncoder().encode('test data');
+  return kernel.upload('testUpload.txt', fileDataUp).then((skylink) =>
+    kernel.download(skylink).then((fileDataDown) => {
+      expectBytesEqual(fileDataDown, fileDataUp, 'downloaded data');
+      return skylink;
+    })
+  );
+}
+
+// sendSequentialMessages is a helper function that will send a message, wait
+// for the message to resolve, then send the next one, until 'count' messages
+// have been sent. If a latencies array is provided, the round trip time of
+// each message is appended to it. If onProgress is provided, it is called
+// with the number of messages that have resolved and the total after each
+// message.
+function sendSequentialMessages(count, latencies, onProgress) {
   return new Promise((resolve, reject) => {
-    let fileDataUp = new TextEncoder().encode('test data');
-    kernel
-      .upload('testUpload.txt', fileDataUp)
-      .then((skylink) => {
-        kernel
-          .download(skylink)
-          .then((fileDataDown) => {
-            if (fileDataUp.length !== fileDataDown.length) {
-              reject(
-                'uploaded data and downloaded data do not match: ' +
-                  JSON.stringify({
-                    uploaded: fileDataUp,
-                    downloaded: fileDataDown,
-                  })
-              );
-              return;
-            }
-            for (let i = 0; i < fileDataUp.length; i++) {
-              if (fileDataUp[i] !== fileDataDown[i]) {
-                reject(
-                  'uploaded data and downloaded data do not match: ' +
-                    JSON.stringify({
-                      uploaded: fileDataUp,
-                      downloaded: fileDataDown,
-                    })
-                );
-                return;
-              }
-            }
-            resolve(skylink);
-          })
-          .catch((err) => {
-            reject(err);
-          });
-      })
-      .catch((err) => {
-        reject(err);
-      });
+    let sendNext = function (remaining) {
+      if (remaining === 0) {
+        resolve('all messages resolved');
+        return;
+      }
+      let start = performance.now();
+      kernel
+        .testMessage()
+        .then((x) => {
+          if (latencies) {
+            latencies.push(performance.now() - start);
+          }
+          if (onProgress) {
+            onProgress(count - remaining + 1, count);
+          }
+          sendNext(remaining - 1);
+        })
+        .catch((x) => {
+          reject(x);
+        });
+    };
+    sendNext(count);
   });
 }
 
-// TestMsgSpeedSequential5k will send ten thousand messages to the kernel
-// sequentially.
-function TestMsgSpeedSequential5k() {
-  // sendSequentialMessages is a helper function that will send a
-  // message, wait for the message to resolve, then call itself again
-  // with a lower 'remaining' value, exiting out when 'remaining' hits
-  // zero.
-  let sendSequentialMessages = function (remaining, resolve, reject) {
-    if (remaining === 0) {
-      resolve('all messages resolved');
-      return;
+// sendParallelMessages sends 'count' messages to the kernel at once and
+// resolves when all of them have resolved. If a latencies array is provided,
+// the time each message took to resolve, measured from when that message was
+// sent, is appended to it. If onProgress is provided, it is called with the
+// number of messages that have resolved and the total each time a message
+// resolves.
+function sendParallelMessages(count, latencies, onProgress) {
+  return new Promise((resolve, reject) => {
+    let promises = [];
+    let done = 0;
+    let messageResolved = function (sent) {
+      if (latencies) {
+        latencies.push(performance.now() - sent);
+      }
+      done += 1;
+      if (onProgress) {
+        onProgress(done, count);
+      }
+    };
+    for (let i = 0; i < count; i++) {
+      let sent = performance.now();
+      promises.push(kernel.testMessage().then(() => messageResolved(sent)));
     }
-
-    kernel
-      .testMessage()
+    Promise.all(promises)
       .then((x) => {
-        sendSequentialMessages(remaining - 1, resolve, reject);
+        resolve('all messages resolved');
       })
       .catch((x) => {
         reject(x);
       });
-  };
-  return new Promise((resolve, reject) => {
-    sendSequentialMessages(5000, resolve, reject);
   });
 }
 
-// TestModuleSpeedSequential5k will have the tester module perform five
-// thousand sequential messages on the helper module.
-function TestModuleSpeedSequential20k() {
+// callModulePerformance has the tester module send 'iterations' messages to
+// the helper module, either sequentially or in parallel depending on the
+// method. The messages are sent inside the test module, so progress can only
+// be shown if the test module reports it: responseUpdates of the form
+// { progress } with the number of completed iterations are passed to ctx.
+function callModulePerformance(method, iterations, ctx) {
   return new Promise((resolve, reject) => {
-    kernel
-      .callModule(kernelTestSuite, 'callModulePerformanceSequential', {
-        iterations: 20000,
-      })
+    let receiveUpdate = function (data) {
+      if (ctx && data && typeof data.progress === 'number') {
+        ctx.progress(data.progress, iterations);
+      }
+    };
+    let [, query] = kernel.connectModule(
+      kernelTestSuite(),
+      method,
+      { iterations },
+      receiveUpdate
+    );
+    query
       .then((data) => {
-        resolve('sequential messages succeeded');
+        resolve(data);
       })
       .catch((err) => {
         reject(err);
@@ -488,114 +574,302 @@ function TestModuleSpeedSequential20k() {
   });
 }
 
-// TestMsgSpeedParallel5k will send ten thousand messages to the kernel in
-// parallel.
-// function TestMsgSpeedParallel5k() {
-//   return new Promise((resolve, reject) => {
-//     let promises = [];
-//     for (let i = 0; i < 5000; i++) {
-//       promises.push(kernel.testMessage());
-//     }
-//     Promise.all(promises)
-//       .then((x) => {
-//         resolve('all messages reseolved');
-//       })
-//       .catch((x) => {
-//         reject(x);
-//       });
-//   });
-// }
-
-// TestModuleSpeedParallel5k will have the tester module perform five
+// TestMsgSpeedSequential5k will send five thousand messages to the kernel
+// sequentially.
+function TestMsgSpeedSequential5k(ctx) {
+  return sendSequentialMessages(5000, null, ctx.progress);
+}
+
+// TestModuleSpeedSequential20k will have the tester module perform twenty
 // thousand sequential messages on the helper module.
-function TestModuleSpeedParallel20k() {
-  return new Promise((resolve, reject) => {
-    kernel
-      .callModule(kernelTestSuite, 'callModulePerformanceParallel', {
-        iterations: 20000,
-      })
-      .then((data) => {
-        resolve('sequential messages succeeded');
-      })
-      .catch((err) => {
-        reject(err);
-      });
-  });
+function TestModuleSpeedSequential20k(ctx) {
+  return callModulePerformance(
+    'callModulePerformanceSequential',
+    20000,
+    ctx
+  ).then(() => 'sequential messages succeeded');
+}
+
+// TestModuleSpeedParallel20k will have the tester module perform twenty
+// thousand parallel messages on the helper module.
+function TestModuleSpeedParallel20k(ctx) {
+  return callModulePerformance(
+    'callModulePerformanceParallel',
+    20000,
+    ctx
+  ).then(() => 'parallel messages succeeded');
 }
 
 // TestModuleHasErrors asks the TestModule whether it has encountered any
 // errors during the test cycle.
 function TestModuleHasErrors() {
-  return new Promise((resolve, reject) => {
-    kernel
-      .callModule(kernelTestSuite, 'viewErrors', {})
-      .then((data) => {
-        if (!('errors' in data)) {
-          reject('viewErrors in test module did not return a data.errors');
-          return;
-        }
-        if (data.errors.length !== 0) {
-          reject(
-            'test module has acculumated errors: ' + JSON.stringify(data.errors)
-          );
-          return;
-        }
-        resolve('test module did not accumulate any errors');
-      })
-      .catch((err) => {
-        reject(err);
-      });
-  });
+  return expectCall(kernelTestSuite(), 'viewErrors', {}, { errors: 'array' })
+    .then((data) => expectEqual(data.errors, [], 'test module errors'))
+    .then(() => 'test module did not accumulate any errors');
 }
 
 // Check whether any errors showed up in the helper module of the testing
 // module.
-let helperModule = 'AQCoaLP6JexdZshDDZRQaIwN3B7DqFjlY7byMikR7u1IEA';
 function TestHelperModuleHasErrors() {
-  return new Promise((resolve, reject) => {
-    kernel
-      .callModule(helperModule, 'viewErrors', {})
-      .then((data) => {
-        if (!('errors' in data)) {
-          reject('viewErrors in helper module did not return a data.errors');
-          return;
-        }
-        if (data.errors.length !== 0) {
-          reject(
-            'helper module has acculumated errors: ' +
-              JSON.stringify(data.errors)
-          );
-          return;
-        }
-        resolve('helper module did not accumulate any errors');
-      })
-      .catch((err) => {
-        reject(err);
-      });
-  });
+  return expectCall(helperModule(), 'viewErrors', {}, { errors: 'array' })
+    .then((data) => expectEqual(data.errors, [], 'helper module errors'))
+    .then(() => 'helper module did not accumulate any errors');
 }
 
+// testCardValues lists the tests in the order that they run. Each entry has a
+// name and a test function, which is called with the context described at
+// runTest in runner.js for reporting progress and updates. Entries can set a
+// timeout in milliseconds if the test needs longer than defaultTestTimeout
+// from runner.js. The contract tests from contracts.json run after the hand
+// written tests, see contracts.js. The category of an entry decides the group
+// it is shown in on the page, see groupByCategory in selection.js. Tests whose
+// message passes through several modules list those hops in 'flow', which is
+// used to locate failures in their trace, see traceFailure in trace.js.
+// Tests marked 'optIn' are not part of the default selection, see
+// selection.js. Tests that fail now and then for benign reasons set the
+// number of 'retries' they get, see runWithRetries in runner.js.
 export const testCardValues = [
-  { name: 'TestLibkernelInit', test: TestLibkernelInit },
-  { name: 'TestSendTestMessage', test: TestSendTestMessage },
-  { name: 'TestModuleHasSeed', test: TestModuleHasSeed },
-  { name: 'TestModuleLogging', test: TestModuleLogging },
-  { name: 'TestModuleMissingModule', test: TestMissingModule },
-  { name: 'TestModuleMalformedModule', test: TestMalformedModule },
-  { name: 'TestModulePresentSeed', test: TestModulePresentSeed },
-  { name: 'TestModuleQueryKernel', test: TestModuleQueryKernel },
-  { name: 'TestModuleCheckHelperSeed', test: TestModuleCheckHelperSeed },
-  { name: 'TestViewTesterSeedByHelper', test: TestViewTesterSeedByHelper },
-  { name: 'TestMirrorDomain', test: TestMirrorDomain },
-  { name: 'TestMethodFieldRequired', test: TestMethodFieldRequired },
-  { name: 'TestResponseUpdates', test: TestResponseUpdates },
-  { name: 'TestModuleUpdateQuery', test: TestModuleUpdateQuery },
-  { name: 'TestIgnoreResponseUpdates', test: TestIgnoreResponseUpdates },
-  { name: 'TestBasicCORS', test: TestBasicCORS },
-  { name: 'TestSecureUploadAndDownload', test: TestSecureUploadAndDownload },
-  { name: 'TestMsgSpeedSequential5k', test: TestMsgSpeedSequential5k },
-  { name: 'TestModuleSpeedSeq20k', test: TestModuleSpeedSequential20k },
-  { name: 'TestModuleSpeedParallel20k', test: TestModuleSpeedParallel20k },
-  { name: 'TestModuleHasErrors', test: TestModuleHasErrors },
-  { name: 'TestHelperModuleHasErrors', test: TestHelperModuleHasErrors },
+  {
+    name: 'TestLibkernelInit',
+    test: TestLibkernelInit,
+    tags: ['bridge'],
+    category: 'bridge',
+  },
+  {
+    name: 'TestSendTestMessage',
+    test: TestSendTestMessage,
+    tags: ['bridge'],
+    category: 'bridge',
+    dependsOn: ['TestLibkernelInit'],
+  },
+  {
+    name: 'TestModuleHasSeed',
+    test: TestModuleHasSeed,
+    tags: ['seeds'],
+    category: 'seeds',
+    flow: ['test module'],
+    dependsOn: ['TestLibkernelInit'],
+  },
+  {
+    name: 'TestModuleLogging',
+    test: TestModuleLogging,
+    tags: ['modules'],
+    category: 'inter-module messaging',
+    dependsOn: ['TestLibkernelInit'],
+  },
+  {
+    name: 'TestModuleMissingModule',
+    test: TestMissingModule,
+    tags: ['modules', 'negative'],
+    category: 'inter-module messaging',
+    dependsOn: ['TestLibkernelInit'],
+  },
+  {
+    name: 'TestModuleMalformedModule',
+    test: TestMalformedModule,
+    tags: ['modules', 'negative'],
+    category: 'inter-module messaging',
+    dependsOn: ['TestLibkernelInit'],
+  },
+  {
+    name: 'TestModulePresentSeed',
+    test: TestModulePresentSeed,
+    tags: ['seeds', 'negative'],
+    category: 'seeds',
+    dependsOn: ['TestLibkernelInit'],
+  },
+  {
+    name: 'TestModuleQueryKernel',
+    test: TestModuleQueryKernel,
+    tags: ['modules'],
+    category: 'inter-module messaging',
+    flow: ['test module', 'kernel'],
+    dependsOn: ['TestLibkernelInit'],
+  },
+  {
+    name: 'TestModuleCheckHelperSeed',
+    test: TestModuleCheckHelperSeed,
+    tags: ['seeds', 'modules'],
+    category: 'seeds',
+    flow: ['test module', 'helper module'],
+    dependsOn: ['TestLibkernelInit'],
+  },
+  {
+    name: 'TestViewTesterSeedByHelper',
+    test: TestViewTesterSeedByHelper,
+    tags: ['seeds', 'modules'],
+    category: 'seeds',
+    flow: ['test module', 'helper module', 'test module'],
+    dependsOn: ['TestLibkernelInit'],
+  },
+  ...securityTests,
+  {
+    name: 'TestMirrorDomain',
+    test: TestMirrorDomain,
+    tags: ['domains'],
+    category: 'domains',
+    dependsOn: ['TestLibkernelInit'],
+  },
+  {
+    name: 'TestTesterMirrorDomain',
+    test: TestTesterMirrorDomain,
+    tags: ['domains', 'modules'],
+    category: 'domains',
+    flow: ['test module', 'helper module'],
+    dependsOn: ['TestLibkernelInit'],
+  },
+  {
+    name: 'TestDomainIsolation',
+    test: TestDomainIsolation,
+    tags: ['domains'],
+    category: 'domains',
+    dependsOn: ['TestLibkernelInit'],
+    timeout: 120000,
+  },
+  {
+    name: 'TestMethodFieldRequired',
+    test: TestMethodFieldRequired,
+    tags: ['modules', 'negative'],
+    category: 'inter-module messaging',
+    dependsOn: ['TestLibkernelInit'],
+  },
+  {
+    name: 'TestResponseUpdates',
+    test: TestResponseUpdates,
+    tags: ['updates'],
+    category: 'updates',
+    dependsOn: ['TestLibkernelInit'],
+    retries: 2,
+  },
+  {
+    name: 'TestQueryUpdates',
+    test: TestQueryUpdates,
+    tags: ['updates', 'queries'],
+    category: 'updates',
+    dependsOn: ['TestLibkernelInit'],
+    optIn: true,
+  },
+  {
+    name: 'TestCancelQuery',
+    test: TestCancelQuery,
+    tags: ['updates', 'queries'],
+    category: 'updates',
+    dependsOn: ['TestLibkernelInit'],
+    optIn: true,
+  },
+  {
+    name: 'TestModuleUpdateQuery',
+    test: TestModuleUpdateQuery,
+    tags: ['updates'],
+    category: 'updates',
+    flow: ['test module', 'helper module'],
+    dependsOn: ['TestLibkernelInit'],
+  },
+  {
+    name: 'TestIgnoreResponseUpdates',
+    test: TestIgnoreResponseUpdates,
+    tags: ['updates'],
+    category: 'updates',
+    dependsOn: ['TestLibkernelInit'],
+  },
+  {
+    name: 'TestBasicCORS',
+    test: TestBasicCORS,
+    tags: ['network'],
+    category: 'networking',
+    dependsOn: ['TestLibkernelInit'],
+  },
+  {
+    name: 'TestSecureUploadAndDownload',
+    test: TestSecureUploadAndDownload,
+    tags: ['storage'],
+    category: 'storage',
+    dependsOn: ['TestLibkernelInit'],
+  },
+  ...transferTests(transferCases),
+  {
+    name: 'TestMsgSpeedSequential5k',
+    test: TestMsgSpeedSequential5k,
+    tags: ['speed'],
+    category: 'performance',
+    dependsOn: ['TestLibkernelInit'],
+    timeout: 120000,
+  },
+  {
+    name: 'TestModuleSpeedSeq20k',
+    test: TestModuleSpeedSequential20k,
+    tags: ['speed'],
+    category: 'performance',
+    dependsOn: ['TestLibkernelInit'],
+    timeout: 300000,
+  },
+  {
+    name: 'TestModuleSpeedParallel20k',
+    test: TestModuleSpeedParallel20k,
+    tags: ['speed'],
+    category: 'performance',
+    dependsOn: ['TestLibkernelInit'],
+    timeout: 300000,
+  },
+  ...loadContracts(contractSpecs),
+  {
+    name: 'TestModuleHasErrors',
+    test: TestModuleHasErrors,
+    tags: ['errors'],
+    category: 'module errors',
+    dependsOn: ['TestLibkernelInit'],
+    runLast: true,
+  },
+  {
+    name: 'TestHelperModuleHasErrors',
+    test: TestHelperModuleHasErrors,
+    tags: ['errors'],
+    category: 'module errors',
+    dependsOn: ['TestLibkernelInit'],
+    runLast: true,
+  },
+];
+
+// benchmarkValues lists the speed tests that can be run repeatedly by the
+// benchmark panel, see benchmark.js. 'messages' is the default number of
+// messages per run and 'timeout' the time a single run may take. 'run' sends the given number of messages and resolves
+// with the latency of each message, or with null if individual messages
+// happen inside the test module and cannot be timed from the page.
+export const benchmarkValues = [
+  {
+    name: 'TestMsgSpeedSequential5k',
+    messages: 5000,
+    timeout: 120000,
+    run: (messages) => {
+      let latencies = [];
+      return sendSequentialMessages(messages, latencies).then(() => latencies);
+    },
+  },
+  {
+    name: 'TestMsgSpeedParallel5k',
+    messages: 5000,
+    timeout: 120000,
+    run: (messages) => {
+      let latencies = [];
+      return sendParallelMessages(messages, latencies).then(() => latencies);
+    },
+  },
+  {
+    name: 'TestModuleSpeedSeq20k',
+    messages: 20000,
+    timeout: 300000,
+    run: (messages) =>
+      callModulePerformance('callModulePerformanceSequential', messages).then(
+        () => null
+      ),
+  },
+  {
+    name: 'TestModuleSpeedParallel20k',
+    messages: 20000,
+    timeout: 300000,
+    run: (messages) =>
+      callModulePerformance('callModulePerformanceParallel', messages).then(
+        () => null
+      ),
+  },
 ];
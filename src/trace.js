@@ -0,0 +1,168 @@
+import { classifyError, errorMessage } from './errors';
+
+// trace.js records the messages that tests exchange with the kernel, so that
+// each test can show a sequence diagram of where its time went and where it
+// failed. Every call made through kernel.js is traced while a trace window is
+// open, see openTraceWindow; runTest opens one for each test.
+//
+// The page can only observe its own end of a call: when it was sent, the
+// responseUpdates that arrived and the final response or error. What happens
+// between the kernel and the modules is only visible if a module reports it.
+// A module can do so by adding a 'trace' field to a response or update, a
+// list of { hop, time } entries where hop names the participant that handled
+// the message, for example 'helper module', and time is a Unix timestamp in
+// milliseconds. These entries are added to the trace as 'hop' events.
+//
+// When tests run in parallel, a call is recorded in the window of every test
+// that was running when it was made.
+
+// maxTraceCalls limits how many calls a window records, so that the speed
+// tests, which make thousands of calls, do not keep them all. Calls beyond
+// the limit are counted as dropped.
+export const maxTraceCalls = 50;
+
+// maxTraceUpdates limits how many updates are recorded for a single call.
+const maxTraceUpdates = 20;
+
+let windows = new Set();
+let nextCall = 1;
+
+// moduleHops returns the hop events a module reported in a response or an
+// update, see the top of this file. Unix timestamps are converted to the
+// clock of performance.now.
+function moduleHops(data) {
+  if (typeof data !== 'object' || data === null || !Array.isArray(data.trace)) {
+    return [];
+  }
+  return data.trace
+    .filter((h) => h && typeof h.hop === 'string' && Number.isFinite(h.time))
+    .map((h) => ({
+      type: 'hop',
+      at: h.time - performance.timeOrigin,
+      hop: h.hop,
+    }));
+}
+
+// traceCall starts tracing a call of the given type ('testMessage',
+// 'callModule', 'connectModule', 'upload' or 'download') if any window is
+// open. It returns null if the call is not traced, or a recorder with the
+// methods update(data), response(data) and error(err).
+export function traceCall(type, module = null, method = null) {
+  let open = [...windows].filter((w) => {
+    if (w.calls.length < maxTraceCalls) {
+      return true;
+    }
+    w.dropped += 1;
+    return false;
+  });
+  if (open.length === 0) {
+    return null;
+  }
+  let call = {
+    id: nextCall++,
+    type,
+    module,
+    method,
+    events: [{ type: 'send', at: performance.now() }],
+  };
+  for (let w of open) {
+    w.calls.push(call);
+  }
+  let updates = 0;
+  let settled = false;
+  let push = function (event, data) {
+    call.events.push(...moduleHops(data), event);
+  };
+  return {
+    update: (data) => {
+      updates += 1;
+      if (!settled && updates <= maxTraceUpdates) {
+        push({ type: 'update', at: performance.now() }, data);
+      }
+    },
+    response: (data) => {
+      settled = true;
+      push({ type: 'response', at: performance.now() }, data);
+    },
+    error: (err) => {
+      settled = true;
+      push({
+        type: 'error',
+        at: performance.now(),
+        text: errorMessage(err),
+      });
+    },
+  };
+}
+
+// openTraceWindow starts recording the calls made from now on. The returned
+// window has a close method that stops recording and returns the trace:
+//   { calls, dropped }
+// where each call has the form { id, type, module, method, events }, and each
+// event has the form { type, time } with a type of 'send', 'hop', 'update',
+// 'response' or 'error'. Hop events also have the hop that reported them and
+// error events the text of the error. time is in milliseconds since the
+// window was opened.
+export function openTraceWindow() {
+  let win = { at: performance.now(), calls: [], dropped: 0 };
+  windows.add(win);
+  return {
+    close: () => {
+      windows.delete(win);
+      return {
+        calls: win.calls.map((call) => ({
+          ...call,
+          events: call.events.map(({ at, ...event }) => ({
+            ...event,
+            time: at - win.at,
+          })),
+        })),
+        dropped: win.dropped,
+      };
+    },
+  };
+}
+
+// kernelKinds are the kinds of error, see errors.js, that the kernel returns
+// without the call reaching a module.
+const kernelKinds = ['malformed', 'forbidden', 'missingField', 'notFound'];
+
+// traceFailure locates the failure of a traced test. flow lists the module
+// hops that the test's message takes, for example ['test module', 'helper
+// module', 'test module'] for a call that the test module passes on to the
+// helper module, which calls back into the test module. It returns null if no
+// call failed, or:
+//   { call, depth, participant, text }
+// for the last call that failed, where depth is 0 if the message never
+// reached a module and otherwise the position in flow of the deepest hop that
+// is known to have handled it. Without hop events from the modules, a failure
+// can only be placed at the kernel or at the first module.
+export function traceFailure(trace, flow = []) {
+  let failed = trace.calls.filter((c) =>
+    c.events.some((e) => e.type === 'error')
+  );
+  if (failed.length === 0) {
+    return null;
+  }
+  let call = failed[failed.length - 1];
+  let error = call.events.find((e) => e.type === 'error');
+  let kind = classifyError(error.text);
+  if (kind === 'transport') {
+    return { call, depth: 0, participant: 'bridge', text: error.text };
+  }
+  if (kernelKinds.includes(kind) || call.type === 'testMessage') {
+    return { call, depth: 0, participant: 'kernel', text: error.text };
+  }
+  let depth = 1;
+  for (let event of call.events) {
+    if (event.type !== 'hop') {
+      continue;
+    }
+    let next = flow.indexOf(event.hop, depth - 1);
+    if (next !== -1) {
+      depth = next + 1;
+    }
+  }
+  let participant = flow[depth - 1] || 'module';
+  return { call, depth, participant, text: error.text };
+}
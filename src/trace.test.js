@@ -0,0 +1,171 @@
+import { render, screen } from '@testing-library/react';
+
+import * as kernel from './kernel';
+import { setKernel } from './kernel';
+import { newMockKernel } from './mockKernel';
+import { runTest } from './runner';
+import SequenceDiagram from './SequenceDiagram';
+import {
+  maxTraceCalls,
+  openTraceWindow,
+  traceCall,
+  traceFailure,
+} from './trace';
+
+let testModule = 'AQCPJ9WRzMpKQHIsPo8no3XJpUydcDCjw7VJy8lG1MCZ3g';
+
+// eventTypes lists the types of the events of each call of a trace.
+function eventTypes(trace) {
+  return trace.calls.map((c) => c.events.map((e) => e.type));
+}
+
+test('calls are only traced while a window is open', async () => {
+  setKernel(newMockKernel());
+  expect(traceCall('testMessage')).toBeNull();
+
+  let win = openTraceWindow();
+  await kernel.testMessage();
+  await kernel.callModule(testModule, 'viewSeed', {});
+  let [, query] = kernel.connectModule(
+    testModule,
+    'testResponseUpdate',
+    {},
+    () => {}
+  );
+  await query;
+  await expect(
+    kernel.callModule(testModule, 'noSuchMethod', {})
+  ).rejects.toMatch(/noSuchMethod/);
+  let trace = win.close();
+  await kernel.testMessage();
+
+  expect(trace.dropped).toBe(0);
+  expect(trace.calls.map((c) => [c.type, c.method])).toEqual([
+    ['testMessage', null],
+    ['callModule', 'viewSeed'],
+    ['connectModule', 'testResponseUpdate'],
+    ['callModule', 'noSuchMethod'],
+  ]);
+  expect(eventTypes(trace)).toEqual([
+    ['send', 'response'],
+    ['send', 'response'],
+    ['send', 'update', 'update', 'update', 'response'],
+    ['send', 'error'],
+  ]);
+  for (let call of trace.calls) {
+    expect(call.events[0].time).toBeGreaterThanOrEqual(0);
+  }
+  expect(trace.calls[3].events[1].text).toMatch(/noSuchMethod/);
+});
+
+test('a window keeps a limited number of calls', async () => {
+  setKernel(newMockKernel());
+  let win = openTraceWindow();
+  let calls = [];
+  for (let i = 0; i < maxTraceCalls + 5; i++) {
+    calls.push(kernel.testMessage());
+  }
+  await Promise.all(calls);
+  let trace = win.close();
+  expect(trace.calls).toHaveLength(maxTraceCalls);
+  expect(trace.dropped).toBe(5);
+});
+
+test('traceFailure places a failure at the deepest reported hop', async () => {
+  let hop = (name) => ({ hop: name, time: Date.now() });
+  setKernel({
+    ...newMockKernel(),
+    callModule: (module, method) => {
+      if (method === 'deep') {
+        return Promise.resolve({
+          trace: [hop('test module'), hop('helper module'), hop('test module')],
+        });
+      }
+      return Promise.reject(method);
+    },
+  });
+  let flow = ['test module', 'helper module', 'test module'];
+  let trace = (fn) => {
+    let win = openTraceWindow();
+    return fn()
+      .catch(() => {})
+      .then(() => win.close());
+  };
+
+  let passed = await trace(() => kernel.callModule(testModule, 'deep', {}));
+  expect(eventTypes(passed)).toEqual([
+    ['send', 'hop', 'hop', 'hop', 'response'],
+  ]);
+  expect(passed.calls[0].events[2].hop).toBe('helper module');
+  expect(traceFailure(passed, flow)).toBeNull();
+
+  let bridge = await trace(() =>
+    kernel.callModule(
+      testModule,
+      'bridge unavailable, need skynet extension',
+      {}
+    )
+  );
+  expect(traceFailure(bridge, flow)).toMatchObject({
+    depth: 0,
+    participant: 'bridge',
+  });
+  let kernelError = await trace(() =>
+    kernel.callModule(testModule, 'unable to load module: 404', {})
+  );
+  expect(traceFailure(kernelError, flow)).toMatchObject({
+    depth: 0,
+    participant: 'kernel',
+  });
+  let moduleError = await trace(() =>
+    kernel.callModule(testModule, 'helper reported the wrong seed', {})
+  );
+  expect(traceFailure(moduleError, flow)).toMatchObject({
+    depth: 1,
+    participant: 'test module',
+    text: 'helper reported the wrong seed',
+  });
+
+  // Hops reported in updates before the failure place it deeper.
+  let deep = {
+    calls: [
+      {
+        type: 'connectModule',
+        module: testModule,
+        method: 'updateTest',
+        events: [
+          { type: 'send', time: 0 },
+          { type: 'hop', time: 1, hop: 'test module' },
+          { type: 'hop', time: 2, hop: 'helper module' },
+          { type: 'update', time: 3 },
+          { type: 'error', time: 4, text: 'helper crashed' },
+        ],
+      },
+    ],
+    dropped: 0,
+  };
+  expect(traceFailure(deep, flow)).toMatchObject({
+    depth: 2,
+    participant: 'helper module',
+  });
+
+  render(<SequenceDiagram name="TestDeep" trace={deep} flow={flow} />);
+  expect(
+    screen.getByRole('img', { name: 'message flow of TestDeep' })
+  ).toBeInTheDocument();
+  expect(screen.getByText('updateTest')).toBeInTheDocument();
+  expect(
+    screen.getByText('failed at depth 2 (helper module): helper crashed')
+  ).toBeInTheDocument();
+});
+
+test('runTest attaches the trace to the result', async () => {
+  setKernel(newMockKernel());
+  let result = await runTest({
+    name: 'TestTraced',
+    test: () => kernel.testMessage(),
+  });
+  expect(eventTypes(result.trace)).toEqual([['send', 'response']]);
+  let untraced = await runTest({ name: 'TestQuiet', test: () => 'done' });
+  expect(untraced.trace).toBeUndefined();
+});
@@ -0,0 +1,262 @@
+import { AssertionError, expectEqual, expectType } from './assert';
+import { classifyError, errorMessage } from './errors';
+import * as kernel from './kernel';
+
+// transfers.js builds the upload and download matrix: one test per
+// combination of file size, content and filename that kernel.upload and
+// kernel.download are expected to handle. Each test uploads a generated file,
+// downloads it one or more times and compares the SHA-256 hash of every
+// download with the hash of the upload. The upload and download throughput
+// is part of the result, so that slow sizes stand out.
+//
+// libkernel can only upload files that fit into a single sector together with
+// their metadata. Files of a sector or more are still part of the matrix,
+// because the kernel must refuse them cleanly instead of hanging or returning
+// a skylink for different data. Such a test passes if the upload is refused
+// as too large, see errors.js, and fails if it is accepted or fails for
+// another reason. Files between maxUploadSize and a sector may
+// go either way; if the upload is accepted the data is checked like in any
+// other test.
+
+const KiB = 1024;
+const MiB = 1024 * KiB;
+
+// sectorSize is the size of a Skynet sector, the most data a skylink of
+// libskynet can point to without a fanout.
+export const sectorSize = 1 << 22;
+
+// uploadMargin is the room left in the sector for the metadata of an upload.
+// libkernel's upload documents the overhead as roughly 500 bytes; the margin
+// is larger so that the suite does not depend on its exact value.
+const uploadMargin = 4 * KiB;
+
+// maxUploadSize is the largest file that every upload must accept.
+export const maxUploadSize = sectorSize - uploadMargin;
+
+// longFilename is a filename of 255 characters, the limit of most filesystems.
+const longFilename = 'long-'.padEnd(251, 'x') + '.bin';
+
+// transferCases lists the matrix. Each case has the form:
+//   { name, size, content: 'binary' | 'text', filename, downloads }
+// where size is the size of the file in bytes and downloads the number of
+// times it is downloaded. Text files are valid UTF-8 with multi-byte
+// characters, so their size is rounded down to a whole character.
+export const transferCases = [
+  { name: 'TestTransferEmpty', size: 0, content: 'binary' },
+  { name: 'TestTransfer4KiBBinary', size: 4 * KiB, content: 'binary' },
+  { name: 'TestTransfer4KiBText', size: 4 * KiB, content: 'text' },
+  { name: 'TestTransfer1MiBBinary', size: MiB, content: 'binary' },
+  { name: 'TestTransfer1MiBText', size: MiB, content: 'text' },
+  {
+    name: 'TestTransferLargestBinary',
+    size: maxUploadSize,
+    content: 'binary',
+  },
+  { name: 'TestTransfer4MiBBinary', size: 4 * MiB, content: 'binary' },
+  { name: 'TestTransfer40MiBBinary', size: 40 * MiB, content: 'binary' },
+  {
+    name: 'TestTransferFilenameSpaces',
+    size: 4 * KiB,
+    content: 'text',
+    filename: 'a file with spaces.txt',
+  },
+  {
+    name: 'TestTransferFilenameUnicode',
+    size: 4 * KiB,
+    content: 'text',
+    filename: 'ünïcödé ファイル 🚀.txt',
+  },
+  {
+    name: 'TestTransferFilenameLong',
+    size: 4 * KiB,
+    content: 'binary',
+    filename: longFilename,
+  },
+  {
+    name: 'TestTransferFilenameDotfile',
+    size: 4 * KiB,
+    content: 'binary',
+    filename: '.hidden',
+  },
+  {
+    name: 'TestTransferRepeatedDownloads',
+    size: 64 * KiB,
+    content: 'binary',
+    downloads: 10,
+  },
+];
+
+// textSample is repeated to fill text files. It mixes characters of one to
+// four bytes so that a chunking bug that splits a character is noticed.
+const textSample = 'libkernel test ✓ ünïcödé ファイル 🚀 ';
+
+// binaryContent returns size bytes of pseudo random data. The data depends
+// only on the size, so a failure can be reproduced with the same file.
+export function binaryContent(size) {
+  let data = new Uint8Array(size);
+  let state = (size ^ 0x9e3779b9) >>> 0 || 1;
+  for (let i = 0; i < size; i++) {
+    // xorshift32
+    state ^= state << 13;
+    state ^= state >>> 17;
+    state ^= state << 5;
+    data[i] = state & 0xff;
+  }
+  return data;
+}
+
+// textContent returns the UTF-8 encoding of a text that is at most size
+// bytes long and ends with a whole character.
+export function textContent(size) {
+  let encoded = new TextEncoder().encode(
+    textSample.repeat(Math.ceil(size / textSample.length))
+  );
+  let end = Math.min(size, encoded.length);
+  // Continuation bytes have the form 10xxxxxx, move back to the start of the
+  // character they belong to.
+  while (end > 0 && end < encoded.length && (encoded[end] & 0xc0) === 0x80) {
+    end--;
+  }
+  return encoded.slice(0, end);
+}
+
+// sha256 resolves with the hex encoded SHA-256 hash of data.
+export function sha256(data) {
+  if (!window.crypto || !window.crypto.subtle) {
+    return Promise.reject(
+      'SHA-256 is unavailable, the page must be served over https'
+    );
+  }
+  return window.crypto.subtle.digest('SHA-256', data).then((hash) =>
+    Array.from(new Uint8Array(hash))
+      .map((b) => b.toString(16).padStart(2, '0'))
+      .join('')
+  );
+}
+
+// formatSize describes a number of bytes.
+export function formatSize(bytes) {
+  if (bytes >= MiB) {
+    return +(bytes / MiB).toFixed(2) + ' MiB';
+  }
+  if (bytes >= KiB) {
+    return +(bytes / KiB).toFixed(2) + ' KiB';
+  }
+  return bytes + ' bytes';
+}
+
+// formatThroughput describes the speed of moving bytes in ms milliseconds.
+function formatThroughput(bytes, ms) {
+  if (bytes === 0 || ms <= 0) {
+    return 'n/a';
+  }
+  return (bytes / MiB / (ms / 1000)).toFixed(2) + ' MiB/s';
+}
+
+// timeoutFor gives large files enough time to transfer at 1 MiB/s.
+function timeoutFor(spec) {
+  let transfers = 1 + spec.downloads;
+  return 30000 + Math.ceil((spec.size * transfers) / MiB) * 1000;
+}
+
+// downloadAll downloads skylink count times, one after another, and checks
+// the size and hash of each download. It resolves with the time taken by
+// each download.
+function downloadAll(skylink, count, size, hash, onDownload) {
+  let times = [];
+  let next = function () {
+    if (times.length === count) {
+      return Promise.resolve(times);
+    }
+    let start = performance.now();
+    return kernel.download(skylink).then((data) => {
+      times.push(performance.now() - start);
+      let description = 'download ' + times.length;
+      expectType(data, 'Uint8Array', description);
+      expectEqual(data.length, size, 'size of ' + description);
+      return sha256(data).then((got) => {
+        expectEqual(got, hash, 'sha256 of ' + description);
+        onDownload(times.length);
+        return next();
+      });
+    });
+  };
+  return next();
+}
+
+// transferTest returns the test function of a case.
+function transferTest(spec) {
+  return function (ctx) {
+    let data =
+      spec.content === 'text'
+        ? textContent(spec.size)
+        : binaryContent(spec.size);
+    let label = formatSize(data.length) + ' ' + spec.content;
+    let steps = 1 + spec.downloads;
+    return sha256(data).then((hash) => {
+      let uploadStart = performance.now();
+      return kernel.upload(spec.filename, data).then(
+        (skylink) => {
+          if (data.length >= sectorSize) {
+            throw new AssertionError(
+              'upload of ' + label + ' was expected to be refused',
+              'an error, the file does not fit into a sector',
+              skylink
+            );
+          }
+          let uploadTime = performance.now() - uploadStart;
+          ctx.progress(1, steps);
+          return downloadAll(skylink, spec.downloads, data.length, hash, (n) =>
+            ctx.progress(1 + n, steps)
+          ).then((times) => {
+            let total = times.reduce((a, b) => a + b, 0);
+            return (
+              label +
+              ' with sha256 ' +
+              hash.slice(0, 16) +
+              ': upload ' +
+              formatThroughput(data.length, uploadTime) +
+              ', ' +
+              spec.downloads +
+              (spec.downloads === 1 ? ' download ' : ' downloads ') +
+              formatThroughput(data.length * spec.downloads, total)
+            );
+          });
+        },
+        (err) => {
+          // Only a size refusal counts, a missing bridge or a transport
+          // failure fails the test like for any other file.
+          if (
+            data.length <= maxUploadSize ||
+            classifyError(err) !== 'tooLarge'
+          ) {
+            throw err;
+          }
+          return (
+            label +
+            ' is too large for a single upload and was refused: ' +
+            errorMessage(err)
+          );
+        }
+      );
+    });
+  };
+}
+
+// transferTests returns the entries for testCardValues of the given cases.
+// Every test is tagged 'storage' and 'transfers', and shown in the 'storage'
+// category.
+export function transferTests(cases) {
+  return cases.map((c) => {
+    let extension = c.content === 'text' ? '.txt' : '.bin';
+    let spec = { filename: c.name + extension, downloads: 2, ...c };
+    return {
+      name: spec.name,
+      test: transferTest(spec),
+      tags: ['storage', 'transfers'],
+      category: 'storage',
+      dependsOn: ['TestLibkernelInit'],
+      timeout: timeoutFor(spec),
+    };
+  });
+}
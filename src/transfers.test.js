@@ -0,0 +1,124 @@
+import { setKernel } from './kernel';
+import { newMockKernel } from './mockKernel';
+import { runTest } from './runner';
+import {
+  binaryContent,
+  formatSize,
+  maxUploadSize,
+  sectorSize,
+  sha256,
+  textContent,
+  transferCases,
+  transferTests,
+} from './transfers';
+
+test('generated content is reproducible and text is valid UTF-8', () => {
+  expect(binaryContent(4096)).toEqual(binaryContent(4096));
+  expect(binaryContent(4096)).not.toEqual(binaryContent(4097).slice(0, 4096));
+  expect(binaryContent(0)).toHaveLength(0);
+  for (let size of [0, 1, 17, 4096, 4099]) {
+    let text = textContent(size);
+    expect(text.length).toBeLessThanOrEqual(size);
+    expect(text.length).toBeGreaterThan(size - 4);
+    let decoder = new TextDecoder('utf-8', { fatal: true });
+    expect(() => decoder.decode(text)).not.toThrow();
+  }
+});
+
+test('sha256 and formatSize', async () => {
+  expect(await sha256(new TextEncoder().encode('abc'))).toBe(
+    'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad'
+  );
+  expect(formatSize(0)).toBe('0 bytes');
+  expect(formatSize(4096)).toBe('4 KiB');
+  expect(formatSize(maxUploadSize)).toBe('4 MiB');
+  expect(formatSize(1536 * 1024)).toBe('1.5 MiB');
+});
+
+test('every transfer passes against the mock kernel', async () => {
+  setKernel(newMockKernel());
+  let tests = transferTests(transferCases);
+  expect(tests.map((t) => t.name)).toEqual(transferCases.map((c) => c.name));
+  for (let entry of tests) {
+    let result = await runTest(entry);
+    expect([entry.name, result.status]).toEqual([entry.name, 'pass']);
+  }
+  let messages = Object.fromEntries(
+    (await Promise.all(tests.slice(0, 2).map((t) => runTest(t)))).map((r) => [
+      r.name,
+      r.message,
+    ])
+  );
+  expect(messages.TestTransferEmpty).toMatch(
+    /^0 bytes binary with sha256 e3b0c44298fc1c14: upload n\/a, 2 downloads n\/a$/
+  );
+  expect(messages.TestTransfer4KiBBinary).toMatch(
+    /^4 KiB binary with sha256 [0-9a-f]{16}: upload (n\/a|[\d.]+ MiB\/s)/
+  );
+}, 60000);
+
+test('a transfer fails when the download does not match', async () => {
+  let mock = newMockKernel();
+  setKernel({
+    ...mock,
+    download: (skylink) =>
+      mock.download(skylink).then((data) => {
+        data[0] ^= 1;
+        return data;
+      }),
+  });
+  let [entry] = transferTests([
+    { name: 'TestTransferCorrupt', size: 16, content: 'binary' },
+  ]);
+  let result = await runTest(entry);
+  expect(result.status).toBe('fail');
+  expect(result.message).toMatch(/^sha256 of download 1 does not match/);
+});
+
+test('uploads of a sector or more must be refused', async () => {
+  let mock = newMockKernel();
+  let [entry] = transferTests([
+    { name: 'TestTransferSector', size: sectorSize, content: 'binary' },
+  ]);
+  setKernel(mock);
+  let result = await runTest(entry);
+  expect(result.status).toBe('pass');
+  expect(result.message).toMatch(
+    /is too large for a single upload and was refused/
+  );
+
+  setKernel({ ...mock, upload: () => Promise.resolve('AQsomethingElse') });
+  result = await runTest(entry);
+  expect(result.status).toBe('fail');
+  expect(result.message).toMatch(
+    /^upload of 4 MiB binary was expected to be refused/
+  );
+
+  setKernel({
+    ...mock,
+    upload: () => Promise.reject('bridge unavailable, need skynet extension'),
+  });
+  result = await runTest(entry);
+  expect(result.status).toBe('fail');
+  expect(result.message).toBe('bridge unavailable, need skynet extension');
+});
+
+test('uploads close to a sector may go either way', async () => {
+  let mock = newMockKernel();
+  let [entry] = transferTests([
+    { name: 'TestTransferEdge', size: maxUploadSize + 1, content: 'binary' },
+  ]);
+  setKernel(mock);
+  expect((await runTest(entry)).status).toBe('pass');
+
+  setKernel({ ...mock, upload: () => Promise.reject('file is too large') });
+  let result = await runTest(entry);
+  expect(result.status).toBe('pass');
+  expect(result.message).toMatch(/was refused: file is too large$/);
+
+  [entry] = transferTests([
+    { name: 'TestTransferLargest', size: maxUploadSize, content: 'binary' },
+  ]);
+  result = await runTest(entry);
+  expect(result.status).toBe('fail');
+});
@@ -0,0 +1,86 @@
+// verdict.js turns the summary of a run into an overall verdict and shows it
+// in the title and the favicon of the page, so that the outcome of a long run
+// can be seen from a background tab.
+
+// verdicts describes each verdict with the heading shown on the page, the
+// prefix of the page title and the color of the favicon.
+const verdicts = {
+  running: { heading: 'Running Tests', title: '…', color: '#ffa500' },
+  passed: { heading: 'All Tests Passed', title: '✔', color: '#008000' },
+  failed: { heading: 'Tests Failed', title: '✘', color: '#d00000' },
+  flaky: {
+    heading: 'Tests Passed With Retries',
+    title: '↻',
+    color: '#8fbc00',
+  },
+  incomplete: {
+    heading: 'Tests Incomplete',
+    title: '⚠',
+    color: '#c8c800',
+  },
+  'not run': { heading: 'Tests Not Run', title: '', color: '#808080' },
+};
+
+// pageTitle is the title of the page without a verdict.
+export const pageTitle = 'Libkernel Test Suite';
+
+// runVerdict returns the verdict of a run given its summary, see
+// summarizeResults in runner.js, and whether tests are still running. A run
+// with any failure or timeout failed. A run in which tests were skipped
+// without anything failing, for example because the kernel could not be
+// reached, is incomplete. A run in which every test passed, but some only on a
+// retry, is flaky.
+export function runVerdict(summary, running = false) {
+  if (running) {
+    return 'running';
+  }
+  if (summary.failed > 0 || summary.timedOut > 0) {
+    return 'failed';
+  }
+  if (summary.total === 0) {
+    return 'not run';
+  }
+  if (summary.skipped > 0) {
+    return 'incomplete';
+  }
+  if (summary.flaky > 0) {
+    return 'flaky';
+  }
+  return 'passed';
+}
+
+// verdictHeading returns the heading shown at the top of the page.
+export function verdictHeading(verdict) {
+  return verdicts[verdict].heading;
+}
+
+// verdictTitle returns the page title for a verdict.
+export function verdictTitle(verdict) {
+  let prefix = verdicts[verdict].title;
+  return prefix === '' ? pageTitle : prefix + ' ' + pageTitle;
+}
+
+// verdictIcon returns a favicon for a verdict as an SVG data URL: a circle in
+// the color of the verdict.
+export function verdictIcon(verdict) {
+  let svg =
+    '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 16 16">' +
+    '<circle cx="8" cy="8" r="7" fill="' +
+    verdicts[verdict].color +
+    '"/></svg>';
+  return 'data:image/svg+xml,' + encodeURIComponent(svg);
+}
+
+// showVerdict sets the title and the favicon of the page. The favicon link is
+// created if the page does not have one.
+export function showVerdict(verdict) {
+  document.title = verdictTitle(verdict);
+  let link = document.querySelector('link[rel="icon"]');
+  if (link === null) {
+    link = document.createElement('link');
+    link.rel = 'icon';
+    document.head.appendChild(link);
+  }
+  link.type = 'image/svg+xml';
+  link.href = verdictIcon(verdict);
+}
@@ -0,0 +1,44 @@
+import {
+  pageTitle,
+  runVerdict,
+  showVerdict,
+  verdictIcon,
+  verdictTitle,
+} from './verdict';
+
+// summary builds a summary as returned by summarizeResults.
+function summary(passed, failed = 0, timedOut = 0, skipped = 0, flaky = 0) {
+  let total = passed + failed + timedOut + skipped + flaky;
+  return { total, passed, flaky, failed, timedOut, skipped };
+}
+
+test('runVerdict decides the verdict of a run', () => {
+  expect(runVerdict(summary(0))).toBe('not run');
+  expect(runVerdict(summary(5))).toBe('passed');
+  expect(runVerdict(summary(5, 1))).toBe('failed');
+  expect(runVerdict(summary(5, 0, 1))).toBe('failed');
+  expect(runVerdict(summary(0, 1, 0, 4))).toBe('failed');
+  expect(runVerdict(summary(0, 0, 0, 4))).toBe('incomplete');
+  expect(runVerdict(summary(5, 0, 0, 0, 1))).toBe('flaky');
+  expect(runVerdict(summary(5, 0, 0, 1, 1))).toBe('incomplete');
+  expect(runVerdict(summary(5, 1, 0, 0, 1))).toBe('failed');
+  expect(runVerdict(summary(5, 1), true)).toBe('running');
+});
+
+test('showVerdict updates the title and the favicon', () => {
+  expect(verdictTitle('not run')).toBe(pageTitle);
+  expect(verdictIcon('passed')).not.toBe(verdictIcon('failed'));
+
+  showVerdict('failed');
+  expect(document.title).toBe('✘ ' + pageTitle);
+  let links = document.querySelectorAll('link[rel="icon"]');
+  expect(links).toHaveLength(1);
+  expect(links[0].getAttribute('href')).toBe(verdictIcon('failed'));
+  expect(decodeURIComponent(verdictIcon('failed'))).toMatch(/fill="#d00000"/);
+
+  showVerdict('passed');
+  expect(document.title).toBe('✔ ' + pageTitle);
+  links = document.querySelectorAll('link[rel="icon"]');
+  expect(links).toHaveLength(1);
+  expect(links[0].getAttribute('href')).toBe(verdictIcon('passed'));
+});